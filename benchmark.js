@@ -7,7 +7,9 @@ import {
   generateTimestamp48, 
   generateTimestamp48Fast,
   decodeTimestamp48,
-  generateBatch
+  generateBatch,
+  compareTimestamp48,
+  sortTimestamps
 } from './timestamp.js';
 
 const BENCHMARK_RUNS = 100000;
@@ -79,6 +81,17 @@ console.log('-'.repeat(40));
 const sampleTimestamp = generateTimestamp48();
 benchmark('decodeTimestamp48()', () => decodeTimestamp48(sampleTimestamp));
 
+// Comparison performance
+console.log('\n📋 Comparison Performance');
+console.log('-'.repeat(40));
+
+const laterTimestamp = generateTimestamp48();
+benchmark('compareTimestamp48()', () => compareTimestamp48(sampleTimestamp, laterTimestamp));
+benchmark('decodeTimestamp48() and subtract', () => decodeTimestamp48(sampleTimestamp) - decodeTimestamp48(laterTimestamp));
+
+const unsorted = generateBatch(1000).reverse();
+benchmark('sortTimestamps(1000)', () => sortTimestamps(unsorted), 100);
+
 // Batch performance
 console.log('\n📋 Batch Generation Performance');
 console.log('-'.repeat(40));
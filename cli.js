@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+/**
+ * ts48 - command-line interface for the 48-bit timestamp generator
+ * 
+ * Usage:
+ *   ts48 gen [-n N] [--fast] [--counter] [--encoding NAME] [--prefix P] [--json]
+ *   ts48 decode [<id>...] [--counter] [--encoding NAME] [--prefix P] [--json]
+ *   ts48 validate [--counter] [--encoding NAME] [--prefix P] [--json]   (IDs on stdin)
+ *   ts48 encode <date>... [--ms] [--encoding NAME] [--prefix P] [--json]
+ * 
+ * decode reads IDs from stdin, one per line, when none are given. encode parses its
+ * arguments as ISO-8601 dates, so 2024 is the year; --ms reads epoch milliseconds instead.
+ * Plain output is tab-separated; --json prints one JSON object per line.
+ * 
+ * Exit codes: 0 on success, 1 if any input was invalid, 2 on usage errors.
+ */
+
+import { once } from 'node:events';
+import { realpathSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import {
+  decodeTimestamp48,
+  decodeTimestampWithCounter,
+  encodeTimestamp48,
+  encodings,
+  getTimestampAge,
+  isValidTimestamp,
+  isValidTimestampWithCounter,
+  timestampIterator,
+  MODULE_INFO
+} from './timestamp.js';
+
+const USAGE = `Usage: ts48 <command> [options]
+
+Commands:
+  gen                 Generate IDs
+  decode [<id>...]    Print ISO-8601 time, epoch ms and age (IDs from stdin if omitted)
+  validate            Check IDs read from stdin, one per line
+  encode <date>...    Encode ISO-8601 dates (or epoch milliseconds with --ms)
+
+Options:
+  -n <count>          Number of IDs to generate (gen, default: 1)
+  --fast              Use the DataView based encoder (gen)
+  --counter           10-character IDs with a sub-millisecond counter
+  --ms                Read encode arguments as epoch milliseconds
+  --encoding <name>   ${Object.keys(encodings).join(', ')} (default: base64url)
+  --prefix <prefix>   ID prefix
+  --json              One JSON object per line instead of tab-separated text
+  -h, --help          Show this help
+  --version           Show the version
+
+Exit codes: 0 success, 1 invalid input, 2 usage error
+`;
+
+// Options each command accepts; true marks options that take a value
+const COMMAND_OPTIONS = {
+  gen: { n: true, fast: false, counter: false, encoding: true, prefix: true, json: false },
+  decode: { counter: false, encoding: true, prefix: true, json: false },
+  validate: { counter: false, encoding: true, prefix: true, json: false },
+  encode: { ms: false, encoding: true, prefix: true, json: false }
+};
+
+/**
+ * Thrown for invalid command lines; reported with the usage hint and exit code 2
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Splits command-line arguments into options and positional arguments
+ * @param {string[]} args - Arguments after the command name
+ * @param {Object<string, boolean>} allowed - Accepted option names; true if they take a value
+ * @returns {{options: Object<string, string|boolean>, positionals: string[]}} Parsed arguments
+ * @throws {UsageError} If an option is unknown or misses its value
+ */
+function parseArgs(args, allowed) {
+  const options = {};
+  const positionals = [];
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (arg === '--') {
+      positionals.push(...args.slice(i + 1));
+      break;
+    }
+    
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+    
+    const separator = arg.indexOf('=');
+    const name = arg.slice(arg.startsWith('--') ? 2 : 1, separator === -1 ? undefined : separator);
+    
+    if (!Object.prototype.hasOwnProperty.call(allowed, name)) {
+      throw new UsageError(`unknown option: ${arg}`);
+    }
+    
+    if (!allowed[name]) {
+      if (separator !== -1) throw new UsageError(`option ${name} does not take a value`);
+      options[name] = true;
+    } else if (separator !== -1) {
+      options[name] = arg.slice(separator + 1);
+    } else if (i + 1 < args.length) {
+      options[name] = args[++i];
+    } else {
+      throw new UsageError(`option ${arg} requires a value`);
+    }
+  }
+  return { options, positionals };
+}
+
+/**
+ * Builds the library format options from parsed command-line options
+ * @param {Object} options - Parsed options
+ * @returns {{encoding: string, prefix: string}} Encoding and prefix options
+ * @throws {UsageError} If the encoding is unknown or the prefix is invalid
+ */
+function formatOptions(options) {
+  const { encoding = 'base64url', prefix = '' } = options;
+  
+  if (!Object.prototype.hasOwnProperty.call(encodings, encoding)) {
+    throw new UsageError(`unknown encoding: ${encoding}, expected one of ${Object.keys(encodings).join(', ')}`);
+  }
+  
+  // Let the library apply its own prefix rules
+  try {
+    encodeTimestamp48(0, { encoding, prefix });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  return { encoding, prefix };
+}
+
+/**
+ * Writes one line, waiting for the stream to drain when its buffer is full
+ * @param {import('node:stream').Writable} stream - Output stream
+ * @param {string} line - Line without the trailing newline
+ * @returns {Promise<void>}
+ */
+async function writeLine(stream, line) {
+  if (!stream.write(`${line}\n`)) {
+    await once(stream, 'drain');
+  }
+}
+
+/**
+ * Yields non-empty, trimmed lines from a readable stream
+ * @param {import('node:stream').Readable} input - Input stream
+ * @returns {AsyncGenerator<string>} Lines
+ */
+async function* readLines(input) {
+  for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+    const trimmed = line.trim();
+    if (trimmed !== '') yield trimmed;
+  }
+}
+
+/**
+ * ts48 gen: streams IDs to stdout with backpressure, so -n has no upper limit
+ */
+async function gen(options, positionals, io) {
+  if (positionals.length > 0) throw new UsageError(`unexpected argument: ${positionals[0]}`);
+  
+  const count = options.n === undefined ? 1 : Number(options.n);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new UsageError(`-n must be a positive integer, got ${options.n}`);
+  }
+  
+  const ids = timestampIterator({
+    count,
+    fast: options.fast === true,
+    counter: options.counter === true,
+    ...formatOptions(options)
+  });
+  
+  for await (const id of ids) {
+    await writeLine(io.stdout, options.json ? JSON.stringify({ id }) : id);
+  }
+  return 0;
+}
+
+/**
+ * ts48 decode: prints the time carried by each ID
+ */
+async function decode(options, positionals, io) {
+  const format = formatOptions(options);
+  const ids = positionals.length > 0 ? positionals : readLines(io.stdin);
+  let exitCode = 0;
+  
+  for await (const id of ids) {
+    let record;
+    try {
+      if (options.counter) {
+        const { timestamp, counter } = decodeTimestampWithCounter(id, format);
+        record = { id, iso: new Date(timestamp).toISOString(), ms: timestamp, ageMs: Date.now() - timestamp, counter };
+      } else {
+        const ms = decodeTimestamp48(id, format);
+        record = { id, iso: new Date(ms).toISOString(), ms, ageMs: getTimestampAge(id, format) };
+      }
+    } catch (error) {
+      exitCode = 1;
+      if (options.json) {
+        await writeLine(io.stdout, JSON.stringify({ id, valid: false, error: error.message }));
+      } else {
+        await writeLine(io.stderr, `ts48: invalid ID ${id}: ${error.message}`);
+      }
+      continue;
+    }
+    
+    await writeLine(io.stdout, options.json
+      ? JSON.stringify({ ...record, valid: true })
+      : Object.values(record).join('\t'));
+  }
+  return exitCode;
+}
+
+/**
+ * ts48 validate: checks each stdin line and fails if any is invalid
+ */
+async function validate(options, positionals, io) {
+  if (positionals.length > 0) throw new UsageError('validate reads IDs from stdin');
+  
+  const format = formatOptions(options);
+  const isValid = options.counter ? isValidTimestampWithCounter : isValidTimestamp;
+  let exitCode = 0;
+  
+  for await (const id of readLines(io.stdin)) {
+    const valid = isValid(id, format);
+    if (!valid) exitCode = 1;
+    await writeLine(io.stdout, options.json ? JSON.stringify({ id, valid }) : `${id}\t${valid ? 'valid' : 'invalid'}`);
+  }
+  return exitCode;
+}
+
+/**
+ * ts48 encode: encodes ISO-8601 dates, or epoch milliseconds with --ms; bare numbers are
+ * never guessed to be milliseconds, since 2024 is also an ISO-8601 year
+ */
+async function encode(options, positionals, io) {
+  if (positionals.length === 0) throw new UsageError('encode requires at least one date');
+  
+  const format = formatOptions(options);
+  let exitCode = 0;
+  
+  for (const input of positionals) {
+    try {
+      const date = options.ms ? parseEpochMs(input) : new Date(input);
+      if (Number.isNaN(date.getTime()) && /^\d+$/.test(input)) {
+        throw new Error(`Invalid Date; pass --ms to encode ${input} as epoch milliseconds`);
+      }
+      const id = encodeTimestamp48(date, format);
+      await writeLine(io.stdout, options.json
+        ? JSON.stringify({ input, id, iso: date.toISOString(), ms: date.getTime() })
+        : id);
+    } catch (error) {
+      exitCode = 1;
+      await writeLine(io.stderr, `ts48: cannot encode ${input}: ${error.message}`);
+    }
+  }
+  return exitCode;
+}
+
+/**
+ * Parses an encode argument given with --ms
+ * @param {string} input - Command-line argument
+ * @returns {Date} Date for those epoch milliseconds
+ * @throws {Error} If the argument is not a non-negative integer
+ */
+function parseEpochMs(input) {
+  if (!/^\d+$/.test(input)) {
+    throw new Error('--ms expects a non-negative integer number of milliseconds');
+  }
+  return new Date(Number(input));
+}
+
+const COMMANDS = { gen, decode, validate, encode };
+
+/**
+ * Runs the CLI
+ * @param {string[]} args - Command-line arguments without the node and script paths
+ * @param {{stdin: import('node:stream').Readable, stdout: import('node:stream').Writable,
+ *   stderr: import('node:stream').Writable}} [io] - Standard streams
+ * @returns {Promise<number>} Exit code: 0 success, 1 invalid input, 2 usage error
+ */
+export async function runCli(args, io = process) {
+  const [command, ...rest] = args;
+  
+  if (command === undefined || command === '-h' || command === '--help' || command === 'help') {
+    io.stdout.write(USAGE);
+    return command === undefined ? 2 : 0;
+  }
+  
+  if (command === '--version') {
+    io.stdout.write(`${MODULE_INFO.version}\n`);
+    return 0;
+  }
+  
+  try {
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+      throw new UsageError(`unknown command: ${command}`);
+    }
+    
+    if (rest.includes('-h') || rest.includes('--help')) {
+      io.stdout.write(USAGE);
+      return 0;
+    }
+    
+    const { options, positionals } = parseArgs(rest, COMMAND_OPTIONS[command]);
+    return await COMMANDS[command](options, positionals, io);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    io.stderr.write(`ts48: ${error.message}\nRun 'ts48 --help' for usage.\n`);
+    return 2;
+  }
+}
+
+// Run when executed directly (including through the npm bin symlink), not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // A closed pipe (e.g. `ts48 gen -n 1000000 | head`) is a normal way to stop
+  process.stdout.on('error', error => {
+    if (error.code !== 'EPIPE') throw error;
+    process.exit(0);
+  });
+  
+  process.exitCode = await runCli(process.argv.slice(2));
+}
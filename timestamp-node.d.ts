@@ -0,0 +1,52 @@
+/**
+ * TypeScript definitions for the Node.js entry point of timestamp-48bit
+ */
+
+import type { Readable } from 'node:stream';
+import type { TimestampPersistence, TimestampStreamOptions } from './timestamp.js';
+
+/**
+ * Creates a Node.js object-mode Readable of timestamps
+ *
+ * @description
+ * IDs are generated as the stream is read, at most `highWaterMark` ahead of the
+ * consumer, so piping into a slow writable applies backpressure. Ordering and
+ * uniqueness match generateBatch().
+ *
+ * @param options - Streaming options
+ * @returns Object-mode stream of encoded timestamps
+ * @throws {Error} If options are invalid
+ *
+ * @example
+ * ```typescript
+ * import { pipeline } from 'node:stream/promises';
+ * import { timestampStream } from 'timestamp-48bit/node';
+ *
+ * await pipeline(timestampStream({ count: 1_000_000 }), async function* (ids) {
+ *   for await (const id of ids) yield `${id}\n`;
+ * }, process.stdout);
+ * ```
+ */
+export function timestampStream(options?: TimestampStreamOptions): Readable;
+
+/**
+ * Creates a persistence adapter that keeps a generator's high-water mark in a file
+ *
+ * @description
+ * Saves write a temporary file, fsync it and rename it over the target, so a crash
+ * leaves either the old or the new value. Each file must belong to one generator.
+ *
+ * @param path - State file; created on the first save
+ * @returns Adapter for `createTimestampGenerator({ persistence })`
+ *
+ * @example
+ * ```typescript
+ * import { createTimestampGenerator } from 'timestamp-48bit';
+ * import { createFileTimestampStore } from 'timestamp-48bit/node';
+ *
+ * const generator = createTimestampGenerator({
+ *   persistence: createFileTimestampStore('/var/lib/myapp/ts48.state')
+ * });
+ * ```
+ */
+export function createFileTimestampStore(path: string | URL): TimestampPersistence;
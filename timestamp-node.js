@@ -0,0 +1,66 @@
+/**
+ * Node.js-specific entry point for the 48-bit timestamp generator
+ * Kept separate so the core module stays free of node: imports and runs unchanged
+ * in Deno, Bun and browsers
+ */
+
+import { closeSync, fsyncSync, openSync, readFileSync, renameSync, writeSync } from 'node:fs';
+import { Readable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import { timestampIterator } from './timestamp.js';
+
+/**
+ * Creates a Node.js object-mode Readable of timestamps; IDs are generated as the
+ * stream is read, at most highWaterMark ahead of the consumer
+ * @param {Object} [options] - Streaming options, as for timestampIterator
+ * @param {number} [options.highWaterMark=16] - Buffered IDs kept ahead of the consumer
+ * @returns {Readable} Object-mode stream of encoded timestamps
+ * @throws {Error} If options are invalid
+ */
+export function timestampStream(options = {}) {
+  const iterator = timestampIterator(options);
+
+  return Readable.from(iterator, { objectMode: true, highWaterMark: options.highWaterMark ?? 16 });
+}
+
+/**
+ * Creates a persistence adapter that keeps a generator's high-water mark in a file,
+ * for createTimestampGenerator({ persistence })
+ * 
+ * Saves write a temporary file, fsync it and rename it over the target, so a crash
+ * leaves either the old or the new value. Each file must belong to one generator.
+ * 
+ * @param {string|URL} path - State file; created on the first save
+ * @returns {{load: () => number|undefined, save: (reservedUntil: number) => void}} Adapter
+ */
+export function createFileTimestampStore(path) {
+  const temporaryPath = `${path instanceof URL ? fileURLToPath(path) : path}.tmp`;
+
+  return {
+    load() {
+      let content;
+      try {
+        content = readFileSync(path, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+
+      if (!/^\d+\n?$/.test(content)) {
+        throw new Error(`Invalid timestamp state in ${path}: ${JSON.stringify(content)}`);
+      }
+      return Number(content);
+    },
+
+    save(reservedUntil) {
+      const fd = openSync(temporaryPath, 'w');
+      try {
+        writeSync(fd, `${reservedUntil}\n`);
+        fsyncSync(fd);
+      } finally {
+        closeSync(fd);
+      }
+      renameSync(temporaryPath, path);
+    }
+  };
+}
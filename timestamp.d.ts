@@ -10,8 +10,9 @@
  * Creates a UUIDv7-style timestamp using the current Unix epoch time in milliseconds.
  * The 48-bit timestamp is encoded as an 8-character Base64URL string (no padding).
  * 
+ * @param options - Per-call generation options
  * @returns An 8-character Base64URL encoded string representing a 48-bit timestamp
- * @throws {Error} If Date.now() is not available or returns invalid value
+ * @throws {Error} If options are invalid or the clock returns an invalid value
  * 
  * @example
  * ```typescript
@@ -23,15 +24,19 @@
  * ```
  * 
  * @remarks
- * - Uses millisecond precision Unix timestamp (Date.now())
+ * - Uses millisecond precision Unix timestamp (Date.now()); second and microsecond
+ *   precision are available through `precision`
  * - Valid until year 10889 AD (48-bit timestamp limit)
  * - Base64URL alphabet: A-Z a-z 0-9 - _ (RFC 4648)
  * - No padding characters (=) included
  * - Thread-safe and collision-resistant within same millisecond
  * - Optimized for performance across all JavaScript runtimes
  * - Includes input validation and comprehensive error handling
+ * - UUIDv7, random suffixes, keys and signed tokens need the global Web Crypto API
+ *   (Node.js 19+, or 16 and 18 with --experimental-global-webcrypto)
  */
-export function generateTimestamp48(): Timestamp48;
+export function generateTimestamp48(options?: TimestampOptions & { encoding?: 'base64url'; prefix?: ''; randomBytes?: 0; key?: undefined; bits?: 48; precision?: 'millisecond' }): Timestamp48;
+export function generateTimestamp48(options: TimestampOptions): string;
 
 /**
  * Ultra-fast 48-bit timestamp generator using optimized techniques
@@ -40,8 +45,9 @@ export function generateTimestamp48(): Timestamp48;
  * High-performance variant using DataView and optimized bit operations.
  * Typically 20-50% faster than the standard implementation.
  * 
+ * @param options - Per-call generation options
  * @returns An 8-character Base64URL encoded string representing a 48-bit timestamp
- * @throws {Error} If Date.now() is not available or returns invalid value
+ * @throws {Error} If options are invalid or the clock returns an invalid value
  * 
  * @example
  * ```typescript
@@ -51,14 +57,25 @@ export function generateTimestamp48(): Timestamp48;
  * console.log(timestamp); // e.g., "AYqkSJ2M"
  * ```
  */
-export function generateTimestamp48Fast(): Timestamp48;
+export function generateTimestamp48Fast(options?: TimestampOptions & { encoding?: 'base64url'; prefix?: ''; randomBytes?: 0; key?: undefined; bits?: 48; precision?: 'millisecond' }): Timestamp48;
+export function generateTimestamp48Fast(options: TimestampOptions): string;
 
 /**
  * Decodes a 48-bit Base64URL encoded timestamp back to Unix milliseconds
  * 
+ * @description
+ * Every well-formed ID decodes by default. At API boundaries, pass `{ strict: true }`
+ * or explicit bounds to reject forged or corrupted IDs that decode to implausible times.
+ * 
  * @param encoded - 8-character Base64URL encoded timestamp
- * @returns Unix timestamp in milliseconds
- * @throws {Error} If the encoded string is invalid
+ * @param options - Encoding the timestamp was written in and optional plausibility checks
+ * @returns Unix timestamp in milliseconds, or in the given precision: seconds, or
+ *   microseconds as a bigint
+ * @throws {InvalidTimestampError} If the encoded string is malformed or, in strict mode,
+ *   not in canonical form; branch on `error.code`
+ * @throws {TimestampRangeError} If a non-Base64URL encoding decodes beyond 48 bits, or the
+ *   timestamp lies outside the requested window (see `min` and `max`)
+ * @throws {Error} If the window options are invalid
  * 
  * @example
  * ```typescript
@@ -70,7 +87,9 @@ export function generateTimestamp48Fast(): Timestamp48;
  * console.log(Math.abs(decoded - Date.now()) < 100); // Should be true
  * ```
  */
-export function decodeTimestamp48(encoded: string): number;
+export function decodeTimestamp48(encoded: string, options: ValidationOptions & { precision: 'microsecond' }): bigint;
+export function decodeTimestamp48(encoded: string, options?: ValidationOptions & { precision?: 'second' | 'millisecond' }): number;
+export function decodeTimestamp48(encoded: string, options?: ValidationOptions): number | bigint;
 
 /**
  * Generates multiple timestamps efficiently in a single batch
@@ -78,7 +97,8 @@ export function decodeTimestamp48(encoded: string): number;
  * @param count - Number of timestamps to generate (1-10000)
  * @param options - Generation options
  * @returns Array of Base64URL encoded timestamps
- * @throws {Error} If count is invalid or generation fails
+ * @throws {CountRangeError} If count is not an integer between 1 and 10000
+ * @throws {Error} If options are invalid or generation fails
  * 
  * @example
  * ```typescript
@@ -91,16 +111,37 @@ export function decodeTimestamp48(encoded: string): number;
  */
 export function generateBatch(
   count?: number,
-  options?: {
-    fast?: boolean;
-  }
+  options?: BatchOptions & { counter?: false; encoding?: 'base64url'; prefix?: ''; randomBytes?: 0; key?: undefined; bits?: 48; precision?: 'millisecond' }
 ): Timestamp48[];
+export function generateBatch(
+  count: number,
+  options: BatchOptions & { counter: true; encoding?: 'base64url'; prefix?: ''; randomBytes?: 0; key?: undefined; bits?: 48; precision?: 'millisecond' }
+): TimestampWithCounter[];
+export function generateBatch(count?: number, options?: BatchOptions): string[];
+
+/**
+ * Options for generateBatch
+ */
+export interface BatchOptions extends TimestampOptions {
+  /** Use the DataView based encoder (default: false) */
+  fast?: boolean;
+  /** Emit 10-char IDs with a sub-millisecond counter (default: false) */
+  counter?: boolean;
+  /** Counter overflow policy (default: 'wait') */
+  onOverflow?: CounterOverflowPolicy;
+}
 
 /**
  * Validates a timestamp format without decoding
  * 
+ * @description
+ * With `strict` or explicit bounds the timestamp is decoded as well, and IDs that
+ * decodeTimestamp48() would reject with the same options return false.
+ * 
  * @param timestamp - Timestamp to validate
- * @returns True if valid format
+ * @param options - Expected encoding and optional plausibility checks
+ * @returns True if valid format (and inside the window, when one is given)
+ * @throws {Error} If options are invalid
  * 
  * @example
  * ```typescript
@@ -108,16 +149,27 @@ export function generateBatch(
  * 
  * console.log(isValidTimestamp('AYqkSJ2M')); // true
  * console.log(isValidTimestamp('invalid')); // false
+ * console.log(isValidTimestamp('________')); // true: well-formed, year 10889
+ * console.log(isValidTimestamp('________', { strict: true })); // false
  * ```
  */
-export function isValidTimestamp(timestamp: string): timestamp is Timestamp48;
+export function isValidTimestamp(
+  timestamp: string,
+  options?: ValidationWindowOptions & { encoding?: 'base64url'; prefix?: ''; randomBytes?: 0; key?: undefined; bits?: 48 }
+): timestamp is Timestamp48;
+export function isValidTimestamp(timestamp: string, options?: ValidationOptions): boolean;
 
 /**
  * Gets the age of a timestamp in milliseconds
  * 
+ * @description
+ * Anyone can mint a well-formed ID for any time, so the age of an ID from a client
+ * proves nothing; use signTimestamp48 and verifyTimestamp48 for nonces.
+ * 
  * @param encoded - Base64URL encoded timestamp
- * @returns Age in milliseconds
- * @throws {Error} If the encoded string is invalid
+ * @param options - Encoding the timestamp was written in
+ * @returns Age in milliseconds, or in the ID's precision (whole seconds or microseconds)
+ * @throws {InvalidTimestampError} If the encoded string is malformed
  * 
  * @example
  * ```typescript
@@ -130,30 +182,1436 @@ export function isValidTimestamp(timestamp: string): timestamp is Timestamp48;
  * }, 1000);
  * ```
  */
-export function getTimestampAge(encoded: string): number;
+export function getTimestampAge(encoded: string, options?: ValidationOptions): number;
 
 /**
- * Default export - uses the fastest implementation
+ * Returns the last tick that IDs with the given epoch, bit width and precision can carry
  * 
  * @description
- * Exports generateTimestamp48 as the default function for convenience.
- * Recommended for most use cases requiring maximum performance.
+ * Generators throw TimestampRangeError once the clock passes it. The horizon never
+ * exceeds 2^48 - 1, the end of the 48-bit Unix range (year 10889).
+ * 
+ * @param options - Epoch, bit width and precision
+ * @returns Unix milliseconds, or seconds or microseconds (bigint) for those precisions
+ * @throws {Error} If an option is invalid
+ * 
+ * @example
+ * ```typescript
+ * import { createTimestampGenerator, getTimestampHorizon } from './timestamp.js';
+ * 
+ * const options = { epoch: Date.UTC(2020, 0, 1), bits: 42 };
+ * const generator = createTimestampGenerator(options); // 7-character IDs
+ * console.log(new Date(getTimestampHorizon(options)).toISOString()); // 2159-05-15T07:35:11.103Z
+ * ```
  */
-declare const _default: typeof generateTimestamp48;
-export default _default;
+export function getTimestampHorizon(options: LayoutOptions & { precision: 'microsecond' }): bigint;
+export function getTimestampHorizon(options?: LayoutOptions & { precision?: 'second' | 'millisecond' }): number;
+export function getTimestampHorizon(options?: LayoutOptions): number | bigint;
 
 /**
- * Type definitions for the timestamp string format
+ * Writes a timestamp as 6 raw big-endian bytes into a caller-provided buffer
+ * 
+ * @description
+ * Nothing is allocated, which suits binary protocols and database keys. When
+ * `timestamp` is omitted a new monotonic timestamp is generated, sharing its
+ * sequence with generateTimestamp48().
+ * 
+ * @param target - Destination buffer (a Node.js Buffer works too)
+ * @param offset - Index of the first byte to write (default: 0)
+ * @param timestamp - Point in time to write instead of generating one
+ * @returns The timestamp that was written
+ * @throws {TimestampRangeError} If the timestamp is out of range
+ * @throws {Error} If the target is too small
+ * 
+ * @example
+ * ```typescript
+ * import { writeTimestamp48, readTimestamp48 } from './timestamp.js';
+ * 
+ * const key = new Uint8Array(16);
+ * const written = writeTimestamp48(key, 0);
+ * console.log(readTimestamp48(key, 0) === written); // true
+ * ```
  */
-export type Timestamp48 = string & {
-  readonly __brand: 'Timestamp48';
-  readonly length: 8;
+export function writeTimestamp48(target: Uint8Array, offset?: number, timestamp?: TimeInput): number;
+
+/**
+ * Reads a timestamp from 6 raw big-endian bytes without allocating
+ * 
+ * @param source - Source buffer
+ * @param offset - Index of the first byte to read (default: 0)
+ * @returns Unix timestamp in milliseconds
+ * @throws {Error} If the source is too small
+ */
+export function readTimestamp48(source: Uint8Array, offset?: number): number;
+
+/**
+ * Fills a preallocated buffer with consecutive monotonic timestamps, 6 bytes each
+ * 
+ * @description
+ * Bulk counterpart of writeTimestamp48() with no 10,000-item cap: timestamp i lands at
+ * `offset + i * 6`. Shares its sequence with generateTimestamp48().
+ * 
+ * @param target - Destination buffer
+ * @param offset - Index of the first byte to write (default: 0)
+ * @param count - Number of timestamps (default: as many as fit after offset)
+ * @returns Number of timestamps written
+ * @throws {CountRangeError} If the count is not a positive integer
+ * @throws {Error} If the count does not fit in the target
+ * 
+ * @example
+ * ```typescript
+ * import { fillTimestamps48, readTimestamp48 } from './timestamp.js';
+ * 
+ * const keys = new Uint8Array(1_000_000 * 6);
+ * fillTimestamps48(keys);
+ * console.log(readTimestamp48(keys, 6) > readTimestamp48(keys, 0)); // true
+ * ```
+ */
+export function fillTimestamps48(target: Uint8Array, offset?: number, count?: number): number;
+
+/**
+ * Options for timestampIterator / timestampStream
+ */
+export interface TimestampStreamOptions extends BatchOptions {
+  /** Number of IDs to produce (default: Infinity) */
+  count?: number;
+  /** Generator whose state and clock are used (default: the shared instance) */
+  generator?: TimestampGenerator;
+  /** IDs queued ahead of the reader, 1 to 10,000 (default: 16; streams only) */
+  highWaterMark?: number;
+}
+
+/**
+ * Lazily yields timestamps with no upper limit
+ * 
+ * @description
+ * Each ID is generated only when the consumer asks for it, so a slow consumer
+ * applies backpressure. Ordering and uniqueness match generateBatch().
+ * 
+ * @param options - Streaming options
+ * @returns Async iterator of encoded timestamps
+ * @throws {CountRangeError} If the count is negative or not an integer
+ * @throws {Error} If other options are invalid
+ * 
+ * @example
+ * ```typescript
+ * import { timestampIterator } from './timestamp.js';
+ * 
+ * for await (const id of timestampIterator({ count: 5_000_000 })) {
+ *   await db.insert({ id });
+ * }
+ * ```
+ */
+export function timestampIterator(options?: TimestampStreamOptions): AsyncGenerator<string, void, undefined>;
+
+/**
+ * Creates a WHATWG ReadableStream of timestamps
+ * 
+ * @description
+ * IDs are generated on pull, at most `highWaterMark` ahead of the reader. For a
+ * Node.js Readable, import timestampStream from 'timestamp-48bit/node'.
+ * 
+ * @param options - Streaming options
+ * @returns Stream of encoded timestamps
+ * @throws {Error} If options are invalid or ReadableStream is not available (Node.js
+ *   before 18)
+ */
+export function timestampStream(options?: TimestampStreamOptions): ReadableStream<string>;
+
+/**
+ * A point in time: Unix milliseconds (integer or bigint) or a Date
+ */
+export type TimeInput = number | bigint | Date;
+
+/**
+ * Encodes an arbitrary point in time in the 8-character timestamp format
+ * 
+ * @description
+ * Useful for backfilling historic records and building range-scan boundaries.
+ * 
+ * @param time - Unix milliseconds (integer in [0, 2^48)) or a Date
+ * @param options - Output encoding
+ * @returns Encoded timestamp
+ * @throws {TimestampRangeError} If the value is not a finite integer in the 48-bit range
+ * 
+ * @example
+ * ```typescript
+ * import { encodeTimestamp48 } from './timestamp.js';
+ * 
+ * console.log(encodeTimestamp48(1756653182094)); // "AZkAsFyO"
+ * console.log(encodeTimestamp48(new Date('2001-09-09T01:46:40Z'))); // "AOjUpRAA"
+ * ```
+ */
+export function encodeTimestamp48(time: TimeInput, options?: { encoding?: 'base64url'; prefix?: ''; key?: undefined; bits?: 48 }): Timestamp48;
+export function encodeTimestamp48(time: TimeInput, options?: EncodingOptions & { key?: TimestampKey; precision?: TimestampPrecision }): string;
+
+/**
+ * Options for minForTime / maxForTime
+ */
+export interface TimeBoundOptions extends EncodingOptions {
+  /** Bound counter-format IDs (timestamp + counter) instead of plain timestamps (default: false) */
+  counter?: boolean;
+  /**
+   * Unit of the IDs; numbers and bigints passed as times are read in it (default:
+   * 'millisecond'). Counter IDs are always in milliseconds.
+   */
+  precision?: TimestampPrecision;
+}
+
+/**
+ * Returns the lowest ID that can be issued at the given time
+ * 
+ * @description
+ * Combine with maxForTime() to select all IDs between two dates. String comparison
+ * only matches time order for the sortable encodings (every built-in encoding except
+ * base64url); decode and compare numbers otherwise.
+ * 
+ * @param time - Point in time: Unix time in the precision's unit, or a Date
+ * @param options - Encoding, precision and counter mode of the scanned IDs
+ * @returns Lowest encoded ID for that tick
+ * @throws {TimestampRangeError} If the time is out of range
+ * @throws {Error} If options are invalid
+ * 
+ * @example
+ * ```typescript
+ * import { minForTime, maxForTime } from './timestamp.js';
+ * 
+ * const options = { encoding: 'base64sortable' } as const;
+ * const from = minForTime(new Date('2024-01-01'), options);
+ * const to = maxForTime(new Date('2024-01-02'), options);
+ * // SELECT * FROM events WHERE id BETWEEN :from AND :to
+ * ```
+ */
+export function minForTime(time: TimeInput, options?: TimeBoundOptions): string;
+
+/**
+ * Returns the highest ID that can be issued at the given time (see minForTime)
+ * 
+ * @param time - Point in time: Unix time in the precision's unit, or a Date
+ * @param options - Encoding, precision and counter mode of the scanned IDs
+ * @returns Highest encoded ID for that tick
+ * @throws {TimestampRangeError} If the time is out of range
+ * @throws {Error} If options are invalid
+ */
+export function maxForTime(time: TimeInput, options?: TimeBoundOptions): string;
+
+/**
+ * Converts an encoded timestamp to its 6 raw big-endian bytes
+ * 
+ * @description
+ * Raw bytes carry Unix milliseconds, so second and microsecond IDs are rejected.
+ * 
+ * @param encoded - Encoded timestamp
+ * @param options - Encoding the timestamp was written in
+ * @returns A new 6-byte array
+ * @throws {InvalidTimestampError} If the encoded string is malformed
+ * @throws {Error} If options are invalid
+ */
+export function toBytes(encoded: string, options?: ValidationOptions & { precision?: 'millisecond' }): Uint8Array;
+
+/**
+ * Converts 6 raw big-endian bytes to an encoded timestamp
+ * 
+ * @param bytes - Source buffer
+ * @param offset - Index of the first byte (default: 0)
+ * @param options - Output encoding
+ * @returns Encoded timestamp
+ * @throws {Error} If the source is too small
+ */
+export function fromBytes(bytes: Uint8Array, offset?: number, options?: { encoding?: 'base64url'; prefix?: '' }): Timestamp48;
+export function fromBytes(bytes: Uint8Array, offset?: number, options?: EncodingOptions): string;
+
+/**
+ * Policy when more than 4096 IDs are requested within one millisecond
+ * - `wait`: block until the wall clock ticks over (default)
+ * - `throw`: throw an Error
+ * - `spill`: borrow the next millisecond, as generateTimestamp48() does
+ */
+export type CounterOverflowPolicy = 'wait' | 'throw' | 'spill';
+
+/**
+ * Generates a 10-character timestamp with a 12-bit sub-millisecond counter
+ * 
+ * @description
+ * The first 8 characters are the true wall-clock millisecond, encoded exactly like
+ * generateTimestamp48(); the last 2 characters encode a counter (RFC 9562 method 1)
+ * that keeps IDs strictly ordered within the same millisecond.
+ * 
+ * @param options - Generation options
+ * @returns A 10-character Base64URL encoded timestamp and counter
+ * @throws {Error} If options are invalid or the counter overflows under the 'throw' policy
+ * 
+ * @example
+ * ```typescript
+ * import { generateTimestampWithCounter, decodeTimestampWithCounter } from './timestamp.js';
+ * 
+ * const id = generateTimestampWithCounter();
+ * console.log(decodeTimestampWithCounter(id)); // e.g., { timestamp: 1792437662184, counter: 0 }
+ * ```
+ */
+export function generateTimestampWithCounter(
+  options?: CounterOptions & { encoding?: 'base64url'; prefix?: ''; randomBytes?: 0; key?: undefined; bits?: 48; precision?: 'millisecond' }
+): TimestampWithCounter;
+export function generateTimestampWithCounter(options: CounterOptions): string;
+
+/**
+ * Options for generateTimestampWithCounter
+ */
+export interface CounterOptions extends TimestampOptions {
+  /** Policy when more than 4096 IDs are requested in one millisecond (default: 'wait') */
+  onOverflow?: CounterOverflowPolicy;
+}
+
+/**
+ * Decodes a 10-character counter timestamp
+ * 
+ * @param encoded - 10-character Base64URL encoded timestamp and counter
+ * @param options - Encoding, prefix and random bytes the ID was written with; the counter
+ * takes as many digits as the alphabet needs for 12 bits
+ * @returns Unix timestamp in milliseconds and counter (0-4095)
+ * @throws {InvalidTimestampError} If the encoded string is malformed
+ */
+export function decodeTimestampWithCounter(encoded: string, options?: EncodingOptions & RandomSuffixOptions): {
+  timestamp: number;
+  counter: number;
+};
+
+/**
+ * Validates a counter timestamp format without decoding
+ * 
+ * @param timestamp - Timestamp to validate
+ * @param options - Expected encoding, prefix and random bytes
+ * @returns True if valid format
+ */
+export function isValidTimestampWithCounter(
+  timestamp: string,
+  options?: { encoding?: 'base64url'; prefix?: ''; randomBytes?: 0; key?: undefined; bits?: 48 }
+): timestamp is TimestampWithCounter;
+export function isValidTimestampWithCounter(timestamp: string, options?: EncodingOptions & RandomSuffixOptions): boolean;
+
+/**
+ * Generates an ID in the node ID format: timestamp, node ID and sub-millisecond counter
+ * 
+ * @description
+ * A Snowflake-like layout for several processes or worker threads writing to the same
+ * store: the timestamp is followed by one field holding the node ID in its high bits
+ * and the 12-bit counter in its low bits. IDs from different node IDs never collide,
+ * and within one encoding they sort by time, then node, then counter.
+ * 
+ * With the default 10 node bits a Base64URL ID is 12 characters. The default generator
+ * reads its node ID from the `TS48_NODE_ID` environment variable; use
+ * `createTimestampGenerator({ nodeId })` to set it in code.
+ * 
+ * @param options - Generation options
+ * @returns Encoded ID
+ * @throws {Error} If no node ID is configured, options are invalid or the counter
+ *   overflows under the 'throw' policy
+ * 
+ * @example
+ * ```typescript
+ * import { createTimestampGenerator, decodeTimestampWithNode } from './timestamp.js';
+ * import { threadId } from 'node:worker_threads';
+ * 
+ * const generator = createTimestampGenerator({ nodeId: threadId });
+ * const id = generator.generateWithNode();
+ * console.log(decodeTimestampWithNode(id)); // e.g., { timestamp: 1792439279201, nodeId: 3, counter: 0 }
+ * ```
+ */
+export function generateTimestampWithNode(options?: CounterOptions): string;
+
+/**
+ * Options for decoding or validating an ID in the node ID format
+ */
+export interface NodeFormatOptions extends EncodingOptions, RandomSuffixOptions {
+  /** Node bits the ID was generated with (default: 10) */
+  nodeBits?: number;
+}
+
+/**
+ * Decodes an ID in the node ID format
+ * 
+ * @param encoded - Encoded ID
+ * @param options - Encoding, prefix and node bits the ID was generated with
+ * @returns Unix timestamp in milliseconds, node ID and counter (0-4095)
+ * @throws {InvalidTimestampError} If the encoded string is malformed
+ */
+export function decodeTimestampWithNode(encoded: string, options?: NodeFormatOptions): {
+  timestamp: number;
+  nodeId: number;
+  counter: number;
+};
+
+/**
+ * Validates an ID in the node ID format without throwing
+ * 
+ * @param timestamp - ID to validate
+ * @param options - Expected encoding, prefix and node bits
+ * @returns True if valid format
+ * @throws {Error} If options are invalid
+ */
+export function isValidTimestampWithNode(timestamp: string, options?: NodeFormatOptions): boolean;
+
+/**
+ * Options for inspecting or formatting an existing ID
+ */
+export interface InspectOptions extends EncodingOptions, RandomSuffixOptions {
+  /** The ID carries a sub-millisecond counter (default: false) */
+  counter?: boolean;
+  /** Unit the ID was generated with (default: 'millisecond'); counter IDs are always in milliseconds */
+  precision?: TimestampPrecision;
+}
+
+/**
+ * Everything a dashboard or log viewer typically shows for an ID
+ */
+export interface TimestampInspection {
+  /** Unix timestamp in milliseconds, rounded down for microsecond IDs */
+  ms: number;
+  date: Date;
+  /** ISO-8601 string in UTC */
+  iso: string;
+  /** Raw 6 big-endian bytes */
+  bytes: Uint8Array;
+  /** Milliseconds since the timestamp; negative if it lies in the future */
+  age: number;
+  /** Name of the encoding the ID was decoded with */
+  encoding: string;
+  /** Sub-millisecond counter (0-4095), only for counter IDs */
+  counter?: number;
+  isFuture: boolean;
+}
+
+/**
+ * Decodes an ID into its time, bytes, age and (for counter IDs) counter
+ * 
+ * @param encoded - Encoded timestamp
+ * @param options - Encoding, prefix and precision; set `counter` for counter IDs
+ * @returns Decoded ID
+ * @throws {InvalidTimestampError} If the encoded string is malformed
+ * 
+ * @example
+ * ```typescript
+ * import { inspectTimestamp48 } from './timestamp.js';
+ * 
+ * const { iso, age, isFuture } = inspectTimestamp48('AZkAqFyO');
+ * console.log(iso); // "2025-08-31T15:04:17.806Z"
+ * ```
+ */
+export function inspectTimestamp48(encoded: string, options: InspectOptions & { counter: true }): TimestampInspection & { counter: number };
+export function inspectTimestamp48(encoded: string, options?: InspectOptions): TimestampInspection;
+
+/**
+ * Options for formatTimestamp48
+ */
+export interface FormatTimestampOptions extends InspectOptions {
+  /** IANA time zone such as 'Europe/Berlin' (default: the runtime's zone) */
+  timeZone?: string;
+  /**
+   * Preset applied as both dateStyle and timeStyle, or Intl.DateTimeFormat options
+   * (default: 'medium')
+   */
+  format?: 'full' | 'long' | 'medium' | 'short' | Intl.DateTimeFormatOptions;
+  /** BCP 47 locale(s) (default: the runtime's locale) */
+  locale?: string | string[];
+}
+
+/**
+ * Formats the time carried by an ID for display, using Intl.DateTimeFormat
+ * 
+ * @description
+ * Preset formatters are cached per locale and time zone, so rendering long lists of
+ * IDs does not rebuild them.
+ * 
+ * @param encoded - Encoded timestamp
+ * @param options - Decode and display options
+ * @returns Formatted date and time
+ * @throws {InvalidTimestampError} If the encoded string is malformed
+ * @throws {RangeError} If the locale or time zone is not supported
+ * 
+ * @example
+ * ```typescript
+ * import { formatTimestamp48 } from './timestamp.js';
+ * 
+ * formatTimestamp48('AZkAqFyO', { timeZone: 'Asia/Tokyo', locale: 'en-US' });
+ * // "Sep 1, 2025, 12:04:17 AM"
+ * formatTimestamp48('AZkAqFyO', { timeZone: 'UTC', format: { hour: '2-digit', minute: '2-digit' } });
+ * ```
+ */
+export function formatTimestamp48(encoded: string, options?: FormatTimestampOptions): string;
+
+/**
+ * Compares two encoded timestamps without decoding them
+ * 
+ * @description
+ * Works digit by digit on the encoding's lookup table, so case-insensitive letters and
+ * aliases compare like their canonical spelling and Base64URL IDs compare in time order
+ * even though their string order differs.
+ * 
+ * @param a - Encoded timestamp
+ * @param b - Encoded timestamp
+ * @param options - Encoding, prefix, epoch, bit width and precision shared by both IDs
+ * @returns Negative if `a` is earlier, positive if later, 0 for the same tick
+ * @throws {InvalidTimestampError} If either ID is malformed
+ * 
+ * @example
+ * ```typescript
+ * import { compareTimestamp48 } from './timestamp.js';
+ * 
+ * ids.sort((a, b) => compareTimestamp48(a, b));
+ * ```
+ */
+export function compareTimestamp48(a: string, b: string, options?: EncodingOptions & { precision?: TimestampPrecision }): number;
+
+/**
+ * Sorts encoded timestamps in time order
+ * 
+ * @param ids - Encoded timestamps
+ * @param options - Encoding, prefix, epoch, bit width and precision shared by all IDs
+ * @returns New array, oldest first; IDs of the same tick keep their input order
+ * @throws {InvalidTimestampError} If an ID is malformed
+ */
+export function sortTimestamps<T extends string>(ids: Iterable<T>, options?: EncodingOptions & { precision?: TimestampPrecision }): T[];
+
+/**
+ * Gets the time between two encoded timestamps
+ * 
+ * @param a - Encoded timestamp
+ * @param b - Encoded timestamp
+ * @param options - Encoding, prefix, epoch, bit width and precision shared by both IDs
+ * @returns `a` minus `b` in milliseconds; fractional for microsecond IDs
+ * @throws {InvalidTimestampError} If either ID is malformed
+ */
+export function diffMs(a: string, b: string, options?: EncodingOptions & { precision?: TimestampPrecision }): number;
+
+/**
+ * Checks whether `a` is from an earlier tick than `b`
+ * 
+ * @throws {InvalidTimestampError} If either ID is malformed
+ */
+export function isBefore(a: string, b: string, options?: EncodingOptions & { precision?: TimestampPrecision }): boolean;
+
+/**
+ * Checks whether `a` is from a later tick than `b`
+ * 
+ * @throws {InvalidTimestampError} If either ID is malformed
+ */
+export function isAfter(a: string, b: string, options?: EncodingOptions & { precision?: TimestampPrecision }): boolean;
+
+/**
+ * Checks whether an encoded timestamp falls within a time range, both ends inclusive
+ * 
+ * @param id - Encoded timestamp
+ * @param from - Start: an encoded timestamp (same encoding and prefix), a Unix time in the
+ *   precision's unit (milliseconds by default) or a Date
+ * @param to - End, in the same forms as `from`
+ * @param options - Encoding, prefix, epoch, bit width and precision of `id` and of encoded bounds
+ * @returns True if `from <= id <= to`
+ * @throws {InvalidTimestampError} If the ID or an encoded bound is malformed
+ * @throws {TimestampRangeError} If a numeric bound is out of range
+ * 
+ * @example
+ * ```typescript
+ * import { inRange } from './timestamp.js';
+ * 
+ * const lastHour = inRange(id, new Date(Date.now() - 3_600_000), Date.now());
+ * ```
+ */
+export function inRange(id: string, from: string | TimeInput, to: string | TimeInput, options?: EncodingOptions & { precision?: TimestampPrecision }): boolean;
+
+/**
+ * Bucket length: a named unit or a positive integer of milliseconds
+ */
+export type BucketUnit = 'minute' | 'hour' | 'day' | number;
+
+/**
+ * A time bucket, such as the hourly or daily partition an ID belongs to
+ */
+export interface TimeBucket {
+  /** Bucket start in Unix milliseconds */
+  start: number;
+  /** Lowest ID of the bucket, as minForTime() returns it */
+  boundary: string;
+}
+
+/**
+ * Finds the time bucket of an ID
+ * 
+ * @description
+ * Buckets are aligned to the Unix epoch, so days run from midnight to midnight UTC.
+ * The options describe the ID (`counter: true` for the counter format) and the boundary.
+ * 
+ * @param id - Encoded ID, Unix time in the precision's unit or a Date
+ * @param unit - Bucket length
+ * @param options - Encoding, prefix, precision and counter mode of the ID
+ * @returns Bucket start and boundary
+ * @throws {InvalidTimestampError} If the ID is malformed
+ * @throws {Error} If the unit or options are invalid
+ * 
+ * @example
+ * ```typescript
+ * import { bucketOf } from './timestamp.js';
+ * 
+ * const { start, boundary } = bucketOf('AZRqNgOZ', 'hour');
+ * console.log(new Date(start).toISOString(), boundary); // "2025-01-15T13:00:00.000Z" "AZRqDKCA"
+ * ```
+ */
+export function bucketOf(id: string | TimeInput, unit: BucketUnit, options?: TimeBoundOptions): TimeBucket;
+
+/**
+ * Lists the buckets from the one holding `from` through the one holding `to`
+ * 
+ * @description
+ * Arguments are validated immediately; buckets are produced as the generator is
+ * iterated, so long ranges of small buckets cost nothing up front. Yields nothing if
+ * `to` falls in an earlier bucket than `from`.
+ * 
+ * @param from - First ID or point in time
+ * @param to - Last ID or point in time, inclusive
+ * @param unit - Bucket length
+ * @param options - Encoding, prefix, precision and counter mode of the IDs
+ * @returns Buckets in time order
+ * @throws {InvalidTimestampError} If an ID is malformed
+ * @throws {Error} If the unit or options are invalid
+ */
+export function bucketsBetween(
+  from: string | TimeInput,
+  to: string | TimeInput,
+  unit: BucketUnit,
+  options?: TimeBoundOptions
+): Generator<TimeBucket, void, undefined>;
+
+/**
+ * Returns the longest string prefix shared by every ID in a bucket, for prefix scans
+ * in key-value stores
+ * 
+ * @description
+ * Buckets rarely line up with digit boundaries, so the prefix can also match IDs of
+ * neighbouring buckets; filter the scan with bucketOf(), or scan the exact range from
+ * minForTime() to maxForTime() where the store supports it.
+ * 
+ * @param time - An ID or point in time inside the bucket
+ * @param unit - Bucket length
+ * @param options - Encoding, prefix, precision and counter mode of the IDs
+ * @returns Prefix, including `options.prefix`
+ * @throws {InvalidTimestampError} If the ID is malformed
+ * @throws {Error} If the unit or options are invalid, or the encoding has no alphabet
+ * 
+ * @example
+ * ```typescript
+ * import { prefixForBucket } from './timestamp.js';
+ * 
+ * prefixForBucket(Date.UTC(2025, 0, 15), 'day'); // "AZR"
+ * prefixForBucket(Date.UTC(2025, 0, 15), 'hour', { encoding: 'hex', prefix: 'events/' }); // "events/019467"
+ * ```
+ */
+export function prefixForBucket(time: string | TimeInput, unit: BucketUnit, options?: TimeBoundOptions): string;
+
+/**
+ * A Base64URL ID of one entity type, such as `usr_${Timestamp48}`
+ * 
+ * @description
+ * IDs of different types are different string types, so passing an order ID where a
+ * user ID is expected fails to compile.
+ */
+export type PrefixedId<Type extends string, Separator extends string = '_'> = `${Type}${Separator}${Timestamp48}`;
+
+/**
+ * Options for createPrefixedId
+ */
+export interface PrefixedIdOptions<Separator extends string = '_'> {
+  /** Printable ASCII between type and timestamp (default: '_') */
+  separator?: Separator;
+  /** Timestamp encoding (default: 'base64url') */
+  encoding?: EncodingName | TimestampEncoding;
+  /** Generator to draw timestamps from (default: the shared instance) */
+  generator?: TimestampGenerator;
+  /** Random bytes appended to each ID (default: 0) */
+  randomBytes?: number;
+  /** Key that hides the time of each ID */
+  key?: TimestampKey;
+  /** Time stored as zero (default: 0) */
+  epoch?: TimeInput;
+  /** Width of the timestamp, 1-48, or 1-64 for microseconds (default: the precision's) */
+  bits?: number;
+  /** Unit of the stored time (default: 'millisecond') */
+  precision?: TimestampPrecision;
+}
+
+/**
+ * Functions for the IDs of one entity type, returned by createPrefixedId; `Time` is what
+ * decode returns, a bigint for microsecond precision
+ */
+export interface PrefixedIdFactory<Type extends string, Prefix extends string, Id extends string, Time extends number | bigint = number> {
+  /** Entity type, e.g. 'usr' */
+  readonly type: Type;
+  /** Type and separator, e.g. 'usr_' */
+  readonly prefix: Prefix;
+  /** Generates a new ID of this type */
+  generate(): Id;
+  /**
+   * Decodes an ID of this type to Unix milliseconds, or to seconds or microseconds for
+   * those precisions
+   * @throws {InvalidTimestampError} If the ID lacks the prefix or is malformed
+   * @throws {TimestampRangeError} If the timestamp lies outside the requested window
+   */
+  decode(id: Id, options?: ValidationWindowOptions): Time;
+  /** Checks that a string is an ID of this type; use it to narrow untrusted input */
+  isValid(id: string, options?: ValidationWindowOptions): id is Id;
+}
+
+/**
+ * Creates functions that add and check an entity type prefix, Stripe-style
+ * 
+ * @param type - Entity type: ASCII letters and digits
+ * @param options - Separator, encoding, generator, random suffix length and key
+ * @returns Frozen ID functions
+ * @throws {Error} If the type or options are invalid
+ * 
+ * @example
+ * ```typescript
+ * import { createPrefixedId, PrefixedId } from './timestamp.js';
+ * 
+ * const userIds = createPrefixedId('usr');
+ * const orderIds = createPrefixedId('ord');
+ * 
+ * function loadUser(id: PrefixedId<'usr'>) { ... }
+ * 
+ * const userId = userIds.generate(); // e.g. "usr_AZkAqFyO"
+ * loadUser(userId);
+ * loadUser(orderIds.generate()); // compile error: `ord_${Timestamp48}` is not `usr_${Timestamp48}`
+ * 
+ * const raw: string = request.params.id;
+ * if (userIds.isValid(raw, { strict: true })) loadUser(raw);
+ * ```
+ */
+export function createPrefixedId<Type extends string, Separator extends string = '_'>(
+  type: Type,
+  options?: PrefixedIdOptions<Separator> & { encoding?: 'base64url'; randomBytes?: 0; key?: undefined; bits?: 48; precision?: 'millisecond' }
+): PrefixedIdFactory<Type, `${Type}${Separator}`, PrefixedId<Type, Separator>>;
+export function createPrefixedId<Type extends string, Separator extends string = '_'>(
+  type: Type,
+  options: PrefixedIdOptions<Separator> & { precision: 'microsecond' }
+): PrefixedIdFactory<Type, `${Type}${Separator}`, `${Type}${Separator}${string}`, bigint>;
+export function createPrefixedId<Type extends string, Separator extends string = '_'>(
+  type: Type,
+  options: PrefixedIdOptions<Separator> & { precision?: 'second' | 'millisecond' }
+): PrefixedIdFactory<Type, `${Type}${Separator}`, `${Type}${Separator}${string}`>;
+export function createPrefixedId<Type extends string, Separator extends string = '_'>(
+  type: Type,
+  options: PrefixedIdOptions<Separator>
+): PrefixedIdFactory<Type, `${Type}${Separator}`, `${Type}${Separator}${string}`, number | bigint>;
+
+/**
+ * Key returned by createTimestampKey
+ */
+export interface TimestampKey {
+  /** Key ID written in front of every ID generated with this key */
+  readonly id: string;
+  readonly __brand: 'TimestampKey';
+}
+
+/**
+ * Derives a key that hides the creation time of IDs from their holders
+ * 
+ * @description
+ * Keyed IDs carry the timestamp through a reversible 48-bit permutation, an 8-round
+ * Feistel network whose S-boxes and round keys are expanded from the secret with
+ * HMAC-SHA-256 (Web Crypto), and start with the key ID. To rotate, generate with the new
+ * key and decode with a keyring of the new and retired keys; the key ID selects one.
+ * 
+ * Keyed IDs no longer sort by time, and the counter and node formats cannot be keyed.
+ * The permutation hides rather than authenticates: anyone can submit an ID that decodes
+ * to some time, so decode untrusted IDs with `{ strict: true }` or explicit bounds.
+ * 
+ * @param secret - At least 16 bytes; strings are UTF-8 encoded
+ * @param options - Key ID: ASCII letters and digits
+ * @returns Key for the `key` option of the generation, encode and decode functions
+ * @throws {Error} If the secret or key ID is invalid, or Web Crypto is not available
+ * 
+ * @example
+ * ```typescript
+ * import { createTimestampKey, createTimestampGenerator, decodeTimestamp48 } from './timestamp.js';
+ * 
+ * const current = await createTimestampKey(process.env.ID_SECRET_2, { id: 'k2' });
+ * const retired = await createTimestampKey(process.env.ID_SECRET_1, { id: 'k1' });
+ * 
+ * const generator = createTimestampGenerator({ key: current });
+ * const id = generator.generate(); // e.g. "k2WFCFMcYQ"
+ * decodeTimestamp48(id, { key: [current, retired], strict: true });
+ * ```
+ */
+export function createTimestampKey(secret: string | ArrayBuffer | ArrayBufferView, options: { id: string }): Promise<TimestampKey>;
+
+/**
+ * Key for signed tokens: an HMAC SHA-256 CryptoKey with the `sign` usage, or a secret of
+ * at least 16 bytes that is imported on every call (strings are UTF-8 encoded)
+ */
+export type TokenSigningKey = CryptoKey | string | ArrayBuffer | ArrayBufferView;
+
+/**
+ * Signs a fresh timestamp, producing a token that only holders of the key can mint
+ * 
+ * @description
+ * The token is the 8-character Base64URL timestamp followed by 24 characters of
+ * HMAC-SHA-256, truncated to 144 bits, over the label `ts48 token v1` and the 6 raw
+ * timestamp bytes. `decodeTimestamp48(token.slice(0, 8))` still reads its time.
+ * 
+ * @param key - Signing key
+ * @param options - Generator to draw the timestamp from (default: the shared instance)
+ * @returns 32-character token
+ * @throws {Error} If the key or options are invalid, or Web Crypto is not available
+ */
+export function signTimestamp48(key: TokenSigningKey, options?: { generator?: TimestampGenerator }): Promise<string>;
+
+/**
+ * Options for verifyTimestamp48
+ */
+export interface VerifyTimestampOptions {
+  /** Oldest accepted age (default: Infinity) */
+  maxAgeMs?: number;
+  /** How far past the clock a token may lie (default: 300000, 5 minutes) */
+  maxFutureSkewMs?: number;
+  /** Returns the current Unix time in milliseconds (default: Date.now) */
+  clock?: () => number;
+}
+
+/**
+ * Verifies a token from signTimestamp48 and checks its age
+ * 
+ * @description
+ * The MAC is compared first, in constant time, so forged tokens learn nothing about the
+ * time checks. Unlike getTimestampAge on a plain ID, a passing check proves the key
+ * holder issued the timestamp.
+ * 
+ * @param token - Token to verify
+ * @param key - Key the token was signed with; a CryptoKey needs the `sign` usage
+ * @param options - Age limits and clock
+ * @returns Signed Unix timestamp in milliseconds
+ * @throws {InvalidTimestampError} If the token is malformed
+ * @throws {TokenVerificationError} BAD_SIGNATURE, EXPIRED or FUTURE_DATED
+ * @throws {Error} If the key or options are invalid, or Web Crypto is not available
+ * 
+ * @example
+ * ```typescript
+ * import { signTimestamp48, verifyTimestamp48, TokenVerificationError } from './timestamp.js';
+ * 
+ * const nonce = await signTimestamp48(secret); // e.g. "AYvP5WgA5bwzCKhF82tUZjEAMa9eDtMT"
+ * 
+ * try {
+ *   await verifyTimestamp48(request.headers['x-nonce'], secret, { maxAgeMs: 30_000 });
+ * } catch (error) {
+ *   if (error instanceof TokenVerificationError) reply(401, error.code);
+ *   else throw error;
+ * }
+ * ```
+ */
+export function verifyTimestamp48(token: string, key: TokenSigningKey, options?: VerifyTimestampOptions): Promise<number>;
+
+/**
+ * Output formats supported by generateUUIDv7
+ */
+export type UUIDv7Format = 'hex' | 'bytes' | 'base64url';
+
+/**
+ * Generates an RFC 9562 UUIDv7 around the monotonic 48-bit timestamp
+ * 
+ * @description
+ * The `unix_ts_ms` field carries the wall-clock millisecond and `rand_a` the shared
+ * 12-bit sub-millisecond counter (RFC 9562 method 1), so UUIDs share their ordering with
+ * generateTimestampWithCounter(). The version and variant bits are set per RFC 9562 and
+ * `rand_b` is filled from `crypto.getRandomValues`.
+ * 
+ * @param options - Generation options
+ * @returns Canonical 36-char hex string, raw 16 bytes, or 22-char Base64URL string
+ * @throws {Error} If the format is unsupported, the counter overflows under the 'throw'
+ * policy or no secure random source is available (Node.js 16 and 18 need
+ * --experimental-global-webcrypto)
+ * 
+ * @example
+ * ```typescript
+ * import { generateUUIDv7 } from './timestamp.js';
+ * 
+ * console.log(generateUUIDv7()); // e.g., "01a1559c-31e8-7505-9136-5fa3b922d6b4"
+ * console.log(generateUUIDv7({ format: 'base64url' })); // e.g., "AaFVnDH0emKdCAx06_Wv4g"
+ * ```
+ */
+export function generateUUIDv7(options?: { format?: 'hex'; onOverflow?: CounterOverflowPolicy }): string;
+export function generateUUIDv7(options: { format: 'base64url'; onOverflow?: CounterOverflowPolicy }): string;
+export function generateUUIDv7(options: { format: 'bytes'; onOverflow?: CounterOverflowPolicy }): Uint8Array;
+export function generateUUIDv7(options?: { format?: UUIDv7Format; onOverflow?: CounterOverflowPolicy }): string | Uint8Array;
+
+/**
+ * Result of parsing a UUIDv7
+ */
+export interface ParsedUUIDv7 {
+  /** Unix timestamp in milliseconds */
+  readonly timestamp: number;
+  /** The unix_ts_ms field as an 8-char Base64URL timestamp */
+  readonly timestamp48: Timestamp48;
+  /** The 12-bit sub-millisecond counter stored in rand_a */
+  readonly counter: number;
+  /** Raw 16 UUID bytes */
+  readonly bytes: Uint8Array;
+}
+
+/**
+ * Parses a UUIDv7 and extracts its 48-bit timestamp
+ * 
+ * @param uuid - Canonical hex string, 22-char Base64URL string or 16 raw bytes
+ * @returns Timestamp, equivalent Timestamp48 and raw bytes
+ * @throws {Error} If the input is not a valid UUIDv7, or a Base64URL one has non-zero
+ *   padding bits in its last character
+ * 
+ * @example
+ * ```typescript
+ * import { generateUUIDv7, parseUUIDv7 } from './timestamp.js';
+ * 
+ * const { timestamp, timestamp48 } = parseUUIDv7(generateUUIDv7());
+ * console.log(new Date(timestamp).toISOString());
+ * ```
+ */
+export function parseUUIDv7(uuid: string | Uint8Array): ParsedUUIDv7;
+
+/**
+ * Names of the built-in encodings
+ */
+export type EncodingName = 'base64url' | 'base64sortable' | 'base32crockford' | 'hex' | 'base58' | 'base62';
+
+/**
+ * Fixed-width timestamp encoding
+ */
+export interface TimestampEncoding {
+  /** Encoding name */
+  readonly name: string;
+  /** Digit characters in ascending value order (absent on hand-written encoders) */
+  readonly alphabet?: string;
+  /** Number of characters in an encoded 48-bit timestamp */
+  readonly length: number;
+  /** Encodes Unix milliseconds in [0, 2^48) */
+  encode(time: TimeInput): string;
+  /** Decodes back to Unix milliseconds; throws on invalid input */
+  decode(encoded: string): number;
+  /** Checks format (and 48-bit range) without throwing */
+  isValid(timestamp: string): boolean;
+}
+
+/**
+ * Options selecting the encoding, prefix, epoch and bit width of an existing ID
+ */
+export interface EncodingOptions extends EpochOptions {
+  /** Encoding the ID was written in (default: 'base64url') */
+  encoding?: EncodingName | TimestampEncoding;
+  /** Prefix the ID was generated with (default: '') */
+  prefix?: string;
+}
+
+/**
+ * Epoch and bit width of string IDs
+ */
+export interface EpochOptions {
+  /** Time stored as zero (default: 0, the Unix epoch) */
+  epoch?: TimeInput;
+  /** Width of the stored offset, 1-48, or 1-64 for microseconds (default: the precision's) */
+  bits?: number;
+}
+
+/**
+ * Unit of the time stored in string IDs
+ * 
+ * @description
+ * Second IDs fit 36 bits (year 4147) in 6 Base64URL characters; microsecond IDs hold
+ * 54 bits in 9 characters and decode to a bigint, since their values pass 2^53.
+ */
+export type TimestampPrecision = 'second' | 'millisecond' | 'microsecond';
+
+/**
+ * Epoch, bit width and precision of string IDs
+ */
+export interface LayoutOptions extends EpochOptions {
+  /** Unit of the stored time (default: 'millisecond') */
+  precision?: TimestampPrecision;
+}
+
+/**
+ * Random suffix length of an existing ID
+ */
+export interface RandomSuffixOptions {
+  /** Random bytes the ID was generated with (default: 0) */
+  randomBytes?: number;
+}
+
+/**
+ * Plausibility checks applied when decoding or validating untrusted IDs
+ * 
+ * @description
+ * Explicit bounds always apply. `strict` also requires the canonical spelling and
+ * fills omitted bounds with `notBefore` 2000-01-01T00:00:00Z and `maxFutureSkewMs`
+ * 300000 (5 minutes).
+ */
+export interface ValidationWindowOptions {
+  /** Reject alternative spellings and implausible times (default: false) */
+  strict?: boolean;
+  /** Earliest accepted time */
+  notBefore?: TimeInput;
+  /** Latest accepted time */
+  notAfter?: TimeInput;
+  /** How far past Date.now() a timestamp may lie */
+  maxFutureSkewMs?: number;
+}
+
+/**
+ * Options for decoding and validating an existing ID
+ */
+export interface ValidationOptions extends EncodingOptions, RandomSuffixOptions, ValidationWindowOptions {
+  /** Key the ID was generated with, or a keyring of current and retired keys */
+  key?: TimestampKey | readonly TimestampKey[];
+  /** Unit the ID was generated with; window bounds are read in this unit (default: 'millisecond') */
+  precision?: TimestampPrecision;
+}
+
+/**
+ * Built-in encodings
+ * 
+ * @description
+ * - `base64url`: RFC 4648 Base64URL, 8 chars (default)
+ * - `base64sortable`: the Base64URL characters in ASCII order (`-0-9A-Z_a-z`), 8 chars
+ * - `base32crockford`: Crockford Base32, 10 chars, ULID-compatible, case-insensitive
+ * - `hex`: lowercase hexadecimal, 12 chars
+ * - `base58`: Bitcoin Base58 alphabet, 9 chars
+ * - `base62`: 0-9 A-Z a-z, 9 chars
+ * 
+ * All except base64url sort lexicographically in time order, so string-sorted indexes
+ * (Redis sorted sets, S3 key prefixes) list IDs chronologically.
+ * 
+ * @example
+ * ```typescript
+ * import { createTimestampGenerator, decodeTimestamp48 } from './timestamp.js';
+ * 
+ * const sortable = createTimestampGenerator({ encoding: 'base64sortable' });
+ * const ids = [sortable.generate(), sortable.generate()];
+ * console.log([...ids].sort()[0] === ids[0]); // true
+ * console.log(decodeTimestamp48(ids[0], { encoding: 'base64sortable' }));
+ * ```
+ * 
+ * @example
+ * ```typescript
+ * import { encodings } from './timestamp.js';
+ * 
+ * console.log(encodings.base32crockford.encode(1469918176385)); // "01ARYZ6S41"
+ * console.log(encodings.hex.decode('019900b05c8e')); // 1756653182094
+ * ```
+ */
+export const encodings: {
+  readonly [Name in EncodingName]: TimestampEncoding;
+};
+
+/**
+ * Creates a custom fixed-width timestamp encoding from an alphabet
+ * 
+ * @param name - Encoding name
+ * @param alphabet - 2 to 64 unique printable ASCII characters in ascending value order
+ * @param options - Decoding options
+ * @returns A frozen encoding usable anywhere an `encoding` option is accepted
+ * @throws {Error} If the alphabet or options are invalid
+ * 
+ * @example
+ * ```typescript
+ * import { createEncoding, createTimestampGenerator } from './timestamp.js';
+ * 
+ * const base36 = createEncoding('base36', '0123456789abcdefghijklmnopqrstuvwxyz');
+ * const generator = createTimestampGenerator({ encoding: base36 });
+ * console.log(generator.generate()); // e.g., "00mvfnbwgh"
+ * ```
+ */
+export function createEncoding(
+  name: string,
+  alphabet: string,
+  options?: {
+    /** Accept either letter case when decoding (default: false) */
+    caseInsensitive?: boolean;
+    /** Extra single characters accepted when decoding, mapped to alphabet characters */
+    aliases?: Record<string, string>;
+  }
+): TimestampEncoding;
+
+/**
+ * Options for createTimestampGenerator
+ */
+export interface TimestampGeneratorOptions extends TimestampOptions {
+  /**
+   * Returns the current Unix time in milliseconds (default: Date.now).
+   * Fractional values such as `performance.timeOrigin + performance.now()` are floored.
+   * Generation methods do not take a clock of their own, so readings from another
+   * clock never advance this instance's monotonic sequence.
+   */
+  clock?: () => number;
+  /** Reaction to a backward clock step (default: 'monotonic') */
+  clockRegression?: ClockRegressionPolicy;
+  /**
+   * Largest skew in milliseconds absorbed without throwing (default: Infinity).
+   * Beyond it the 'monotonic', 'emit' and 'wait' policies throw ClockRegressionError.
+   */
+  regressionThresholdMs?: number;
+  /** Called once per backward clock step, before the policy applies; required for 'emit' */
+  onClockRegression?: (event: ClockRegressionEvent) => void;
+  /**
+   * This process's node ID for generateWithNode(), from 0 to 2^nodeBits - 1.
+   * Defaults to the `nodeIdEnv` environment variable, read on first use.
+   */
+  nodeId?: number;
+  /** Bits reserved for the node ID, 1-20 (default: 10, i.e. 1024 nodes) */
+  nodeBits?: number;
+  /** Environment variable holding the node ID (default: 'TS48_NODE_ID') */
+  nodeIdEnv?: string;
+  /**
+   * State from createSharedTimestampState(). Generators sharing it, in any worker
+   * thread, issue strictly increasing IDs together as if they were one generator.
+   */
+  sharedState?: SharedArrayBuffer;
+  /**
+   * Store for the high-water mark, so a restarted process never reissues timestamps.
+   * Cannot be combined with `sharedState`.
+   */
+  persistence?: TimestampPersistence;
+  /**
+   * How far ahead of the issued timestamp each save reserves (default: 1000).
+   * Larger windows save less often but may skip further ahead after a restart.
+   */
+  persistenceWindowMs?: number;
+}
+
+/**
+ * Synchronous store for a generator's high-water mark
+ * 
+ * @description
+ * `load()` is called once when the generator is created; monotonic IDs then start at or
+ * above the loaded value. Whenever the generator is about to issue a timestamp at or
+ * past the saved bound, it first calls `save()` with a new bound `persistenceWindowMs`
+ * ahead, so the common path only compares two numbers. If `save()` throws, the ID is
+ * not issued and the error propagates.
+ * 
+ * @example
+ * ```typescript
+ * import { createTimestampGenerator, TimestampPersistence } from './timestamp.js';
+ * 
+ * const store: TimestampPersistence = {
+ *   load: () => Number(localStorage.getItem('ts48')) || undefined,
+ *   save: reservedUntil => localStorage.setItem('ts48', String(reservedUntil))
+ * };
+ * const generator = createTimestampGenerator({ persistence: store });
+ * ```
+ */
+export interface TimestampPersistence {
+  /** Returns the last saved bound, or null/undefined if nothing was saved yet */
+  load(): number | null | undefined;
+  /** Durably stores an exclusive bound on every timestamp issued so far */
+  save(reservedUntil: number): void;
+}
+
+/**
+ * Creates the shared memory for generators in several worker threads
+ * 
+ * @description
+ * The last issued timestamp and counter live in the buffer and are updated with
+ * `Atomics.compareExchange`, so every generator created with it issues strictly
+ * increasing, unique IDs across the whole process. Hand the buffer to workers (for
+ * example in `workerData`); all generators sharing it must use the same clock.
+ * 
+ * @returns Zeroed 16-byte state buffer
+ * @throws {Error} If SharedArrayBuffer is not available (e.g. pages without cross-origin isolation)
+ * 
+ * @example
+ * ```typescript
+ * // main.js
+ * import { Worker } from 'node:worker_threads';
+ * import { createSharedTimestampState } from './timestamp.js';
+ * 
+ * const sharedState = createSharedTimestampState();
+ * for (let i = 0; i < 4; i++) new Worker('./worker.js', { workerData: { sharedState } });
+ * 
+ * // worker.js
+ * import { workerData } from 'node:worker_threads';
+ * import { createTimestampGenerator } from './timestamp.js';
+ * 
+ * const generator = createTimestampGenerator({ sharedState: workerData.sharedState });
+ * generator.generate(); // strictly greater than every ID issued before, in any worker
+ * ```
+ */
+export function createSharedTimestampState(): SharedArrayBuffer;
+
+/**
+ * Policy applied when the clock reads lower than its highest previous reading
+ * - `monotonic`: keep bumping the last issued timestamp silently (default)
+ * - `wait`: block until the clock catches up
+ * - `throw`: throw ClockRegressionError until the clock catches up
+ * - `emit`: bump like 'monotonic' and report through onClockRegression
+ */
+export type ClockRegressionPolicy = 'monotonic' | 'wait' | 'throw' | 'emit';
+
+/**
+ * Details of a backward clock step
+ */
+export interface ClockRegressionEvent {
+  /** How far the clock is behind its highest reading, in milliseconds */
+  readonly skewMs: number;
+  /** Highest clock reading seen so far (Unix ms) */
+  readonly previous: number;
+  /** Regressed clock reading (Unix ms) */
+  readonly current: number;
+}
+
+/**
+ * Thrown when the clock steps backwards and the regression policy refuses to hide it
+ * 
+ * @example
+ * ```typescript
+ * import { createTimestampGenerator, ClockRegressionError } from './timestamp.js';
+ * 
+ * const generator = createTimestampGenerator({ clockRegression: 'throw' });
+ * try {
+ *   generator.generate();
+ * } catch (error) {
+ *   if (error instanceof ClockRegressionError) {
+ *     console.warn(`Clock stepped back ${error.skewMs}ms`);
+ *   }
+ * }
+ * ```
+ */
+export class ClockRegressionError extends Error {
+  constructor(previous: number, current: number);
+  readonly name: 'ClockRegressionError';
+  readonly code: 'CLOCK_REGRESSION';
+  readonly skewMs: number;
+  readonly previous: number;
+  readonly current: number;
+}
+
+/**
+ * Why an encoded timestamp was rejected
+ * - `NOT_STRING`: the input is not a string
+ * - `INVALID_LENGTH`: wrong number of characters (see `expectedLength`)
+ * - `INVALID_CHAR`: a character outside the alphabet or prefix (see `index` and `char`)
+ * - `NON_CANONICAL`: strict mode met an alternative spelling, such as a lowercase
+ *   Crockford Base32 digit (see `index` and `char`)
+ */
+export type InvalidTimestampCode = 'NOT_STRING' | 'INVALID_LENGTH' | 'INVALID_CHAR' | 'NON_CANONICAL' | 'UNKNOWN_KEY';
+
+/**
+ * Thrown when an encoded timestamp cannot be decoded
+ * 
+ * @example
+ * ```typescript
+ * import { decodeTimestamp48, InvalidTimestampError } from './timestamp.js';
+ * 
+ * try {
+ *   decodeTimestamp48('AZkA*FyO');
+ * } catch (error) {
+ *   if (error instanceof InvalidTimestampError && error.code === 'INVALID_CHAR') {
+ *     console.warn(`Bad character ${error.char} at index ${error.index}`); // "*" at 4
+ *   }
+ * }
+ * ```
+ */
+export class InvalidTimestampError extends Error {
+  constructor(
+    code: InvalidTimestampCode,
+    message: string,
+    details?: { input?: unknown; expectedLength?: number; index?: number; char?: string; keyId?: string }
+  );
+  readonly name: 'InvalidTimestampError';
+  readonly code: InvalidTimestampCode;
+  /** The rejected input */
+  readonly input: unknown;
+  /** Required number of characters (INVALID_LENGTH) */
+  readonly expectedLength: number | undefined;
+  /** Index of the offending character (INVALID_CHAR, NON_CANONICAL) */
+  readonly index: number | undefined;
+  /** The offending character (INVALID_CHAR, NON_CANONICAL); undefined if the input ended early */
+  readonly char: string | undefined;
+  /** Key ID missing from the keyring (UNKNOWN_KEY) */
+  readonly keyId: string | undefined;
+}
+
+/**
+ * Thrown when a point in time falls outside the 48-bit millisecond range, on encode
+ * or when a wider encoding decodes beyond it, or outside the window of a strict decode
+ */
+export class TimestampRangeError extends RangeError {
+  constructor(value: number | bigint, message?: string, min?: number | bigint, max?: number | bigint);
+  readonly name: 'TimestampRangeError';
+  readonly code: 'TIMESTAMP_OUT_OF_RANGE';
+  /** The offending value (NaN for an invalid Date) */
+  readonly value: number | bigint;
+  /** Lowest accepted timestamp: 0, or the window's start (bigint for microsecond IDs) */
+  readonly min: number | bigint;
+  /** Highest accepted timestamp: 2^48 - 1, or the window's end (bigint for microsecond IDs) */
+  readonly max: number | bigint;
+}
+
+/**
+ * Thrown when a batch, stream or fill count is outside the accepted range
+ */
+export class CountRangeError extends RangeError {
+  constructor(count: unknown, min: number, max: number, message?: string);
+  readonly name: 'CountRangeError';
+  readonly code: 'COUNT_OUT_OF_RANGE';
+  /** The offending count */
+  readonly count: unknown;
+  /** Smallest accepted count */
+  readonly min: number;
+  /** Largest accepted count (Infinity for streams) */
+  readonly max: number;
+}
+
+/**
+ * Why verifyTimestamp48 rejected a well-formed token
+ */
+export type TokenVerificationCode = 'BAD_SIGNATURE' | 'EXPIRED' | 'FUTURE_DATED';
+
+/**
+ * Thrown by verifyTimestamp48 when a well-formed token must be rejected
+ * 
+ * @description
+ * - `BAD_SIGNATURE`: the MAC does not match, so the token was forged, altered or signed with another key
+ * - `EXPIRED`: the token is older than `maxAgeMs`
+ * - `FUTURE_DATED`: the token lies more than `maxFutureSkewMs` ahead of the clock
+ */
+export class TokenVerificationError extends Error {
+  constructor(code: TokenVerificationCode, message: string, timestamp?: number, ageMs?: number);
+  readonly name: 'TokenVerificationError';
+  readonly code: TokenVerificationCode;
+  /** Signed Unix milliseconds (EXPIRED, FUTURE_DATED) */
+  readonly timestamp: number | undefined;
+  /** Age of the token when it was checked; negative if future-dated (EXPIRED, FUTURE_DATED) */
+  readonly ageMs: number | undefined;
+}
+
+/**
+ * Timestamp generator instance with its own monotonic state, buffers and clock
+ */
+export interface TimestampGenerator {
+  /** Same as generateTimestamp48(), using this instance's state and options */
+  generate(options?: TimestampOptions): string;
+  /** Same as generateTimestamp48Fast(), using this instance's state and options */
+  generateFast(options?: TimestampOptions): string;
+  /** Same as writeTimestamp48(), using this instance's state and clock */
+  write: typeof writeTimestamp48;
+  /** Same as fillTimestamps48(), using this instance's state and clock */
+  fill: typeof fillTimestamps48;
+  /** Same as generateBatch(), using this instance's state and clock */
+  batch: typeof generateBatch;
+  /** Same as generateTimestampWithCounter(), using this instance's state and clock */
+  generateWithCounter: typeof generateTimestampWithCounter;
+  /** Same as generateTimestampWithNode(), using this instance's node ID, state and clock */
+  generateWithNode(options?: CounterOptions): string;
+  /** Same as generateUUIDv7(), using this instance's state and clock */
+  generateUUIDv7: typeof generateUUIDv7;
+  /** Unit of the time in this instance's string IDs */
+  readonly precision: TimestampPrecision;
+}
+
+/**
+ * Creates a timestamp generator with isolated state and an injectable clock
+ * 
+ * @description
+ * Each instance keeps its own last-issued timestamp, sub-millisecond counter and scratch
+ * buffers, so independent subsystems never step on each other's monotonic sequence.
+ * The top-level functions of this module are thin wrappers around a default instance.
+ * 
+ * @param options - Generator options
+ * @returns A frozen generator instance
+ * @throws {Error} If options are invalid (generation may throw ClockRegressionError)
+ * 
+ * @example
+ * ```typescript
+ * import { createTimestampGenerator, decodeTimestamp48 } from './timestamp.js';
+ * 
+ * let now = 1700000000000;
+ * const generator = createTimestampGenerator({ clock: () => now });
+ * console.log(decodeTimestamp48(generator.generate())); // 1700000000000
+ * console.log(decodeTimestamp48(generator.generate())); // 1700000000001 (monotonic)
+ * ```
+ */
+export function createTimestampGenerator(options?: TimestampGeneratorOptions): TimestampGenerator;
+
+/**
+ * Default export - uses the fastest implementation
+ * 
+ * @description
+ * Exports generateTimestamp48 as the default function for convenience.
+ * Recommended for most use cases requiring maximum performance.
+ */
+declare const _default: typeof generateTimestamp48;
+export default _default;
+
+/**
+ * Type definitions for the timestamp string format
+ */
+export type Timestamp48 = string & {
+  readonly __brand: 'Timestamp48';
+  readonly length: 8;
+};
+
+/**
+ * Type definition for the 10-character timestamp + counter format
+ */
+export type TimestampWithCounter = string & {
+  readonly __brand: 'TimestampWithCounter';
+  readonly length: 10;
 };
 
 /**
- * Utility type for timestamp generation options
+ * Options shared by every generator: createTimestampGenerator() sets them per instance,
+ * and the generation functions accept them to override the instance for one call.
+ * Unknown keys are rejected at runtime. The clock is set per instance (see
+ * TimestampGeneratorOptions).
  */
 export interface TimestampOptions {
+  /**
+   * Bump repeated timestamps so every ID is strictly increasing; requires `monotonic`
+   * (default: same as `monotonic`). Second precision requires it unless `randomBytes` is
+   * set, and then defaults to false, since each bump moves a burst a whole second ahead.
+   * Counter-format IDs stay distinct either way.
+   */
+  unique?: boolean;
+  /** Never issue a timestamp lower than the last one (default: true) */
+  monotonic?: boolean;
+  /** Output encoding: a built-in encoding name or an encoding object (default: 'base64url') */
+  encoding?: EncodingName | TimestampEncoding;
+  /** Printable ASCII, without spaces, prepended to every string ID (default: '') */
+  prefix?: string;
+  /**
+   * Bytes of crypto.getRandomValues entropy (0-32) appended to every string ID in the
+   * ID's own alphabet, so IDs cannot be predicted from the time; decode with the same
+   * value. Requires a built-in or alphabet encoding and the global Web Crypto API
+   * (default: 0)
+   */
+  randomBytes?: number;
+  /**
+   * Key from createTimestampKey; IDs in the 8-character format are permuted with it and
+   * start with its key ID. Counter and node IDs cannot be keyed.
+   */
+  key?: TimestampKey;
+  /**
+   * Time stored as zero in string IDs, e.g. Date.UTC(2020, 0, 1) (default: 0). Raw bytes
+   * and UUIDs keep Unix milliseconds; decode with the same epoch.
+   */
+  epoch?: TimeInput;
+  /**
+   * Width of the timestamp in string IDs, which sets their length: 42 bits fit in 7
+   * Base64URL characters. Up to 48 bits for seconds and milliseconds and 64 for
+   * microseconds (default: 36, 48 and 54 respectively). Generation throws
+   * TimestampRangeError once the clock passes getTimestampHorizon().
+   */
+  bits?: number;
+  /**
+   * Unit of the time in string IDs (default: 'millisecond'). Set it when creating a
+   * generator; second and microsecond generators produce string IDs only. Second
+   * generators need `unique` or `randomBytes` to say how a burst within one second is
+   * told apart, and microsecond ones read performance.timeOrigin + performance.now() by
+   * default.
+   */
+  precision?: TimestampPrecision;
 }
 
 /**
@@ -163,8 +1621,11 @@ export const MODULE_INFO: {
   readonly name: 'timestamp-48bit';
   readonly version: '1.0.0';
   readonly format: 'Base64URL';
+  /** Precision of the top-level functions; `TimestampGenerator.precision` reports a generator's */
   readonly precision: 'millisecond';
+  /** Values accepted by the `precision` option */
+  readonly precisions: readonly ['second', 'millisecond', 'microsecond'];
   readonly bitLength: 48;
   readonly outputLength: 8;
-  readonly features: readonly ['encode', 'decode', 'batch', 'validate', 'age', 'fast'];
+  readonly features: readonly ['encode', 'decode', 'batch', 'validate', 'age', 'fast', 'uuidv7', 'counter', 'instances', 'encodings', 'binary', 'streaming', 'options', 'inspect', 'compare', 'node', 'shared', 'persistence', 'prefixed', 'random', 'keyed', 'signed', 'buckets', 'epoch', 'precision'];
 };
\ No newline at end of file
@@ -4,12 +4,36 @@
  * Encodes as 8-character Base64URL string (6 bytes -> 8 chars)
  * 
  * Features:
- * - Microsecond precision within same millisecond
+ * - Second, millisecond or microsecond precision, with bigint decoding of microsecond IDs
  * - Decode functionality for timestamp analysis
  * - Batch generation for high-throughput scenarios
  * - Input validation and error handling
  * - Caching support for extreme performance needs
- * - Cross-runtime compatibility (Node.js, Deno, Bun, Browser)
+ * - Cross-runtime compatibility (Node.js, Deno, Bun, Browser); UUIDv7, random suffixes, keys
+ *   and signed tokens need the global Web Crypto API (Node.js 19+, or 16 and 18 with
+ *   --experimental-global-webcrypto)
+ * - Full RFC 9562 UUIDv7 generation and parsing
+ * - Sub-millisecond counter format that stays on the wall clock
+ * - Instantiable generators with isolated state and injectable clocks
+ * - Configurable clock regression detection
+ * - Pluggable encodings: Base64URL, Crockford Base32, hex, Base58, Base62
+ * - Lexicographically sortable Base64 variant
+ * - Allocation-free binary read/write of the raw 6 bytes
+ * - Unbounded streaming via async iterators, ReadableStream and bulk buffer fills
+ * - Shared generator options (unique, monotonic, encoding, clock, prefix) with strict key checks
+ * - Typed error classes with machine-readable codes
+ * - Strict decoding with canonical-form checks and a plausible time window
+ * - Inspection and locale-aware formatting for dashboards and log viewers
+ * - Comparison, sorting and range checks on encoded IDs without full decodes
+ * - Snowflake-style node ID format for collision-free IDs across processes and workers
+ * - Shared monotonic state across worker threads via SharedArrayBuffer and Atomics
+ * - Optional persisted high-water mark so restarts never reissue timestamps
+ * - Typed entity IDs with a type prefix (e.g. usr_AYqkSJ2M)
+ * - Optional random suffix for unguessable IDs
+ * - Keyed obfuscation that hides the creation time, with key rotation by key ID
+ * - HMAC-signed, tamper-evident timestamp tokens with expiry checks
+ * - Time buckets and string prefixes for partitioning and prefix scans
+ * - Custom epochs and bit widths for shorter IDs, with a computable horizon
  */
 
 // Base64URL alphabet: A-Z a-z 0-9 - _  (RFC 4648, no padding)
@@ -27,201 +51,3708 @@ for (let i = 0; i < BASE64URL_CHARS.length; i++) {
   DECODE_TABLE[BASE64URL_CHARS.charCodeAt(i)] = i;
 }
 
-// State for generating unique, monotonic timestamps
-let lastGeneratedTimestamp = 0;
+// Pre-computed byte -> two-digit lowercase hex table for UUID formatting
+const HEX_TABLE = new Array(256);
+for (let i = 0; i < 256; i++) {
+  HEX_TABLE[i] = (i < 16 ? '0' : '') + i.toString(16);
+}
+
+// Canonical 8-4-4-4-12 UUID layout and the compact Base64URL form (16 bytes -> 22 chars)
+const UUID_HEX_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const UUID_BASE64URL_REGEX = /^[A-Za-z0-9_-]{22}$/;
+
+// Largest value representable in the 48-bit timestamp field
+const MAX_TIMESTAMP = 0xFFFFFFFFFFFF;
+
+// Sub-millisecond counter format (RFC 9562 method 1): 12 bits after the 48-bit timestamp
+const COUNTER_BITS = 12;
+const MAX_COUNTER = (1 << COUNTER_BITS) - 1;
+const COUNTER_OVERFLOW_POLICIES = ['wait', 'throw', 'spill'];
+
+// Node ID format: the node ID and the 12-bit counter share one field after the timestamp.
+// 10 node bits (1024 nodes) as in Snowflake; at most 20 keeps the field within 32 bits.
+const DEFAULT_NODE_BITS = 10;
+const MAX_NODE_BITS = 20;
+const DEFAULT_NODE_ID_ENV = 'TS48_NODE_ID';
+
+// Shared state layout (BigInt64 slots): last issued timestamp, and the counter format's
+// last (timestamp, counter) pair packed as timestamp * 4096 + counter
+const SHARED_TIMESTAMP_SLOT = 0;
+const SHARED_COUNTER_SLOT = 1;
+const SHARED_STATE_BYTES = 16;
+
+// Default span reserved ahead of the issued timestamp by each persistence save
+const DEFAULT_PERSISTENCE_WINDOW_MS = 1000;
+
+// Largest random suffix: 256 bits
+const MAX_RANDOM_BYTES = 32;
+
+// Keyed IDs: an 8-round Feistel network on the two 24-bit halves of the timestamp, with
+// S-boxes and round keys expanded from the secret by HMAC-SHA-256
+const FEISTEL_ROUNDS = 8;
+const MIN_SECRET_BYTES = 16;
+const KEY_EXPANSION_LABEL = 'ts48 feistel v1';
+
+// Signed tokens: 8-character timestamp, then HMAC-SHA-256 truncated to 144 bits (24 characters)
+const TOKEN_MAC_BYTES = 18;
+const TOKEN_LENGTH = 8 + TOKEN_MAC_BYTES / 3 * 4;
+const TOKEN_LABEL = 'ts48 token v1';
+
+// Alternative alphabets; each sorts lexicographically in value order
+// Sortable Base64: the Base64URL character set rearranged into ASCII order
+const BASE64_SORTABLE_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+const CROCKFORD_BASE32_CHARS = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const HEX_CHARS = '0123456789abcdef';
+const BASE58_CHARS = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE62_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Per-encoding digit helpers used by the counter format, keyed by encoding object
+const ENCODING_INTERNALS = new WeakMap();
+
+// Feistel round tables of the keys returned by createTimestampKey, keyed by key object
+const KEY_INTERNALS = new WeakMap();
+
+// Encodings derived by withLayout, keyed by base encoding, then by `${precision}:${epoch}:${bits}`
+const LAYOUT_ENCODINGS = new WeakMap();
+
+// Ways a generator can react when the clock steps backwards
+const CLOCK_REGRESSION_POLICIES = ['monotonic', 'wait', 'throw', 'emit'];
+
+// Options shared by every generator, and the keys each entry point accepts on top of them.
+// The clock is fixed per generator, since its readings drive the monotonic and regression state.
+const TIMESTAMP_OPTION_KEYS = ['unique', 'monotonic', 'encoding', 'prefix', 'randomBytes', 'key', 'epoch', 'bits',
+  'precision'];
+const GENERATOR_OPTION_KEYS = [...TIMESTAMP_OPTION_KEYS, 'clock', 'clockRegression', 'regressionThresholdMs', 'onClockRegression',
+  'nodeId', 'nodeBits', 'nodeIdEnv', 'sharedState', 'persistence', 'persistenceWindowMs'];
+const COUNTER_OPTION_KEYS = [...TIMESTAMP_OPTION_KEYS, 'onOverflow'];
+const BATCH_OPTION_KEYS = [...COUNTER_OPTION_KEYS, 'fast', 'counter'];
+const STREAM_OPTION_KEYS = [...BATCH_OPTION_KEYS, 'count', 'generator', 'highWaterMark'];
+const UUID_OPTION_KEYS = ['format', 'onOverflow'];
+const FORMAT_OPTION_KEYS = ['encoding', 'prefix', 'epoch', 'bits'];
+const PRECISION_FORMAT_OPTION_KEYS = [...FORMAT_OPTION_KEYS, 'precision'];
+const ENCODE_OPTION_KEYS = [...PRECISION_FORMAT_OPTION_KEYS, 'key'];
+const BOUND_OPTION_KEYS = [...PRECISION_FORMAT_OPTION_KEYS, 'counter'];
+const WINDOW_OPTION_KEYS = ['strict', 'notBefore', 'notAfter', 'maxFutureSkewMs'];
+const VALIDATION_OPTION_KEYS = [...PRECISION_FORMAT_OPTION_KEYS, 'randomBytes', 'key', ...WINDOW_OPTION_KEYS];
+const COUNTER_FORMAT_OPTION_KEYS = [...FORMAT_OPTION_KEYS, 'randomBytes'];
+const PREFIXED_ID_OPTION_KEYS = ['separator', 'encoding', 'generator', 'randomBytes', 'key', 'epoch', 'bits', 'precision'];
+const KEY_OPTION_KEYS = ['id'];
+const SIGN_OPTION_KEYS = ['generator'];
+const VERIFY_OPTION_KEYS = ['maxAgeMs', 'maxFutureSkewMs', 'clock'];
+const LAYOUT_OPTION_KEYS = ['epoch', 'bits', 'precision'];
+const INSPECT_OPTION_KEYS = [...PRECISION_FORMAT_OPTION_KEYS, 'counter', 'randomBytes'];
+const NODE_FORMAT_OPTION_KEYS = [...FORMAT_OPTION_KEYS, 'nodeBits', 'randomBytes'];
+const DISPLAY_OPTION_KEYS = [...INSPECT_OPTION_KEYS, 'timeZone', 'format', 'locale'];
+
+// Tick units of the precision option: conversions from and to Unix milliseconds, the
+// default and largest timestamp widths, and the last tick in the 48-bit millisecond range
+const PRECISIONS = Object.freeze({
+  second: Object.freeze({ fromMs: ms => Math.floor(ms / 1000), toMs: ticks => ticks * 1000, bits: 36, maxBits: 48,
+    max: Math.floor(MAX_TIMESTAMP / 1000) }),
+  millisecond: Object.freeze({ fromMs: ms => Math.floor(ms), toMs: ticks => ticks, bits: 48, maxBits: 48,
+    max: MAX_TIMESTAMP }),
+  microsecond: Object.freeze({ fromMs: ms => Math.floor(ms * 1000), toMs: ticks => ticks / 1000, bits: 54, maxBits: 64,
+    max: BigInt(MAX_TIMESTAMP) * 1000n + 999n })
+});
+
+// Named bucket sizes for bucketOf, bucketsBetween and prefixForBucket, in milliseconds
+const BUCKET_UNITS = Object.freeze({ minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 });
+
+// Intl.DateTimeFormat presets accepted by formatTimestamp48
+const DISPLAY_FORMATS = ['full', 'long', 'medium', 'short'];
+
+// Plausibility window applied by { strict: true } to bounds the caller leaves out
+const STRICT_NOT_BEFORE = Date.UTC(2000, 0, 1);
+const STRICT_MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+// Defaults for createTimestampGenerator; unique is left undefined so it follows monotonic,
+// and bits so it follows precision
+const DEFAULT_TIMESTAMP_OPTIONS = Object.freeze({
+  clock: Date.now,
+  monotonic: true,
+  unique: undefined,
+  encoding: 'base64url',
+  prefix: '',
+  randomBytes: 0,
+  key: null,
+  epoch: 0,
+  bits: undefined,
+  precision: 'millisecond'
+});
+
+// Defaults of microsecond-precision generators, which read the sub-millisecond clock
+const MICROSECOND_DEFAULTS = Object.freeze({ ...DEFAULT_TIMESTAMP_OPTIONS, clock: preciseNow });
+
+// Defaults of second-precision generators: a unique ID per call would borrow a whole future
+// second for each ID in a burst, so random suffixes, not bumps, tell repeated seconds apart.
+// Without randomBytes the generator requires an explicit unique option.
+const SECOND_DEFAULTS = Object.freeze({ ...DEFAULT_TIMESTAMP_OPTIONS, unique: false });
+
+/**
+ * Thrown when the clock steps backwards and the generator's regression policy refuses
+ * to hide it (the 'throw' policy, or any skew beyond regressionThresholdMs)
+ */
+export class ClockRegressionError extends Error {
+  /**
+   * @param {number} previous - Highest clock reading seen so far (Unix ms)
+   * @param {number} current - Regressed clock reading (Unix ms)
+   */
+  constructor(previous, current) {
+    super(`Clock moved backwards by ${previous - current}ms (from ${previous} to ${current})`);
+    this.name = 'ClockRegressionError';
+    this.code = 'CLOCK_REGRESSION';
+    this.skewMs = previous - current;
+    this.previous = previous;
+    this.current = current;
+  }
+}
+
+/**
+ * Thrown when an encoded timestamp cannot be decoded; `code` says why:
+ * - NOT_STRING: the input is not a string
+ * - INVALID_LENGTH: the input has the wrong number of characters (see expectedLength)
+ * - INVALID_CHAR: a character is outside the alphabet or prefix (see index and char)
+ * - NON_CANONICAL: strict mode met an alternative spelling, such as a lowercase
+ *   Crockford Base32 digit (see index and char)
+ * - UNKNOWN_KEY: a keyed ID names a key ID missing from the keyring (see keyId)
+ */
+export class InvalidTimestampError extends Error {
+  /**
+   * @param {'NOT_STRING'|'INVALID_LENGTH'|'INVALID_CHAR'|'NON_CANONICAL'|'UNKNOWN_KEY'} code - Failure kind
+   * @param {string} message - Human-readable description
+   * @param {{input?: *, expectedLength?: number, index?: number, char?: string, keyId?: string}} [details]
+   *   Structured fields
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'InvalidTimestampError';
+    this.code = code;
+    this.input = details.input;
+    this.expectedLength = details.expectedLength;
+    this.index = details.index;
+    this.char = details.char;
+    this.keyId = details.keyId;
+  }
+}
+
+/**
+ * Thrown when a point in time falls outside the 48-bit millisecond range, whether it
+ * is passed in for encoding or decoded from a string, or outside the plausibility
+ * window of a strict decode
+ */
+export class TimestampRangeError extends RangeError {
+  /**
+   * @param {number|bigint} value - Offending value (NaN for an invalid Date)
+   * @param {string} [message] - Description; defaults to the accepted range
+   * @param {number} [min=0] - Lowest accepted timestamp
+   * @param {number} [max=2^48 - 1] - Highest accepted timestamp
+   */
+  constructor(value, message = `Timestamp must be an integer between 0 and ${MAX_TIMESTAMP}, got ${value}`,
+    min = 0, max = MAX_TIMESTAMP) {
+    super(message);
+    this.name = 'TimestampRangeError';
+    this.code = 'TIMESTAMP_OUT_OF_RANGE';
+    this.value = value;
+    this.min = min;
+    this.max = max;
+  }
+}
+
+/**
+ * Thrown when a batch, stream or fill count is outside the accepted range
+ */
+export class CountRangeError extends RangeError {
+  /**
+   * @param {*} count - Offending count
+   * @param {number} min - Smallest accepted count
+   * @param {number} max - Largest accepted count
+   * @param {string} [message] - Description; defaults to the accepted range
+   */
+  constructor(count, min, max, message = `Count must be an integer between ${min} and ${max}, got ${count}`) {
+    super(message);
+    this.name = 'CountRangeError';
+    this.code = 'COUNT_OUT_OF_RANGE';
+    this.count = count;
+    this.min = min;
+    this.max = max;
+  }
+}
+
+/**
+ * Thrown by verifyTimestamp48 when a well-formed token must be rejected; `code` says why:
+ * - BAD_SIGNATURE: the MAC does not match, so the token was forged, altered or signed
+ *   with another key
+ * - EXPIRED: the token is older than maxAgeMs (see timestamp and ageMs)
+ * - FUTURE_DATED: the token lies more than maxFutureSkewMs ahead of the clock (see
+ *   timestamp and ageMs, which is negative)
+ */
+export class TokenVerificationError extends Error {
+  /**
+   * @param {'BAD_SIGNATURE'|'EXPIRED'|'FUTURE_DATED'} code - Failure kind
+   * @param {string} message - Human-readable description
+   * @param {number} [timestamp] - Signed Unix milliseconds; unset for BAD_SIGNATURE
+   * @param {number} [ageMs] - Age of the token when it was checked; unset for BAD_SIGNATURE
+   */
+  constructor(code, message, timestamp, ageMs) {
+    super(message);
+    this.name = 'TokenVerificationError';
+    this.code = code;
+    this.timestamp = timestamp;
+    this.ageMs = ageMs;
+  }
+}
+
+/**
+ * Checks the type and length of an encoded timestamp
+ * @param {*} encoded - Input to check
+ * @param {number} expectedLength - Required number of characters
+ * @throws {InvalidTimestampError} NOT_STRING or INVALID_LENGTH
+ */
+function assertEncodedShape(encoded, expectedLength) {
+  if (typeof encoded !== 'string') {
+    throw new InvalidTimestampError('NOT_STRING', 'Encoded timestamp must be a string', { input: encoded });
+  }
+  
+  if (encoded.length !== expectedLength) {
+    throw new InvalidTimestampError('INVALID_LENGTH', `Invalid timestamp length: ${encoded.length}, expected ${expectedLength}`, {
+      input: encoded,
+      expectedLength
+    });
+  }
+}
+
+/**
+ * Builds the error for the first character a decode table rejects
+ * @param {string} encoded - Rejected input
+ * @param {number[]} decodeTable - Character code to digit value, -1 for invalid characters
+ * @param {string} label - Encoding name used in the message
+ * @param {number} [start=0] - First index to scan
+ * @returns {InvalidTimestampError} INVALID_CHAR error
+ */
+function invalidCharError(encoded, decodeTable, label, start = 0) {
+  let index = start;
+  while (index < encoded.length - 1) {
+    const code = encoded.charCodeAt(index);
+    if (code >= 256 || decodeTable[code] === -1) break;
+    index++;
+  }
+  
+  const char = encoded[index];
+  return new InvalidTimestampError('INVALID_CHAR', `Invalid ${label} format: ${encoded} (unexpected '${char}' at index ${index})`, {
+    input: encoded,
+    index,
+    char
+  });
+}
+
+/**
+ * Rejects a clock passed to a single call: its readings would advance the generator's
+ * monotonic sequence for every later ID, or trip its clock regression policy
+ * @param {Object} options - Caller options
+ * @throws {Error} If a clock is given
+ */
+function assertNoCallClock(options) {
+  if (options?.clock !== undefined) {
+    throw new Error('The clock option is set per generator; use createTimestampGenerator({ clock }) instead');
+  }
+}
+
+/**
+ * Validates a counter overflow policy option
+ * @param {string} onOverflow - Policy name
+ * @throws {Error} If the policy is unknown
+ */
+function assertOverflowPolicy(onOverflow) {
+  if (!COUNTER_OVERFLOW_POLICIES.includes(onOverflow)) {
+    throw new Error(`Invalid overflow policy: ${onOverflow}, expected one of ${COUNTER_OVERFLOW_POLICIES.join(', ')}`);
+  }
+}
+
+/**
+ * Rejects non-object options and keys the function does not understand, so typos
+ * such as { unqiue: true } fail loudly instead of being ignored
+ * @param {Object} options - Caller options
+ * @param {string[]} allowedKeys - Keys the function accepts
+ * @throws {Error} If options is not an object or has an unknown key
+ */
+function assertOptions(options, allowedKeys) {
+  if (typeof options !== 'object' || options === null) {
+    throw new Error('Options must be an object');
+  }
+  
+  for (const key in options) {
+    if (!allowedKeys.includes(key)) {
+      throw new Error(`Unknown option: ${key}, expected one of ${allowedKeys.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Validates an ID prefix
+ * @param {string} prefix - Prefix option
+ * @throws {Error} If the prefix is not a string of printable, non-space ASCII
+ */
+function assertPrefix(prefix) {
+  if (typeof prefix !== 'string' || !/^[\x21-\x7E]*$/.test(prefix)) {
+    throw new Error('Prefix must be a string of printable ASCII characters without spaces');
+  }
+}
+
+/**
+ * Validates the options shared by every generator, taking omitted ones from defaults
+ * 
+ * `unique` follows `monotonic` unless set: a generator that may step backwards cannot
+ * promise unique IDs without remembering every ID it issued.
+ * 
+ * @param {Object} options - Caller options, already checked by assertOptions
+ * @param {Object} defaults - Values for omitted options
+ * @returns {{clock: () => number, monotonic: boolean, unique: boolean, encoding: Object, prefix: string,
+ *   randomBytes: number, key: Object|null, precision: string}} Resolved options; the encoding
+ *   carries the epoch, bits and precision
+ * @throws {Error} If an option is invalid
+ */
+function resolveTimestampOptions(options, defaults) {
+  const {
+    clock = defaults.clock,
+    monotonic = defaults.monotonic,
+    encoding = defaults.encoding,
+    prefix = defaults.prefix,
+    randomBytes = defaults.randomBytes,
+    key = defaults.key,
+    epoch = defaults.epoch,
+    bits = defaults.bits,
+    precision = defaults.precision
+  } = options;
+  const unique = options.unique ?? defaults.unique ?? monotonic;
+  
+  if (typeof clock !== 'function') {
+    throw new Error('Clock must be a function returning Unix milliseconds');
+  }
+  
+  if (typeof monotonic !== 'boolean') {
+    throw new Error('Monotonic option must be a boolean');
+  }
+  
+  if (typeof unique !== 'boolean') {
+    throw new Error('Unique option must be a boolean');
+  }
+  
+  if (unique && !monotonic) {
+    throw new Error('The unique option requires monotonic: true');
+  }
+  
+  assertPrefix(prefix);
+  const baseEncoding = resolveEncoding(encoding);
+  const layout = resolveLayout(epoch, bits, precision);
+  const resolvedEncoding = withLayout(baseEncoding, layout);
+  const resolvedKey = resolveKey(key);
+  if (resolvedKey !== null) assertFullRange(resolvedEncoding);
+  
+  return {
+    clock,
+    monotonic,
+    unique,
+    encoding: resolvedEncoding,
+    prefix,
+    randomBytes: resolveRandomBytes(randomBytes, resolvedEncoding),
+    key: resolvedKey,
+    precision
+  };
+}
+
+/**
+ * Validates the randomBytes option
+ * @param {number} [randomBytes=0] - Random bytes appended to each ID
+ * @param {Object} encoding - Resolved encoding the suffix is written in
+ * @returns {number} Random bytes
+ * @throws {Error} If the count is invalid or the encoding has no alphabet
+ */
+function resolveRandomBytes(randomBytes = 0, encoding) {
+  if (!Number.isInteger(randomBytes) || randomBytes < 0 || randomBytes > MAX_RANDOM_BYTES) {
+    throw new Error(`randomBytes must be an integer between 0 and ${MAX_RANDOM_BYTES}, got ${randomBytes}`);
+  }
+  
+  if (randomBytes > 0 && !ENCODING_INTERNALS.has(encoding)) {
+    throw new Error(`Random suffixes require an alphabet-based encoding, got ${encoding.name}`);
+  }
+  return randomBytes;
+}
+
+/**
+ * Validates the key option of the generation functions
+ * @param {Object|null} [key] - Key from createTimestampKey
+ * @returns {Object|null} The key, or null for plain IDs
+ * @throws {Error} If the value is not a key
+ */
+function resolveKey(key) {
+  if (key === undefined || key === null) return null;
+  
+  if (Array.isArray(key)) {
+    throw new Error('IDs are generated with a single key; pass the current key rather than the keyring');
+  }
+  
+  if (!KEY_INTERNALS.has(key)) {
+    throw new Error('Key must be created by createTimestampKey');
+  }
+  return key;
+}
+
+/**
+ * Validates the key option of the decoders: one key, or a keyring of current and retired keys
+ * @param {Object|Object[]|null} [key] - Key or keys from createTimestampKey
+ * @returns {Map<string, Object>|null} Round tables by key ID, or null for plain IDs
+ * @throws {Error} If an entry is not a key, the keyring is empty or two keys share an ID
+ */
+function resolveKeyring(key) {
+  if (key === undefined || key === null) return null;
+  
+  const keys = Array.isArray(key) ? key : [key];
+  if (keys.length === 0) {
+    throw new Error('Keyring must contain at least one key');
+  }
+  
+  const keyring = new Map();
+  for (const entry of keys) {
+    if (!KEY_INTERNALS.has(entry)) {
+      throw new Error('Key must be created by createTimestampKey');
+    }
+    
+    if (keyring.has(entry.id)) {
+      throw new Error(`Duplicate key ID in keyring: ${entry.id}`);
+    }
+    keyring.set(entry.id, KEY_INTERNALS.get(entry));
+  }
+  return keyring;
+}
+
+/**
+ * Rejects keys for the formats that carry more than the timestamp
+ * @param {Object|null} key - Resolved key option
+ * @throws {Error} If a key is set
+ */
+function assertUnkeyed(key) {
+  if (key !== null) {
+    throw new Error('Keys apply to the 8-character timestamp format; counter and node IDs cannot be keyed');
+  }
+}
+
+/**
+ * Resolves the encoding, prefix, epoch, bits and precision options of the format-only
+ * functions (decoders, validators and encoders of arbitrary times)
+ * @param {Object} options - Caller options
+ * @param {string[]} [allowedKeys=FORMAT_OPTION_KEYS] - Keys the function accepts
+ * @returns {{encoding: Object, prefix: string, layout: Object}} Resolved encoding object,
+ *   with the layout applied, prefix and layout (see resolveLayout)
+ * @throws {Error} If an option is invalid
+ */
+function resolveFormatOptions(options, allowedKeys = FORMAT_OPTION_KEYS) {
+  assertOptions(options, allowedKeys);
+  const { encoding = 'base64url', prefix = '', epoch, bits, precision } = options;
+  assertPrefix(prefix);
+  const resolvedEncoding = resolveEncoding(encoding);
+  const layout = resolveLayout(epoch, bits, precision);
+  return { encoding: withLayout(resolvedEncoding, layout), prefix, layout };
+}
+
+/**
+ * Resolves the plausibility checks requested by decode and validate options
+ * 
+ * Explicit bounds always apply; strict mode also requires the canonical spelling and
+ * fills omitted bounds from STRICT_NOT_BEFORE and STRICT_MAX_FUTURE_SKEW_MS.
+ * 
+ * @param {Object} options - Caller options, already checked by assertOptions
+ * @param {string} [precision='millisecond'] - Resolved precision; bounds are in its unit
+ * @returns {{min: number|bigint, max: number|bigint, canonical: boolean, precision: string}|null}
+ *   Accepted range in ticks and whether the spelling must be canonical, or null when no
+ *   check was requested
+ * @throws {Error} If a bound is invalid
+ */
+function resolveValidationWindow(options, precision = 'millisecond') {
+  const { strict = false, notBefore, notAfter } = options;
+  const { maxFutureSkewMs = strict ? STRICT_MAX_FUTURE_SKEW_MS : undefined } = options;
+  
+  if (typeof strict !== 'boolean') {
+    throw new Error('Strict option must be a boolean');
+  }
+  
+  if (!strict && notBefore === undefined && notAfter === undefined && maxFutureSkewMs === undefined) {
+    return null;
+  }
+  
+  const unit = PRECISIONS[precision];
+  const min = notBefore !== undefined ? toTicks(notBefore, precision) : strict ? unit.fromMs(STRICT_NOT_BEFORE) : 0;
+  let max = notAfter !== undefined ? toTicks(notAfter, precision) : unit.max;
+  
+  if (min > max) {
+    throw new Error('notBefore must not be later than notAfter');
+  }
+  
+  if (maxFutureSkewMs !== undefined) {
+    if (typeof maxFutureSkewMs !== 'number' || !(maxFutureSkewMs >= 0)) {
+      throw new Error('maxFutureSkewMs must be a non-negative number of milliseconds');
+    }
+    // Compared rather than Math.min, which rejects the bigint bounds of microsecond precision
+    const latest = unit.fromMs((precision === 'microsecond' ? preciseNow() : Date.now()) + maxFutureSkewMs);
+    if (latest < max) max = latest;
+  }
+  
+  return { min, max, canonical: strict, precision };
+}
+
+/**
+ * Applies a validation window to a decoded timestamp
+ * @param {number} value - Decoded Unix milliseconds
+ * @param {string} encoded - The string it was decoded from, without prefix
+ * @param {Object} encoding - Encoding it was decoded with
+ * @param {{min: number, max: number, canonical: boolean}} window - Resolved window
+ * @param {number} [spelled=value] - Value the string spells, if a key permuted the timestamp
+ * @returns {InvalidTimestampError|TimestampRangeError|null} The failure, or null if plausible
+ */
+function plausibilityError(value, encoded, encoding, window, spelled = value) {
+  if (window.canonical) {
+    const canonical = encoding.encode(spelled);
+    if (canonical !== encoded) {
+      let index = 0;
+      while (canonical[index] === encoded[index]) index++;
+      return new InvalidTimestampError('NON_CANONICAL', `Non-canonical ${encoding.name} spelling: ${encoded}, expected ${canonical}`, {
+        input: encoded,
+        index,
+        char: encoded[index]
+      });
+    }
+  }
+  
+  if (value < window.min || value > window.max) {
+    const iso = ticks => new Date(PRECISIONS[window.precision].toMs(Number(ticks))).toISOString();
+    return new TimestampRangeError(value,
+      `Timestamp ${iso(value)} is outside the accepted window ${iso(window.min)} to ${iso(window.max)}`,
+      window.min, window.max);
+  }
+  return null;
+}
+
+/**
+ * Removes the expected prefix from an ID
+ * @param {string} encoded - Prefixed ID
+ * @param {string} prefix - Expected prefix
+ * @returns {string} ID without the prefix
+ * @throws {InvalidTimestampError} NOT_STRING, or INVALID_CHAR at the first character
+ *   that differs from the prefix
+ */
+function stripPrefix(encoded, prefix) {
+  if (prefix === '') return encoded;
+  
+  if (typeof encoded !== 'string') {
+    throw new InvalidTimestampError('NOT_STRING', 'Encoded timestamp must be a string', { input: encoded });
+  }
+  
+  if (!encoded.startsWith(prefix)) {
+    let index = 0;
+    while (index < encoded.length && encoded[index] === prefix[index]) index++;
+    throw new InvalidTimestampError('INVALID_CHAR', `Timestamp must start with prefix: ${prefix}`, {
+      input: encoded,
+      index,
+      char: encoded[index]
+    });
+  }
+  return encoded.slice(prefix.length);
+}
+
+/**
+ * Normalizes a point in time to Unix milliseconds within the 48-bit range
+ * @param {number|bigint|Date} time - Unix milliseconds (integer or bigint) or a Date
+ * @returns {number} Integer in [0, 2^48)
+ * @throws {TimestampRangeError} If the value is not an integer in range or an invalid Date
+ * @throws {Error} If the value is of the wrong type
+ */
+function toMilliseconds(time) {
+  let ms = time;
+  
+  if (time instanceof Date) {
+    ms = time.getTime();
+    if (Number.isNaN(ms)) {
+      throw new TimestampRangeError(ms, 'Invalid Date');
+    }
+  } else if (typeof time === 'bigint') {
+    if (time < 0n || time > BigInt(MAX_TIMESTAMP)) {
+      throw new TimestampRangeError(time);
+    }
+    ms = Number(time);
+  } else if (typeof time !== 'number') {
+    throw new Error('Timestamp must be a number, bigint or Date');
+  }
+  
+  if (!Number.isInteger(ms) || ms < 0 || ms > MAX_TIMESTAMP) {
+    throw new TimestampRangeError(ms);
+  }
+  return ms;
+}
+
+/**
+ * Normalizes a point in time to ticks of the given precision within the 48-bit millisecond range
+ * @param {number|bigint|Date} time - Whole seconds, milliseconds or microseconds since the
+ *   Unix epoch (as the precision says), or a Date
+ * @param {'second'|'millisecond'|'microsecond'} precision - Resolved precision
+ * @returns {number|bigint} Ticks; a bigint for microseconds
+ * @throws {TimestampRangeError} If the value is not an integer in range or an invalid Date
+ * @throws {Error} If the value is of the wrong type
+ */
+function toTicks(time, precision) {
+  if (precision === 'millisecond') return toMilliseconds(time);
+  
+  const unit = PRECISIONS[precision];
+  if (time instanceof Date) {
+    const ms = toMilliseconds(time);
+    return precision === 'second' ? unit.fromMs(ms) : BigInt(ms) * 1000n;
+  }
+  
+  if (typeof time !== 'number' && typeof time !== 'bigint') {
+    throw new Error('Timestamp must be a number, bigint or Date');
+  }
+  
+  if ((typeof time === 'number' && !Number.isSafeInteger(time)) || time < 0 || time > unit.max) {
+    throw new TimestampRangeError(time, `Timestamp must be an integer number of ${precision}s between 0 and ${unit.max}, got ${time}`,
+      0, unit.max);
+  }
+  return precision === 'second' ? Number(time) : BigInt(time);
+}
+
+/**
+ * Converts ticks of the given precision to Unix milliseconds, rounding microseconds down
+ * @param {number|bigint} ticks - Seconds, milliseconds or microseconds (bigint) since the Unix epoch
+ * @param {'second'|'millisecond'|'microsecond'} precision - Resolved precision
+ * @returns {number} Unix milliseconds
+ */
+function ticksToMilliseconds(ticks, precision) {
+  return precision === 'microsecond' ? Number(ticks / 1000n) : PRECISIONS[precision].toMs(ticks);
+}
+
+/**
+ * Reads the wall clock with sub-millisecond resolution; the default clock of
+ * microsecond-precision generators
+ * 
+ * performance.now() is monotonic and, in Node.js, reads the same high-resolution timer as
+ * process.hrtime.bigint(); browsers may coarsen it.
+ * 
+ * @returns {number} Unix milliseconds with a fractional part
+ */
+function preciseNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Reads the current time in ticks of the given precision
+ * @param {'second'|'millisecond'|'microsecond'} precision - Resolved precision
+ * @returns {number} Seconds, milliseconds or microseconds since the Unix epoch
+ */
+function currentTicks(precision) {
+  return PRECISIONS[precision].fromMs(precision === 'microsecond' ? preciseNow() : Date.now());
+}
+
+/**
+ * Encodes a 48-bit unsigned integer as 8 Base64URL characters
+ * @param {number} value - Integer in [0, 2^48)
+ * @param {string[]} [table=ENCODE_TABLE] - 64-entry encode table (Base64URL or its sortable variant)
+ * @returns {string} 8-character Base64URL string
+ */
+function encodeUint48(value, table = ENCODE_TABLE) {
+  const g1 = Math.floor(value / 0x1000000);
+  const g2 = value & 0xFFFFFF;
+  return `${table[g1 >>> 18]}${table[(g1 >>> 12) & 0x3F]}${table[(g1 >>> 6) & 0x3F]}${table[g1 & 0x3F]}${table[g2 >>> 18]}${table[(g2 >>> 12) & 0x3F]}${table[(g2 >>> 6) & 0x3F]}${table[g2 & 0x3F]}`;
+}
+
+/**
+ * Returns how many digits of the given base are needed to represent a value
+ * @param {number} maxValue - Largest value to represent
+ * @param {number} base - Alphabet size
+ * @returns {number} Digit count
+ */
+function digitsFor(maxValue, base) {
+  let digits = 1;
+  for (let capacity = base; capacity <= maxValue; capacity *= base) {
+    digits++;
+  }
+  return digits;
+}
+
+/**
+ * Returns how many digits of the given base are needed for every value of a bit width,
+ * counting in bigints so widths beyond 53 bits stay exact
+ * @param {number} bits - Bit width (1-64)
+ * @param {number} base - Alphabet size
+ * @returns {number} Digit count
+ */
+function digitsForBits(bits, base) {
+  const limit = 1n << BigInt(bits);
+  let digits = 1;
+  for (let capacity = BigInt(base); capacity < limit; capacity *= BigInt(base)) {
+    digits++;
+  }
+  return digits;
+}
+
+/**
+ * Builds a fixed-width, table-driven timestamp encoding
+ * @param {string} name - Encoding name
+ * @param {string} alphabet - Digit characters in ascending value order
+ * @param {Object} options - Decoding options
+ * @param {boolean} [options.caseInsensitive=false] - Accept either letter case when decoding
+ * @param {Object<string, string>} [options.aliases={}] - Extra decode characters mapped to alphabet characters
+ * @param {Object} [fastPath] - Hand-optimized encode/decode/isValid replacing the generic ones
+ * @returns {Object} Frozen encoding
+ */
+function buildEncoding(name, alphabet, options, fastPath) {
+  const { caseInsensitive = false, aliases = {} } = options;
+  const base = alphabet.length;
+  const length = digitsFor(MAX_TIMESTAMP, base);
+  
+  // Pre-computed lookup tables, as for Base64URL
+  const encodeTable = alphabet.split('');
+  const decodeTable = new Array(256).fill(-1);
+  for (let i = 0; i < base; i++) {
+    decodeTable[alphabet.charCodeAt(i)] = i;
+  }
+  
+  if (caseInsensitive) {
+    for (let i = 0; i < base; i++) {
+      for (const variant of [alphabet[i].toLowerCase(), alphabet[i].toUpperCase()]) {
+        if (decodeTable[variant.charCodeAt(0)] === -1) {
+          decodeTable[variant.charCodeAt(0)] = i;
+        }
+      }
+    }
+  }
+  
+  for (const alias of Object.keys(aliases)) {
+    const value = decodeTable[aliases[alias].charCodeAt(0)];
+    decodeTable[alias.charCodeAt(0)] = value;
+    if (caseInsensitive) {
+      decodeTable[alias.toLowerCase().charCodeAt(0)] = value;
+    }
+  }
+  
+  /**
+   * Encodes a value as exactly `width` digits (most significant first)
+   */
+  function encodeDigits(value, width) {
+    let result = '';
+    for (let i = 0; i < width; i++) {
+      const digit = value % base;
+      value = (value - digit) / base;
+      result = encodeTable[digit] + result;
+    }
+    return result;
+  }
+  
+  /**
+   * Decodes `width` digits starting at `start`; returns -1 on an invalid character
+   */
+  function decodeDigits(encoded, start, width) {
+    let value = 0;
+    for (let i = start; i < start + width; i++) {
+      const code = encoded.charCodeAt(i);
+      const digit = code < 256 ? decodeTable[code] : -1;
+      if (digit === -1) return -1;
+      value = value * base + digit;
+    }
+    return value;
+  }
+  
+  function encode(time) {
+    const ms = toMilliseconds(time);
+    // 64-character alphabets pack 6 bits per character like Base64URL
+    return base === 64 ? encodeUint48(ms, encodeTable) : encodeDigits(ms, length);
+  }
+  
+  function decode(encoded) {
+    assertEncodedShape(encoded, length);
+    
+    const value = decodeDigits(encoded, 0, length);
+    if (value === -1) {
+      throw invalidCharError(encoded, decodeTable, name);
+    }
+    
+    if (value > MAX_TIMESTAMP) {
+      throw new TimestampRangeError(value, `Timestamp exceeds 48-bit range: ${encoded}`);
+    }
+    return value;
+  }
+  
+  function isValid(timestamp) {
+    if (typeof timestamp !== 'string') return false;
+    if (timestamp.length !== length) return false;
+    const value = decodeDigits(timestamp, 0, length);
+    return value !== -1 && value <= MAX_TIMESTAMP;
+  }
+  
+  const encoding = Object.freeze({
+    name,
+    alphabet,
+    length,
+    encode: fastPath ? fastPath.encode : encode,
+    decode: fastPath ? fastPath.decode : decode,
+    isValid: fastPath ? fastPath.isValid : isValid
+  });
+  
+  ENCODING_INTERNALS.set(encoding, {
+    encodeTable,
+    decodeTable,
+    encodeDigits,
+    decodeDigits,
+    counterWidth: digitsFor(MAX_COUNTER, base)
+  });
+  
+  return encoding;
+}
+
+/**
+ * Creates a custom fixed-width timestamp encoding from an alphabet
+ * 
+ * Timestamps are written as big-endian digits padded to the width needed for 48 bits,
+ * so an alphabet listed in ASCII order yields strings that sort in time order.
+ * 
+ * @param {string} name - Encoding name
+ * @param {string} alphabet - 2 to 64 unique ASCII characters in ascending value order
+ * @param {Object} [options] - Decoding options
+ * @param {boolean} [options.caseInsensitive=false] - Accept either letter case when decoding
+ * @param {Object<string, string>} [options.aliases={}] - Extra single characters accepted when
+ *   decoding, mapped to the alphabet character they stand for
+ * @returns {{name: string, alphabet: string, length: number, encode: (ms: number) => string,
+ *   decode: (encoded: string) => number, isValid: (timestamp: string) => boolean}} Frozen encoding
+ * @throws {Error} If the alphabet or options are invalid
+ */
+export function createEncoding(name, alphabet, options = {}) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('Encoding name must be a non-empty string');
+  }
+  
+  if (typeof alphabet !== 'string' || alphabet.length < 2 || alphabet.length > 64 ||
+      !/^[\x21-\x7E]+$/.test(alphabet) || new Set(alphabet).size !== alphabet.length) {
+    throw new Error('Alphabet must contain 2 to 64 unique printable ASCII characters');
+  }
+  
+  if (typeof options !== 'object' || options === null) {
+    throw new Error('Options must be an object');
+  }
+  
+  for (const [alias, target] of Object.entries(options.aliases || {})) {
+    if (alias.length !== 1 || typeof target !== 'string' || target.length !== 1 || !alphabet.includes(target)) {
+      throw new Error(`Invalid alias: ${alias} -> ${target}`);
+    }
+  }
+  
+  return buildEncoding(name, alphabet, options);
+}
+
+/**
+ * Built-in encodings
+ * - base64url: RFC 4648 Base64URL, 8 chars (default)
+ * - base64sortable: Base64URL characters in ASCII order, 8 chars; string order equals time order
+ * - base32crockford: Crockford Base32, 10 chars, ULID-compatible, case-insensitive
+ * - hex: lowercase hexadecimal, 12 chars
+ * - base58: Bitcoin Base58 alphabet, 9 chars
+ * - base62: 0-9 A-Z a-z, 9 chars
+ */
+export const encodings = Object.freeze({
+  base64url: buildEncoding('base64url', BASE64URL_CHARS, {}, {
+    encode: ms => encodeTimestamp(ms),
+    decode: encoded => decodeBase64urlTimestamp(encoded),
+    isValid: timestamp => isValidTimestamp(timestamp)
+  }),
+  base64sortable: buildEncoding('base64sortable', BASE64_SORTABLE_CHARS, {}),
+  base32crockford: buildEncoding('base32crockford', CROCKFORD_BASE32_CHARS, {
+    caseInsensitive: true,
+    aliases: { I: '1', L: '1', O: '0' }
+  }),
+  hex: buildEncoding('hex', HEX_CHARS, { caseInsensitive: true }),
+  base58: buildEncoding('base58', BASE58_CHARS, {}),
+  base62: buildEncoding('base62', BASE62_CHARS, {})
+});
+
+/**
+ * Resolves an encoding option to an encoding object
+ * @param {string|Object} encoding - Built-in encoding name or encoding object
+ * @returns {Object} Encoding with name, length, encode, decode and isValid
+ * @throws {Error} If the encoding is unknown or malformed
+ */
+function resolveEncoding(encoding) {
+  if (typeof encoding === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(encodings, encoding)) {
+      throw new Error(`Unsupported encoding: ${encoding}, expected one of ${Object.keys(encodings).join(', ')}`);
+    }
+    return encodings[encoding];
+  }
+  
+  if (typeof encoding === 'object' && encoding !== null &&
+      typeof encoding.encode === 'function' && typeof encoding.decode === 'function' &&
+      typeof encoding.isValid === 'function' && Number.isInteger(encoding.length)) {
+    return encoding;
+  }
+  
+  throw new Error('Encoding must be a built-in encoding name or an object with length, encode, decode and isValid');
+}
+
+/**
+ * Validates the epoch, bits and precision options and computes the last representable tick
+ * @param {number|bigint|Date} [epoch=0] - Time stored as zero, in the precision's unit
+ * @param {number} [bits] - Width of the stored offset; defaults to 36, 48 or 54 bits for
+ *   second, millisecond or microsecond precision
+ * @param {'second'|'millisecond'|'microsecond'} [precision='millisecond'] - Tick unit
+ * @returns {{epoch: number|bigint, bits: number, horizon: number|bigint, precision: string}}
+ *   Epoch and horizon in ticks (bigints for microseconds; the horizon is capped at the end
+ *   of the 48-bit millisecond range), bit width and precision
+ * @throws {Error} If the precision is unknown or bits is out of range
+ * @throws {TimestampRangeError} If the epoch is out of range
+ */
+function resolveLayout(epoch = 0, bits, precision = 'millisecond') {
+  if (!Object.prototype.hasOwnProperty.call(PRECISIONS, precision)) {
+    throw new Error(`Unsupported precision: ${precision}, expected one of ${Object.keys(PRECISIONS).join(', ')}`);
+  }
+  
+  const unit = PRECISIONS[precision];
+  if (bits === undefined) bits = unit.bits;
+  
+  if (!Number.isInteger(bits) || bits < 1 || bits > unit.maxBits) {
+    throw new Error(`Bits must be an integer between 1 and ${unit.maxBits} for ${precision} precision, got ${bits}`);
+  }
+  
+  const start = toTicks(epoch, precision);
+  if (typeof start !== 'bigint') {
+    return { epoch: start, bits, horizon: Math.min(start + 2 ** bits - 1, unit.max), precision };
+  }
+  
+  const last = start + (1n << BigInt(bits)) - 1n;
+  return { epoch: start, bits, horizon: last < unit.max ? last : unit.max, precision };
+}
+
+/**
+ * Applies the epoch, bits and precision options to an encoding
+ * 
+ * The derived encoding stores `ticks - epoch` in the fewest digits that hold `bits` bits,
+ * and takes and returns ticks of the precision. Unix milliseconds with 48 bits return the
+ * base encoding itself.
+ * 
+ * @param {Object} encoding - Resolved encoding, possibly derived already
+ * @param {Object} layout - Result of resolveLayout
+ * @returns {Object} Encoding with name, length, encode, decode and isValid
+ * @throws {Error} If the encoding has no alphabet
+ */
+function withLayout(encoding, layout) {
+  const internals = ENCODING_INTERNALS.get(encoding);
+  const base = internals?.base ?? encoding;
+  
+  if (layout.precision === 'millisecond' && layout.epoch === 0 && layout.bits === 48) return base;
+  
+  if (!internals) {
+    throw new Error(`Custom epochs, bit widths and precisions require an alphabet-based encoding, got ${encoding.name}`);
+  }
+  
+  let derived = LAYOUT_ENCODINGS.get(base);
+  if (!derived) {
+    derived = new Map();
+    LAYOUT_ENCODINGS.set(base, derived);
+  }
+  
+  const cacheKey = `${layout.precision}:${layout.epoch}:${layout.bits}`;
+  if (!derived.has(cacheKey)) {
+    derived.set(cacheKey, buildLayoutEncoding(base, ENCODING_INTERNALS.get(base), layout));
+  }
+  return derived.get(cacheKey);
+}
+
+/**
+ * Builds the encoding of offsets from a custom epoch (see withLayout)
+ * @param {Object} base - Alphabet-based encoding of 48-bit Unix milliseconds
+ * @param {Object} baseInternals - Its digit helpers
+ * @param {{epoch: number|bigint, bits: number, horizon: number|bigint, precision: string}} layout - Resolved layout
+ * @returns {Object} Frozen encoding
+ */
+function buildLayoutEncoding(base, baseInternals, { epoch, bits, horizon, precision }) {
+  const { encodeTable, decodeTable, encodeDigits, decodeDigits } = baseInternals;
+  const length = digitsForBits(bits, encodeTable.length);
+  const iso = ticks => new Date(PRECISIONS[precision].toMs(Number(ticks))).toISOString();
+  const epochIso = iso(epoch);
+  const horizonIso = iso(horizon);
+  
+  // Microsecond offsets may exceed 2^53, so they take bigint digits
+  const radix = BigInt(encodeTable.length);
+  const bigDigits = typeof epoch === 'bigint';
+  
+  function encodeOffset(offset) {
+    if (!bigDigits) return encodeDigits(offset, length);
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result = encodeTable[Number(offset % radix)] + result;
+      offset /= radix;
+    }
+    return result;
+  }
+  
+  function decodeOffset(encoded) {
+    if (!bigDigits) return decodeDigits(encoded, 0, length);
+    let value = 0n;
+    for (let i = 0; i < length; i++) {
+      const code = encoded.charCodeAt(i);
+      const digit = code < 256 ? decodeTable[code] : -1;
+      if (digit === -1) return -1;
+      value = value * radix + BigInt(digit);
+    }
+    return value;
+  }
+  
+  function assertInRange(ticks) {
+    if (ticks < epoch) {
+      throw new TimestampRangeError(ticks, `Timestamp ${iso(ticks)} is before the epoch ${epochIso}`, epoch, horizon);
+    }
+    
+    if (ticks > horizon) {
+      throw new TimestampRangeError(ticks, `Timestamp ${iso(ticks)} is past the horizon ` +
+        `${horizonIso} of ${bits}-bit timestamps from ${epochIso}`, epoch, horizon);
+    }
+  }
+  
+  function encode(time) {
+    const ticks = toTicks(time, precision);
+    assertInRange(ticks);
+    return encodeOffset(ticks - epoch);
+  }
+  
+  function decode(encoded) {
+    assertEncodedShape(encoded, length);
+    
+    const offset = decodeOffset(encoded);
+    if (offset === -1) {
+      throw invalidCharError(encoded, decodeTable, base.name);
+    }
+    
+    if (epoch + offset > horizon) {
+      throw new TimestampRangeError(epoch + offset, `Timestamp ${encoded} lies past the horizon ${horizonIso} of ` +
+        `${bits}-bit timestamps from ${epochIso}`, epoch, horizon);
+    }
+    return epoch + offset;
+  }
+  
+  function isValid(timestamp) {
+    if (typeof timestamp !== 'string' || timestamp.length !== length) return false;
+    const offset = decodeOffset(timestamp);
+    return offset !== -1 && epoch + offset <= horizon;
+  }
+  
+  const encoding = Object.freeze({ name: base.name, alphabet: base.alphabet, length, epoch, bits, precision, encode, decode, isValid });
+  ENCODING_INTERNALS.set(encoding, { ...baseInternals, base, epoch, horizon, precision, assertInRange });
+  return encoding;
+}
+
+/**
+ * Returns the range of ticks an encoding can carry
+ * @param {Object} encoding - Resolved encoding
+ * @returns {{min: number|bigint, max: number|bigint}} First and last representable tick of
+ *   the encoding's precision; Unix milliseconds for the base encodings
+ */
+function encodingRange(encoding) {
+  const internals = ENCODING_INTERNALS.get(encoding);
+  return internals?.base ? { min: internals.epoch, max: internals.horizon } : { min: 0, max: MAX_TIMESTAMP };
+}
+
+/**
+ * Checks that an encoding can carry a timestamp, so generators refuse it before recording
+ * it as issued
+ * @param {Object|null} encoding - Resolved encoding; null for raw bytes and UUIDs
+ * @param {number} ticks - Timestamp about to be issued
+ * @throws {TimestampRangeError} If the timestamp is before the epoch or past the horizon
+ */
+function assertEncodable(encoding, ticks) {
+  if (encoding === null) return;
+  ENCODING_INTERNALS.get(encoding)?.assertInRange?.(ticks);
+}
+
+/**
+ * Rejects keys for encodings with a custom epoch, bit width or precision
+ * @param {Object} encoding - Resolved encoding
+ * @throws {Error} If the encoding does not span the full 48-bit range
+ */
+function assertFullRange(encoding) {
+  if (ENCODING_INTERNALS.get(encoding)?.base) {
+    throw new Error('Keys permute the full 48-bit range and cannot be combined with a custom epoch, bit width or precision');
+  }
+}
+
+/**
+ * Looks up the digit helpers needed for the counter format
+ * @param {Object} encoding - Resolved encoding
+ * @returns {Object} Internal digit helpers
+ * @throws {Error} If the encoding was not created from an alphabet
+ */
+function counterInternals(encoding) {
+  const internals = ENCODING_INTERNALS.get(encoding);
+  if (!internals) {
+    throw new Error(`Counter format requires an alphabet-based encoding, got ${encoding.name}`);
+  }
+  return internals;
+}
+
+/**
+ * Validates the width of the node ID field
+ * @param {number} nodeBits - Bits reserved for the node ID
+ * @throws {Error} If nodeBits is not an integer from 1 to 20
+ */
+function assertNodeBits(nodeBits) {
+  if (!Number.isInteger(nodeBits) || nodeBits < 1 || nodeBits > MAX_NODE_BITS) {
+    throw new Error(`Node bits must be an integer between 1 and ${MAX_NODE_BITS}, got ${nodeBits}`);
+  }
+}
+
+/**
+ * Validates a node ID against the width of its field
+ * @param {number} nodeId - Node ID
+ * @param {number} nodeBits - Bits reserved for the node ID
+ * @throws {Error} If the node ID does not fit
+ */
+function assertNodeId(nodeId, nodeBits) {
+  if (!Number.isInteger(nodeId) || nodeId < 0 || nodeId >= 2 ** nodeBits) {
+    throw new Error(`Node ID must be an integer between 0 and ${2 ** nodeBits - 1}, got ${nodeId}`);
+  }
+}
+
+/**
+ * Reads a node ID from an environment variable (Node.js, Bun and Deno's process global)
+ * @param {string} name - Variable name
+ * @param {number} nodeBits - Bits reserved for the node ID
+ * @returns {number} Node ID
+ * @throws {Error} If the variable is unset or not a valid node ID
+ */
+function readNodeIdEnv(name, nodeBits) {
+  const value = globalThis.process?.env?.[name];
+  if (value === undefined || value === '') {
+    throw new Error(`No node ID configured: pass the nodeId option or set ${name}`);
+  }
+  
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a non-negative integer, got ${value}`);
+  }
+  
+  const nodeId = Number(value);
+  assertNodeId(nodeId, nodeBits);
+  return nodeId;
+}
+
+/**
+ * Digits an encoding needs for the node ID field (node ID and counter)
+ * @param {Object} internals - Encoding internals
+ * @param {number} nodeBits - Bits reserved for the node ID
+ * @returns {number} Field width in characters
+ */
+function nodeFieldWidth(internals, nodeBits) {
+  return digitsFor(2 ** (nodeBits + COUNTER_BITS) - 1, internals.encodeTable.length);
+}
+
+/**
+ * Creates the shared memory that lets generators in several worker threads issue
+ * strictly increasing, unique IDs as if they were one generator
+ * 
+ * Pass the buffer to each worker (e.g. in workerData) and create every generator with
+ * createTimestampGenerator({ sharedState }). All of them must use the same clock.
+ * 
+ * @returns {SharedArrayBuffer} Zeroed state buffer
+ * @throws {Error} If SharedArrayBuffer is not available (e.g. pages without cross-origin isolation)
+ */
+export function createSharedTimestampState() {
+  if (typeof SharedArrayBuffer === 'undefined') {
+    throw new Error('SharedArrayBuffer is not available in this runtime');
+  }
+  return new SharedArrayBuffer(SHARED_STATE_BYTES);
+}
+
+/**
+ * Validates a shared state buffer and returns the view used with Atomics
+ * @param {SharedArrayBuffer} sharedState - Buffer from createSharedTimestampState
+ * @returns {BigInt64Array} State slots
+ * @throws {Error} If the buffer is not a SharedArrayBuffer of the expected size
+ */
+function sharedStateSlots(sharedState) {
+  if (typeof SharedArrayBuffer === 'undefined' || !(sharedState instanceof SharedArrayBuffer) ||
+      sharedState.byteLength !== SHARED_STATE_BYTES) {
+    throw new Error('sharedState must be a SharedArrayBuffer from createSharedTimestampState()');
+  }
+  return new BigInt64Array(sharedState);
+}
+
+/**
+ * Loads the persisted high-water mark of a generator
+ * @param {{load: () => number|null|undefined, save: (reservedUntil: number) => void}} persistence - Adapter
+ * @returns {number} Exclusive bound on previously issued timestamps; 0 if nothing was saved
+ * @throws {Error} If the adapter is invalid or returns an invalid value
+ */
+function loadReservation(persistence) {
+  if (typeof persistence !== 'object' || persistence === null ||
+      typeof persistence.load !== 'function' || typeof persistence.save !== 'function') {
+    throw new Error('persistence must be an object with load() and save() methods');
+  }
+  
+  const reservedUntil = persistence.load();
+  if (reservedUntil === undefined || reservedUntil === null) return 0;
+  
+  if (!Number.isInteger(reservedUntil) || reservedUntil < 0 || reservedUntil > MAX_TIMESTAMP + 1) {
+    throw new Error(`Persisted timestamp must be an integer between 0 and ${MAX_TIMESTAMP + 1}, got ${reservedUntil}`);
+  }
+  return reservedUntil;
+}
+
+/**
+ * Validates a point in time and encodes it as Base64URL
+ * @param {number|bigint|Date} time - Unix milliseconds or a Date
+ * @returns {string} 8-character Base64URL string
+ * @throws {TimestampRangeError} If the value is out of range
+ */
+function encodeTimestamp(time) {
+  return encodeUint48(toMilliseconds(time));
+}
+
+/**
+ * Creates a timestamp generator with its own monotonic state and clock
+ * 
+ * Each instance keeps a private last-issued timestamp, sub-millisecond counter and
+ * scratch buffers, so independent subsystems never interfere with each other's
+ * sequence. The top-level functions of this module delegate to a default instance.
+ * The generation methods accept the same unique, monotonic, encoding, prefix, randomBytes
+ * and key options to override the instance settings for a single call; the clock is
+ * fixed per instance.
+ * 
+ * @param {Object} [options] - Generator options
+ * @param {() => number} [options.clock=Date.now] - Returns the current Unix time in
+ *   milliseconds; fractional values (e.g. performance.timeOrigin + performance.now())
+ *   are floored
+ * @param {boolean} [options.monotonic=true] - Never issue a timestamp lower than the last
+ *   one, holding backward readings at the last issued value
+ * @param {boolean} [options.unique=monotonic] - Bump repeated timestamps so every ID is
+ *   strictly increasing; requires monotonic. Counter-format IDs and UUIDs carry a counter
+ *   and stay distinct either way. Second precision requires it to be set unless randomBytes
+ *   is, and then defaults to false
+ * @param {string|Object} [options.encoding='base64url'] - Output encoding: a key of
+ *   `encodings` or an encoding object such as one returned by createEncoding
+ * @param {string} [options.prefix=''] - Printable ASCII prepended to every string ID
+ * @param {number} [options.randomBytes=0] - Bytes of crypto.getRandomValues entropy appended to
+ *   every string ID in the ID's own alphabet, so IDs cannot be guessed from the time (0-32);
+ *   needs the global Web Crypto API
+ * @param {Object} [options.key] - Key from createTimestampKey; string IDs in the 8-character
+ *   format are permuted with it and led by its key ID, hiding their creation time
+ * @param {number|bigint|Date} [options.epoch=0] - Time stored as zero in string IDs, e.g.
+ *   Date.UTC(2020, 0, 1); raw bytes and UUIDs keep Unix milliseconds
+ * @param {number} [options.bits] - Width of the timestamp in string IDs, which sets their
+ *   length: up to 48 bits for seconds and milliseconds, 64 for microseconds (default: the
+ *   precision's); see getTimestampHorizon for the last time that fits
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Unit of
+ *   the timestamps in string IDs. Seconds default to 36 bits (6 Base64URL characters) and
+ *   need a choice for bursts: unique: true runs a second ahead of the clock per repeated
+ *   ID, unique: false repeats IDs, and randomBytes tells repeats apart; microseconds default
+ *   to 54 bits (9 characters),
+ *   read performance.timeOrigin + performance.now() unless a clock is given, and decode to
+ *   bigints. Counter, node, UUID and raw byte formats need millisecond precision
+ * @param {'monotonic'|'wait'|'throw'|'emit'} [options.clockRegression='monotonic'] - Reaction
+ *   to a backward clock step: keep bumping the last timestamp, block until the clock catches up,
+ *   throw ClockRegressionError, or bump and report it through onClockRegression
+ * @param {number} [options.regressionThresholdMs=Infinity] - Largest skew that is absorbed
+ *   without throwing; beyond it 'monotonic', 'emit' and 'wait' throw ClockRegressionError
+ * @param {(event: {skewMs: number, previous: number, current: number}) => void}
+ *   [options.onClockRegression] - Called once per backward step, before the policy applies
+ * @param {number} [options.nodeId] - This process's node ID for generateWithNode; defaults
+ *   to the nodeIdEnv environment variable, read on first use
+ * @param {number} [options.nodeBits=10] - Bits reserved for the node ID (1-20)
+ * @param {string} [options.nodeIdEnv='TS48_NODE_ID'] - Environment variable holding the node ID
+ * @param {SharedArrayBuffer} [options.sharedState] - State from createSharedTimestampState;
+ *   generators sharing it issue strictly increasing IDs together, across worker threads
+ * @param {{load: () => number|null|undefined, save: (reservedUntil: number) => void}}
+ *   [options.persistence] - Synchronous store for the high-water mark, such as
+ *   createFileTimestampStore from the Node.js entry point. load() is called once here;
+ *   after a restart, monotonic IDs start at or above the loaded value
+ * @param {number} [options.persistenceWindowMs=1000] - How far ahead of the issued
+ *   timestamp each save reserves; larger windows save less often but may skip further
+ *   ahead after a restart
+ * @returns {{precision: string, generate: (options?: Object) => string, generateFast: (options?: Object) => string,
+ *   write: (target: Uint8Array, offset?: number, timestamp?: number|bigint|Date) => number,
+ *   fill: (target: Uint8Array, offset?: number, count?: number) => number,
+ *   batch: (count?: number, options?: Object) => string[],
+ *   generateWithCounter: (options?: Object) => string,
+ *   generateWithNode: (options?: Object) => string,
+ *   generateUUIDv7: (options?: Object) => string|Uint8Array}} Generator instance
+ * @throws {Error} If options are invalid
+ */
+export function createTimestampGenerator(options = {}) {
+  assertOptions(options, GENERATOR_OPTION_KEYS);
+  
+  const defaults = options.precision === 'microsecond' ? MICROSECOND_DEFAULTS
+    : options.precision === 'second' ? SECOND_DEFAULTS
+    : DEFAULT_TIMESTAMP_OPTIONS;
+  const {
+    clock,
+    monotonic,
+    unique,
+    encoding: timestampEncoding,
+    prefix,
+    randomBytes,
+    key,
+    precision
+  } = resolveTimestampOptions(options, defaults);
+  
+  const {
+    clockRegression = 'monotonic',
+    regressionThresholdMs = Infinity,
+    onClockRegression,
+    nodeBits = DEFAULT_NODE_BITS,
+    nodeIdEnv = DEFAULT_NODE_ID_ENV
+  } = options;
+  
+  // Per-call options fall back to the instance settings; an unset unique keeps following monotonic
+  // (except at second precision, where it defaults to false)
+  const callDefaults = {
+    clock, monotonic, unique: options.unique ?? defaults.unique, encoding: timestampEncoding, prefix, randomBytes, key,
+    epoch: options.epoch, bits: options.bits, precision
+  };
+  
+  // Clock readings and timestamps below are counted in ticks of the precision
+  const unit = PRECISIONS[precision];
+  const maxTicks = precision === 'microsecond' ? Number.MAX_SAFE_INTEGER : unit.max;
+  
+  const encodingInternals = ENCODING_INTERNALS.get(timestampEncoding);
+  
+  // Only derived encodings (custom epoch, bits or precision) can refuse a clock reading
+  const rangedEncoding = encodingInternals?.base ? timestampEncoding : null;
+  
+  // 64-character alphabets (Base64URL and its sortable variant) use the inline encoders;
+  // keyed IDs, custom epochs and other precisions take the generic path
+  const inlineTable = encodingInternals && encodingInternals.encodeTable.length === 64 && key === null &&
+    !encodingInternals.base
+    ? encodingInternals.encodeTable
+    : null;
+  
+  if (!CLOCK_REGRESSION_POLICIES.includes(clockRegression)) {
+    throw new Error(`Invalid clock regression policy: ${clockRegression}, expected one of ${CLOCK_REGRESSION_POLICIES.join(', ')}`);
+  }
+  
+  if (typeof regressionThresholdMs !== 'number' || !(regressionThresholdMs >= 0)) {
+    throw new Error('Regression threshold must be a non-negative number of milliseconds');
+  }
+  
+  if (onClockRegression !== undefined && typeof onClockRegression !== 'function') {
+    throw new Error('onClockRegression must be a function');
+  }
+  
+  if (clockRegression === 'emit' && !onClockRegression) {
+    throw new Error("The 'emit' clock regression policy requires an onClockRegression listener");
+  }
+  
+  assertNodeBits(nodeBits);
+  
+  if (typeof nodeIdEnv !== 'string' || nodeIdEnv === '') {
+    throw new Error('nodeIdEnv must be a non-empty string');
+  }
+  
+  // Node ID for generateWithNode; the environment is only consulted when that format is used
+  let nodeId = options.nodeId;
+  if (nodeId !== undefined) assertNodeId(nodeId, nodeBits);
+  
+  // Last issued values shared with other generators, possibly in other threads
+  const sharedSlots = options.sharedState === undefined ? null : sharedStateSlots(options.sharedState);
+  
+  const { persistence, persistenceWindowMs = DEFAULT_PERSISTENCE_WINDOW_MS } = options;
+  
+  if (!Number.isInteger(persistenceWindowMs) || persistenceWindowMs < 0) {
+    throw new Error('Persistence window must be a non-negative integer number of milliseconds');
+  }
+  
+  if (persistence !== undefined && sharedSlots) {
+    throw new Error('The persistence and sharedState options cannot be combined');
+  }
+  
+  if ((persistence !== undefined || sharedSlots) && precision !== 'millisecond') {
+    throw new Error('The persistence and sharedState options require millisecond precision');
+  }
+  
+  // A second holds many IDs, so neither bumping nor repeating it is a safe default
+  if (precision === 'second' && monotonic && options.unique === undefined && randomBytes === 0) {
+    throw new Error('Second precision needs unique: true (repeated seconds run ahead of the clock), ' +
+      'unique: false (IDs repeat within a second) or randomBytes (repeats get random suffixes)');
+  }
+  
+  // Exclusive bound on every timestamp issued so far, including before a restart.
+  // Issuing at or past it saves a new bound first; Infinity disables persistence.
+  let reservedUntil = persistence === undefined ? Infinity : loadReservation(persistence);
+  
+  // State for generating unique, monotonic timestamps
+  let lastGeneratedTimestamp = 0;
+  
+  // State for the sub-millisecond counter format
+  // counterTimestamp stays on the wall-clock millisecond; counterValue orders IDs within it
+  let counterTimestamp = 0;
+  let counterValue = 0;
+  
+  // Resume above the persisted bound: the next unique timestamp, and the next counter
+  // ID (counterValue -1 + 1), are issued at reservedUntil at the earliest
+  if (persistence !== undefined && reservedUntil > 0) {
+    lastGeneratedTimestamp = reservedUntil - 1;
+    counterTimestamp = reservedUntil;
+    counterValue = -1;
+  }
+  
+  // Clock readings used to detect backward steps: the previous reading and the highest one
+  let lastClockReading = 0;
+  let clockHighWater = 0;
+  
+  // Reusable buffers for performance optimization
+  const reusableBuffer = new Uint8Array(6);
+  const fastView = new DataView(new ArrayBuffer(8));
+  
+  /**
+   * Validates per-call options against the instance settings
+   * @param {Object} callOptions - Options passed to a generation method
+   * @param {string[]} allowedKeys - Keys the method accepts
+   * @returns {Object} Resolved options (see resolveTimestampOptions)
+   */
+  function resolveCallOptions(callOptions, allowedKeys) {
+    assertNoCallClock(callOptions);
+    assertOptions(callOptions, allowedKeys);
+    const call = resolveTimestampOptions(callOptions, callDefaults);
+    
+    // Issued timestamps are remembered in ticks, so one generator cannot mix precisions
+    if (call.precision !== precision) {
+      throw new Error(`This generator uses ${precision} precision; create one with { precision: '${call.precision}' } instead`);
+    }
+    return call;
+  }
+  
+  /**
+   * Rejects the formats that carry Unix milliseconds when the generator counts other ticks
+   * @param {string} format - Format name for the error message
+   * @throws {Error} If the generator's precision is not millisecond
+   */
+  function assertMilliseconds(format) {
+    if (precision !== 'millisecond') {
+      throw new Error(`${format} use millisecond precision; this generator uses ${precision}`);
+    }
+  }
+  
+  /**
+   * Reads the clock and checks it fits the 48-bit timestamp field
+   * @param {() => number} [source=clock] - Clock to read
+   * @returns {number} Unix timestamp in whole ticks (milliseconds unless another precision was chosen)
+   * @throws {Error} If the clock returns an invalid value
+   */
+  function readClock(source = clock) {
+    const now = unit.fromMs(source());
+    if (!(now >= 0 && now <= maxTicks)) {
+      throw new Error(`Clock returned invalid value: ${now}`);
+    }
+    return now;
+  }
+  
+  /**
+   * Reads the clock and applies the clock regression policy to backward readings
+   * @param {() => number} [source=clock] - Clock to read
+   * @returns {number} Unix timestamp in whole ticks
+   * @throws {ClockRegressionError} If the policy refuses the regressed reading
+   */
+  function readCheckedClock(source = clock) {
+    let now = readClock(source);
+    const previous = lastClockReading;
+    lastClockReading = now;
+    
+    if (now >= clockHighWater) {
+      clockHighWater = now;
+      return now;
+    }
+    
+    // Report each backward step once, with the total skew behind the highest reading
+    if (onClockRegression && now < previous) {
+      onClockRegression({ skewMs: unit.toMs(clockHighWater - now), previous: unit.toMs(clockHighWater), current: unit.toMs(now) });
+    }
+    
+    if (clockRegression === 'throw' || unit.toMs(clockHighWater - now) > regressionThresholdMs) {
+      throw new ClockRegressionError(unit.toMs(clockHighWater), unit.toMs(now));
+    }
+    
+    if (clockRegression === 'wait') {
+      while ((now = readClock(source)) < clockHighWater) {
+        // spin
+      }
+      lastClockReading = clockHighWater = now;
+    }
+    
+    return now;
+  }
+  
+  /**
+   * Returns the next timestamp, unique and monotonic unless disabled
+   * @param {() => number} [source=clock] - Clock to read
+   * @param {boolean} [uniqueIds=unique] - Bump a repeated timestamp past the last one
+   * @param {boolean} [monotonicIds=monotonic] - Never go below the last timestamp
+   * @param {Object|null} [target=null] - Encoding the timestamp is issued in; one it cannot
+   *   carry throws before any state changes (null for raw bytes, which take any 48-bit value)
+   * @returns {number} Unix timestamp in milliseconds
+   */
+  function nextTimestamp(source = clock, uniqueIds = unique, monotonicIds = monotonic, target = null) {
+    let now = readCheckedClock(source);
+    if (!monotonicIds) return now;
+    if (sharedSlots) return nextSharedTimestamp(now, uniqueIds, target);
+    
+    // Ensure timestamp is monotonic, and unique unless duplicates were allowed
+    if (now <= lastGeneratedTimestamp) {
+      now = uniqueIds ? lastGeneratedTimestamp + 1 : lastGeneratedTimestamp;
+    }
+    assertEncodable(target, now);
+    lastGeneratedTimestamp = now;
+    if (now >= reservedUntil) reserve(now);
+    return now;
+  }
+  
+  /**
+   * Persists a new high-water mark before a timestamp at or past the current one is issued
+   * @param {number} timestamp - Timestamp about to be issued
+   * @throws {Error} If the adapter fails to save; the timestamp must then not be issued
+   */
+  function reserve(timestamp) {
+    const next = Math.min(timestamp + 1 + persistenceWindowMs, MAX_TIMESTAMP + 1);
+    persistence.save(next);
+    reservedUntil = next;
+  }
+  
+  /**
+   * nextTimestamp for shared state: publishes the new timestamp with compare-and-swap,
+   * retrying when another generator got there first
+   * @param {number} now - Checked clock reading
+   * @param {boolean} uniqueIds - Bump a repeated timestamp past the last one
+   * @param {Object|null} target - Encoding the timestamp is issued in, as for nextTimestamp
+   * @returns {number} Unix timestamp in milliseconds
+   */
+  function nextSharedTimestamp(now, uniqueIds, target) {
+    for (;;) {
+      const last = Atomics.load(sharedSlots, SHARED_TIMESTAMP_SLOT);
+      const lastTimestamp = Number(last);
+      
+      if (now <= lastTimestamp && !uniqueIds) return lastTimestamp;
+      const next = now <= lastTimestamp ? lastTimestamp + 1 : now;
+      assertEncodable(target, next);
+      
+      if (Atomics.compareExchange(sharedSlots, SHARED_TIMESTAMP_SLOT, last, BigInt(next)) === last) {
+        return next;
+      }
+    }
+  }
+  
+  /**
+   * Advances the (counterTimestamp, counterValue) pair to the next strictly greater value
+   * @param {'wait'|'throw'|'spill'} onOverflow - Policy when more than 4096 IDs share one millisecond:
+   *   spin until the next tick, throw, or spill into the next millisecond
+   * @param {() => number} [source=clock] - Clock to read
+   * @param {boolean} [monotonicIds=monotonic] - Never go below the last issued value
+   * @param {Object|null} [target=null] - Encoding of the counter timestamp, as for nextTimestamp
+   *   (null for UUIDs)
+   * @throws {Error} If the counter overflows under the 'throw' policy
+   */
+  function nextCounter(onOverflow, source = clock, monotonicIds = monotonic, target = null) {
+    const now = readCheckedClock(source);
+    
+    if (!sharedSlots || !monotonicIds) {
+      const [timestamp, value] = counterAfter(counterTimestamp, counterValue, now, onOverflow, source, monotonicIds);
+      assertEncodable(target, timestamp);
+      [counterTimestamp, counterValue] = [timestamp, value];
+      if (counterTimestamp >= reservedUntil && monotonicIds) reserve(counterTimestamp);
+      return;
+    }
+    
+    // Shared state: advance the packed pair with compare-and-swap, retrying on contention
+    for (;;) {
+      const last = Atomics.load(sharedSlots, SHARED_COUNTER_SLOT);
+      const lastTimestamp = Number(last >> BigInt(COUNTER_BITS));
+      const lastValue = Number(last & BigInt(MAX_COUNTER));
+      const [timestamp, value] = counterAfter(lastTimestamp, lastValue, now, onOverflow, source, true);
+      assertEncodable(target, timestamp);
+      const next = (BigInt(timestamp) << BigInt(COUNTER_BITS)) | BigInt(value);
+      
+      if (Atomics.compareExchange(sharedSlots, SHARED_COUNTER_SLOT, last, next) === last) {
+        counterTimestamp = timestamp;
+        counterValue = value;
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Computes the (timestamp, counter) pair that follows the last issued one
+   * @param {number} lastTimestamp - Last issued counter timestamp
+   * @param {number} lastValue - Last issued counter value
+   * @param {number} now - Checked clock reading
+   * @param {'wait'|'throw'|'spill'} onOverflow - Overflow policy, as for nextCounter
+   * @param {() => number} source - Clock to read while waiting
+   * @param {boolean} monotonicIds - Never go below the last issued value
+   * @returns {[number, number]} Next timestamp and counter value
+   * @throws {Error} If the counter overflows under the 'throw' policy
+   */
+  function counterAfter(lastTimestamp, lastValue, now, onOverflow, source, monotonicIds) {
+    // Non-monotonic generators follow the clock backwards as well
+    if (now > lastTimestamp || (!monotonicIds && now < lastTimestamp)) {
+      return [now, 0];
+    }
+    
+    // Same millisecond (or clock behind the last issued value): bump the counter
+    if (lastValue < MAX_COUNTER) {
+      return [lastTimestamp, lastValue + 1];
+    }
+    
+    if (onOverflow === 'throw') {
+      throw new Error(`Counter overflow: more than ${MAX_COUNTER + 1} timestamps in millisecond ${lastTimestamp}`);
+    }
+    
+    if (onOverflow === 'spill') {
+      return [lastTimestamp + 1, 0];
+    }
+    
+    // 'wait': block until the clock moves past the exhausted millisecond
+    while ((now = readClock(source)) <= lastTimestamp) {
+      // spin
+    }
+    return [now, 0];
+  }
+  
+  /**
+   * Appends the encoded counter to the encoded counter timestamp
+   * @returns {string} Counter format ID
+   */
+  function formatCounter(target) {
+    if (target === encodings.base64url) {
+      return encodeUint48(counterTimestamp) + ENCODE_TABLE[counterValue >>> 6] + ENCODE_TABLE[counterValue & 0x3F];
+    }
+    const { encodeDigits, counterWidth } = counterInternals(target);
+    return target.encode(counterTimestamp) + encodeDigits(counterValue, counterWidth);
+  }
+  
+  /**
+   * Generates one ID with per-call overrides of the instance options
+   * @param {Object} callOptions - Options passed to generate or generateFast
+   * @returns {string} Encoded timestamp
+   */
+  function generateWithOptions(callOptions) {
+    const call = resolveCallOptions(callOptions, TIMESTAMP_OPTION_KEYS);
+    const timestamp = nextTimestamp(call.clock, call.unique, call.monotonic, call.encoding);
+    return call.prefix + encodeKeyed(call.encoding, timestamp, call.key) +
+      randomSuffix(call.encoding, call.randomBytes);
+  }
+  
+  function generate(options) {
+    if (options !== undefined) return generateWithOptions(options);
+    
+    const timestamp48 = nextTimestamp(clock, unique, monotonic, rangedEncoding);
+    if (!inlineTable) return prefix + encodeKeyed(timestampEncoding, timestamp48, key) + randomSuffix(timestampEncoding, randomBytes);
+    const table = inlineTable;
+    
+    // Pack 48-bit timestamp into the reusable 6-byte buffer (big-endian)
+    const bytes = reusableBuffer;
+    bytes[0] = Math.floor(timestamp48 / 0x10000000000) & 0xFF;
+    bytes[1] = Math.floor(timestamp48 / 0x100000000) & 0xFF;
+    bytes[2] = (timestamp48 >>> 24) & 0xFF;
+    bytes[3] = (timestamp48 >>> 16) & 0xFF;
+    bytes[4] = (timestamp48 >>> 8) & 0xFF;
+    bytes[5] = timestamp48 & 0xFF;
+    
+    // Inline Base64URL encoding for maximum speed
+    const b0 = bytes[0], b1 = bytes[1], b2 = bytes[2];
+    const b3 = bytes[3], b4 = bytes[4], b5 = bytes[5];
+    
+    // First 3 bytes -> 4 chars
+    const g1 = (b0 << 16) | (b1 << 8) | b2;
+    const c0 = table[(g1 >>> 18) & 0x3F];
+    const c1 = table[(g1 >>> 12) & 0x3F];
+    const c2 = table[(g1 >>> 6) & 0x3F];
+    const c3 = table[g1 & 0x3F];
+    
+    // Second 3 bytes -> 4 chars
+    const g2 = (b3 << 16) | (b4 << 8) | b5;
+    const c4 = table[(g2 >>> 18) & 0x3F];
+    const c5 = table[(g2 >>> 12) & 0x3F];
+    const c6 = table[(g2 >>> 6) & 0x3F];
+    const c7 = table[g2 & 0x3F];
+    
+    // Use template literal for better performance than string concatenation
+    if (randomBytes !== 0) return `${prefix}${c0}${c1}${c2}${c3}${c4}${c5}${c6}${c7}${randomSuffix(timestampEncoding, randomBytes)}`;
+    return `${prefix}${c0}${c1}${c2}${c3}${c4}${c5}${c6}${c7}`;
+  }
+  
+  function generateFast(options) {
+    if (options !== undefined) return generateWithOptions(options);
+    
+    const now = nextTimestamp(clock, unique, monotonic, rangedEncoding);
+    if (!inlineTable) return prefix + encodeKeyed(timestampEncoding, now, key) + randomSuffix(timestampEncoding, randomBytes);
+    const table = inlineTable;
+    
+    // Use DataView for optimal performance with 48-bit big-endian encoding
+    fastView.setBigUint64(0, BigInt(now), false); // Big-endian
+    
+    // Extract 6 bytes directly from the DataView (last 6 bytes contain our 48-bit timestamp)
+    const b0 = fastView.getUint8(2); // Skip first 2 bytes for 48-bit extraction
+    const b1 = fastView.getUint8(3);
+    const b2 = fastView.getUint8(4);
+    const b3 = fastView.getUint8(5);
+    const b4 = fastView.getUint8(6);
+    const b5 = fastView.getUint8(7);
+    
+    // Inline Base64URL encoding with direct indexing
+    const g1 = (b0 << 16) | (b1 << 8) | b2;
+    const g2 = (b3 << 16) | (b4 << 8) | b5;
+    
+    // Direct character lookup and template literal assembly
+    const encoded = `${prefix}${table[g1 >>> 18]}${table[(g1 >>> 12) & 0x3F]}${table[(g1 >>> 6) & 0x3F]}${table[g1 & 0x3F]}${table[g2 >>> 18]}${table[(g2 >>> 12) & 0x3F]}${table[(g2 >>> 6) & 0x3F]}${table[g2 & 0x3F]}`;
+    return randomBytes === 0 ? encoded : encoded + randomSuffix(timestampEncoding, randomBytes);
+  }
+  
+  function write(target, offset = 0, timestamp) {
+    assertMilliseconds('Raw bytes');
+    assertByteRange(target, offset);
+    
+    timestamp = timestamp === undefined ? nextTimestamp() : toMilliseconds(timestamp);
+    
+    writeUint48(target, offset, timestamp);
+    return timestamp;
+  }
+  
+  function fill(target, offset = 0, count) {
+    assertMilliseconds('Raw bytes');
+    assertByteRange(target, offset);
+    
+    if (count === undefined) count = Math.floor((target.length - offset) / 6);
+    
+    if (!Number.isInteger(count) || count < 1) {
+      throw new CountRangeError(count, 1, Math.floor((target.length - offset) / 6), 'Count must be a positive integer');
+    }
+    
+    assertByteRange(target, offset + (count - 1) * 6);
+    
+    for (let i = 0, position = offset; i < count; i++, position += 6) {
+      writeUint48(target, position, nextTimestamp());
+    }
+    return count;
+  }
+  
+  function generateWithCounter(options = {}) {
+    const call = resolveCallOptions(options, COUNTER_OPTION_KEYS);
+    const { onOverflow = 'wait' } = options;
+    assertOverflowPolicy(onOverflow);
+    assertUnkeyed(call.key);
+    assertMilliseconds('Counter IDs');
+    if (call.encoding !== encodings.base64url) counterInternals(call.encoding);
+    nextCounter(onOverflow, call.clock, call.monotonic, call.encoding);
+    
+    return call.prefix + formatCounter(call.encoding) + randomSuffix(call.encoding, call.randomBytes);
+  }
+  
+  function generateWithNode(options = {}) {
+    const call = resolveCallOptions(options, COUNTER_OPTION_KEYS);
+    const { onOverflow = 'wait' } = options;
+    assertOverflowPolicy(onOverflow);
+    assertUnkeyed(call.key);
+    assertMilliseconds('Node IDs');
+    const internals = counterInternals(call.encoding);
+    nodeId ??= readNodeIdEnv(nodeIdEnv, nodeBits);
+    nextCounter(onOverflow, call.clock, call.monotonic, call.encoding);
+    
+    // Node ID in the high bits, counter in the low 12, so IDs sort by node within a millisecond
+    const field = nodeId * (MAX_COUNTER + 1) + counterValue;
+    return call.prefix + call.encoding.encode(counterTimestamp) +
+      internals.encodeDigits(field, nodeFieldWidth(internals, nodeBits)) + randomSuffix(call.encoding, call.randomBytes);
+  }
+  
+  function batch(count = 1, options = {}) {
+    if (!Number.isInteger(count) || count < 1 || count > 10000) {
+      throw new CountRangeError(count, 1, 10000);
+    }
+    
+    const call = resolveCallOptions(options, BATCH_OPTION_KEYS);
+    const { fast = false, counter = false, onOverflow = 'wait' } = options;
+    const target = call.encoding;
+    const results = new Array(count);
+    
+    if (counter) {
+      assertOverflowPolicy(onOverflow);
+      assertUnkeyed(call.key);
+      assertMilliseconds('Counter IDs');
+      if (target !== encodings.base64url) counterInternals(target);
+      for (let i = 0; i < count; i++) {
+        nextCounter(onOverflow, call.clock, call.monotonic, target);
+        results[i] = call.prefix + formatCounter(target) + randomSuffix(target, call.randomBytes);
+      }
+      return results;
+    }
+    
+    // Per-call overrides take the generic path; instance settings keep the inline encoders
+    if (target !== timestampEncoding || call.prefix !== prefix ||
+        call.unique !== unique || call.monotonic !== monotonic || call.randomBytes !== randomBytes || call.key !== key) {
+      for (let i = 0; i < count; i++) {
+        const timestamp = nextTimestamp(call.clock, call.unique, call.monotonic, target);
+        results[i] = call.prefix + encodeKeyed(target, timestamp, call.key) +
+          randomSuffix(target, call.randomBytes);
+      }
+      return results;
+    }
+    
+    const generator = fast ? generateFast : generate;
+    
+    for (let i = 0; i < count; i++) {
+      results[i] = generator();
+    }
+    return results;
+  }
+  
+  function generateUUIDv7(options = {}) {
+    assertOptions(options, UUID_OPTION_KEYS);
+    
+    const { format = 'hex', onOverflow = 'wait' } = options;
+    if (format !== 'hex' && format !== 'bytes' && format !== 'base64url') {
+      throw new Error(`Unsupported UUID format: ${format}, expected 'hex', 'bytes' or 'base64url'`);
+    }
+    assertOverflowPolicy(onOverflow);
+    assertMilliseconds('UUIDs');
+    
+    nextCounter(onOverflow);
+    const now = counterTimestamp;
+    const bytes = new Uint8Array(16);
+    
+    // rand_b comes from the secure random source
+    fillRandom(bytes.subarray(8));
+    
+    // unix_ts_ms: 48-bit big-endian timestamp
+    writeUint48(bytes, 0, now);
+    
+    // ver = 0b0111 followed by the 12-bit sub-millisecond counter as rand_a, var = 0b10
+    bytes[6] = 0x70 | (counterValue >>> 8);
+    bytes[7] = counterValue & 0xFF;
+    bytes[8] = (bytes[8] & 0x3F) | 0x80;
+    
+    if (format === 'bytes') return bytes;
+    if (format === 'base64url') return bytesToBase64url(bytes);
+    
+    const h = HEX_TABLE;
+    return `${h[bytes[0]]}${h[bytes[1]]}${h[bytes[2]]}${h[bytes[3]]}-` +
+           `${h[bytes[4]]}${h[bytes[5]]}-${h[bytes[6]]}${h[bytes[7]]}-` +
+           `${h[bytes[8]]}${h[bytes[9]]}-${h[bytes[10]]}${h[bytes[11]]}` +
+           `${h[bytes[12]]}${h[bytes[13]]}${h[bytes[14]]}${h[bytes[15]]}`;
+  }
+  
+  return Object.freeze({
+    precision,
+    generate,
+    generateFast,
+    write,
+    fill,
+    batch,
+    generateWithCounter,
+    generateWithNode,
+    generateUUIDv7
+  });
+}
+
+// Shared instance behind the top-level functions
+const defaultGenerator = createTimestampGenerator();
+
+/**
+ * Generates a 48-bit timestamp and encodes it as Base64URL
+ * @param {Object} [options] - Generation options
+ * @param {boolean} [options.unique=true] - Bump repeated timestamps so every ID is distinct
+ * @param {boolean} [options.monotonic=true] - Never go below the last issued timestamp
+ * @param {string|Object} [options.encoding='base64url'] - Output encoding
+ * @param {string} [options.prefix=''] - Printable ASCII prepended to the ID
+ * @param {number} [options.randomBytes=0] - Random bytes appended after the timestamp
+ * @param {Object} [options.key] - Key from createTimestampKey that hides the timestamp
+ * @param {number|bigint|Date} [options.epoch=0] - Time stored as zero, e.g. Date.UTC(2020, 0, 1)
+ * @param {number} [options.bits=48] - Width of the stored offset (1-48); the ID gets as many
+ *   characters as that takes, e.g. 6 Base64URL characters for 36 bits
+ * @param {'millisecond'} [options.precision] - Must match the generator's; other precisions
+ *   need their own createTimestampGenerator({ precision })
+ * @returns {string} 8-character Base64URL encoded timestamp
+ * @throws {TimestampRangeError} If the clock is before the epoch or past the horizon
+ *   (see getTimestampHorizon)
+ * @throws {Error} If options are invalid or the clock returns an invalid value
+ */
+export function generateTimestamp48(options) {
+  return defaultGenerator.generate(options);
+}
+
+/**
+ * Decodes a 48-bit Base64URL encoded timestamp back to Unix milliseconds
+ * 
+ * Every well-formed ID decodes by default. At API boundaries, pass { strict: true } or
+ * explicit bounds to reject forged or corrupted IDs that decode to implausible times.
+ * 
+ * @param {string} encoded - 8-character Base64URL encoded timestamp
+ * @param {Object} [options] - Decode options
+ * @param {string|Object} [options.encoding='base64url'] - Encoding the timestamp was written in
+ * @param {string} [options.prefix=''] - Prefix the ID was generated with
+ * @param {number} [options.randomBytes=0] - Random bytes the ID was generated with
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch the ID was generated with
+ * @param {number} [options.bits] - Bit width the ID was generated with (default: the precision's)
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Precision
+ *   the ID was generated with; it sets the unit of the result, epoch, notBefore and notAfter
+ * @param {Object|Object[]} [options.key] - Key the ID was generated with, or a keyring of
+ *   current and retired keys; the key ID in front of the timestamp selects the key
+ * @param {boolean} [options.strict=false] - Require the canonical spelling (no aliases or
+ *   alternative letter case) and, unless given explicitly, notBefore 2000-01-01T00:00:00Z
+ *   and maxFutureSkewMs 300000 (5 minutes)
+ * @param {number|bigint|Date} [options.notBefore] - Earliest accepted time
+ * @param {number|bigint|Date} [options.notAfter] - Latest accepted time
+ * @param {number} [options.maxFutureSkewMs] - How far past Date.now() a timestamp may lie
+ * @returns {number|bigint} Unix timestamp in milliseconds; whole seconds for second
+ *   precision, and a bigint of microseconds for microsecond precision
+ * @throws {InvalidTimestampError} If the encoded string is malformed or names an unknown
+ *   key (see its code)
+ * @throws {TimestampRangeError} If a non-Base64URL encoding decodes beyond 48 bits, or the
+ *   timestamp lies outside the requested window
+ */
+export function decodeTimestamp48(encoded, options = {}) {
+  const { encoding, prefix, layout } = resolveFormatOptions(options, VALIDATION_OPTION_KEYS);
+  const randomBytes = resolveRandomBytes(options.randomBytes, encoding);
+  const keyring = resolveKeyring(options.key);
+  if (keyring) assertFullRange(encoding);
+  const window = resolveValidationWindow(options, layout.precision);
+  encoded = stripPrefix(encoded, prefix);
+  
+  let tables = null;
+  if (keyring) [tables, encoded] = splitKeyId(encoded, keyring, encoding.length + randomSuffixLength(encoding, randomBytes));
+  if (randomBytes > 0) encoded = stripRandomSuffix(encoded, encoding, randomBytes, encoding.length);
+  
+  const spelled = encoding === encodings.base64url ? decodeBase64urlTimestamp(encoded) : encoding.decode(encoded);
+  const value = tables ? feistel(tables, spelled, true) : spelled;
+  
+  if (window) {
+    const error = plausibilityError(value, encoded, encoding, window, spelled);
+    if (error) throw error;
+  }
+  return value;
+}
+
+/**
+ * Decodes an unprefixed 8-character Base64URL timestamp
+ * @param {string} encoded - 8-character Base64URL encoded timestamp
+ * @returns {number} Unix timestamp in milliseconds
+ * @throws {InvalidTimestampError} If the encoded string is malformed
+ */
+function decodeBase64urlTimestamp(encoded) {
+  assertEncodedShape(encoded, 8);
+  
+  if (!BASE64URL_REGEX.test(encoded)) {
+    throw invalidCharError(encoded, DECODE_TABLE, 'Base64URL');
+  }
+  
+  // Decode Base64URL back to 6 bytes
+  const bytes = new Uint8Array(6);
+  
+  // Decode first 4 characters to first 3 bytes (using array lookup)
+  const g1 = (DECODE_TABLE[encoded.charCodeAt(0)] << 18) |
+             (DECODE_TABLE[encoded.charCodeAt(1)] << 12) |
+             (DECODE_TABLE[encoded.charCodeAt(2)] << 6) |
+             DECODE_TABLE[encoded.charCodeAt(3)];
+  
+  bytes[0] = (g1 >>> 16) & 0xFF;
+  bytes[1] = (g1 >>> 8) & 0xFF;
+  bytes[2] = g1 & 0xFF;
+  
+  // Decode last 4 characters to last 3 bytes (using array lookup)
+  const g2 = (DECODE_TABLE[encoded.charCodeAt(4)] << 18) |
+             (DECODE_TABLE[encoded.charCodeAt(5)] << 12) |
+             (DECODE_TABLE[encoded.charCodeAt(6)] << 6) |
+             DECODE_TABLE[encoded.charCodeAt(7)];
+  
+  bytes[3] = (g2 >>> 16) & 0xFF;
+  bytes[4] = (g2 >>> 8) & 0xFF;
+  bytes[5] = g2 & 0xFF;
+  
+  // Reconstruct 48-bit timestamp using optimized arithmetic
+  return readUint48(bytes, 0);
+}
+
+/**
+ * Ultra-fast 48-bit timestamp generator using optimized techniques
+ * @param {Object} [options] - Generation options, as for generateTimestamp48
+ * @returns {string} 8-character Base64URL encoded timestamp
+ * @throws {Error} If options are invalid or the clock returns an invalid value
+ */
+export function generateTimestamp48Fast(options) {
+  return defaultGenerator.generateFast(options);
+}
+
+/**
+ * Generates multiple timestamps efficiently in a single batch
+ * @param {number} count - Number of timestamps to generate (1-10000)
+ * @param {Object} options - Generation options; also unique, monotonic and prefix
+ *   as for generateTimestamp48
+ * @param {boolean} [options.fast=false] - Use the DataView based encoder
+ * @param {string|Object} [options.encoding='base64url'] - Output encoding
+ * @param {boolean} [options.counter=false] - Emit 10-char IDs with a sub-millisecond counter
+ *   (see generateTimestampWithCounter) so the batch stays on the wall clock
+ * @param {'wait'|'throw'|'spill'} [options.onOverflow='wait'] - Counter overflow policy
+ * @returns {string[]} Array of Base64URL encoded timestamps
+ * @throws {CountRangeError} If count is not an integer between 1 and 10000
+ * @throws {Error} If options are invalid or generation fails
+ */
+export function generateBatch(count = 1, options = {}) {
+  return defaultGenerator.batch(count, options);
+}
+
+/**
+ * Validates a timestamp format without decoding
+ * @param {string} timestamp - Timestamp to validate
+ * @param {Object} [options] - Validation options
+ * @param {string|Object} [options.encoding='base64url'] - Expected encoding
+ * @param {string} [options.prefix=''] - Expected prefix
+ * @param {number} [options.randomBytes=0] - Random bytes the ID was generated with
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch the ID was generated with
+ * @param {number} [options.bits] - Bit width the ID was generated with (default: the precision's)
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Precision
+ *   the ID was generated with
+ * @param {Object|Object[]} [options.key] - Key or keyring, as for decodeTimestamp48
+ * @param {boolean} [options.strict=false] - Also require a canonical, plausible timestamp,
+ *   as for decodeTimestamp48
+ * @param {number|bigint|Date} [options.notBefore] - Earliest accepted time
+ * @param {number|bigint|Date} [options.notAfter] - Latest accepted time
+ * @param {number} [options.maxFutureSkewMs] - How far past Date.now() a timestamp may lie
+ * @returns {boolean} True if valid format (and inside the window, when one is given)
+ * @throws {Error} If options are invalid
+ */
+export function isValidTimestamp(timestamp, options = {}) {
+  const { encoding, prefix, layout } = resolveFormatOptions(options, VALIDATION_OPTION_KEYS);
+  const randomBytes = resolveRandomBytes(options.randomBytes, encoding);
+  const keyring = resolveKeyring(options.key);
+  if (keyring) assertFullRange(encoding);
+  const window = resolveValidationWindow(options, layout.precision);
+  
+  if (typeof timestamp !== 'string' || !timestamp.startsWith(prefix)) return false;
+  timestamp = timestamp.slice(prefix.length);
+  
+  let tables = null;
+  if (keyring) {
+    const keyIdLength = timestamp.length - encoding.length - randomSuffixLength(encoding, randomBytes);
+    tables = keyIdLength > 0 ? keyring.get(timestamp.slice(0, keyIdLength)) : undefined;
+    if (!tables) return false;
+    timestamp = timestamp.slice(keyIdLength);
+  }
+  
+  if (randomBytes > 0) {
+    timestamp = withoutRandomSuffix(timestamp, encoding, randomBytes, encoding.length);
+    if (timestamp === null) return false;
+  }
+  
+  const valid = encoding === encodings.base64url
+    ? timestamp.length === 8 && BASE64URL_REGEX.test(timestamp)
+    : encoding.isValid(timestamp);
+  
+  if (!valid || !window) return valid;
+  const spelled = encoding.decode(timestamp);
+  return plausibilityError(tables ? feistel(tables, spelled, true) : spelled, timestamp, encoding, window, spelled) === null;
+}
+
+/**
+ * Gets the age of a timestamp in milliseconds, or in the unit of the precision option
+ * 
+ * Anyone can mint a well-formed ID for any time; check the age of client-supplied
+ * nonces with verifyTimestamp48 instead.
+ * 
+ * @param {string} encoded - Base64URL encoded timestamp
+ * @param {Object} [options] - Decode options, as for decodeTimestamp48
+ * @returns {number} Age in milliseconds; seconds or microseconds for those precisions
+ */
+export function getTimestampAge(encoded, options = {}) {
+  const timestamp = decodeTimestamp48(encoded, options);
+  return currentTicks(options.precision ?? 'millisecond') - Number(timestamp);
+}
+
+/**
+ * Returns the last millisecond that IDs with the given epoch and bit width can carry;
+ * generators throw TimestampRangeError once the clock passes it
+ * @param {Object} [options] - Range options
+ * @param {number|bigint|Date} [options.epoch=0] - Time stored as zero
+ * @param {number} [options.bits] - Width of the stored offset (default: the precision's)
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Unit of
+ *   the epoch and the result
+ * @returns {number|bigint} Unix milliseconds, whole seconds or a bigint of microseconds;
+ *   never past 2^48 - 1 milliseconds (year 10889)
+ * @throws {Error} If an option is invalid
+ */
+export function getTimestampHorizon(options = {}) {
+  assertOptions(options, LAYOUT_OPTION_KEYS);
+  return resolveLayout(options.epoch, options.bits, options.precision).horizon;
+}
+
+/**
+ * Writes a timestamp as 6 raw big-endian bytes into a caller-provided buffer
+ * without allocating
+ * @param {Uint8Array} target - Destination buffer (a Node.js Buffer works too)
+ * @param {number} [offset=0] - Index of the first byte to write
+ * @param {number|bigint|Date} [timestamp] - Point in time to write; a new monotonic
+ *   timestamp is generated when omitted
+ * @returns {number} The timestamp that was written
+ * @throws {Error} If the target is too small or the timestamp is out of range
+ */
+export function writeTimestamp48(target, offset = 0, timestamp) {
+  return defaultGenerator.write(target, offset, timestamp);
+}
+
+/**
+ * Reads a timestamp from 6 raw big-endian bytes without allocating
+ * @param {Uint8Array} source - Source buffer
+ * @param {number} [offset=0] - Index of the first byte to read
+ * @returns {number} Unix timestamp in milliseconds
+ * @throws {Error} If the source is too small
+ */
+export function readTimestamp48(source, offset = 0) {
+  assertByteRange(source, offset);
+  return readUint48(source, offset);
+}
+
+/**
+ * Fills a preallocated buffer with consecutive monotonic timestamps, 6 big-endian bytes each
+ * @param {Uint8Array} target - Destination buffer
+ * @param {number} [offset=0] - Index of the first byte to write
+ * @param {number} [count] - Number of timestamps; defaults to as many as fit after offset
+ * @returns {number} Number of timestamps written
+ * @throws {Error} If the count is invalid or does not fit in the target
+ */
+export function fillTimestamps48(target, offset = 0, count) {
+  return defaultGenerator.fill(target, offset, count);
+}
+
+/**
+ * Splits streaming options into the stream settings and the per-ID batch options
+ * @param {Object} options - Streaming options
+ * @returns {{count: number, generator: Object, highWaterMark: number, batchOptions: Object}}
+ * @throws {Error} If options are invalid
+ */
+function resolveStreamOptions(options) {
+  assertNoCallClock(options);
+  assertOptions(options, STREAM_OPTION_KEYS);
+  
+  const { count = Infinity, generator = defaultGenerator, highWaterMark = 16, ...batchOptions } = options;
+  
+  if (!(count === Infinity || (Number.isInteger(count) && count >= 0))) {
+    throw new CountRangeError(count, 0, Infinity, 'Count must be a non-negative integer or Infinity');
+  }
+  
+  if (!Number.isInteger(highWaterMark) || highWaterMark < 1 || highWaterMark > 10000) {
+    throw new Error('highWaterMark must be an integer between 1 and 10000');
+  }
+  
+  if (typeof generator !== 'object' || generator === null || typeof generator.batch !== 'function') {
+    throw new Error('Generator must be created by createTimestampGenerator');
+  }
+  
+  return { count, generator, highWaterMark, batchOptions };
+}
+
+/**
+ * Lazily yields timestamps with no upper limit; each ID is generated only when the
+ * consumer asks for it, so slow consumers apply backpressure
+ * @param {Object} [options] - Streaming options
+ * @param {number} [options.count=Infinity] - Number of IDs to yield
+ * @param {Object} [options.generator] - Instance from createTimestampGenerator (default: shared instance)
+ * @param {boolean} [options.fast] - Batch options, as for generateBatch
+ *   (also counter, onOverflow, unique, monotonic, encoding and prefix)
+ * @returns {AsyncGenerator<string>} Async iterator of encoded timestamps
+ * @throws {Error} If options are invalid
+ */
+export function timestampIterator(options = {}) {
+  const { count, generator, batchOptions } = resolveStreamOptions(options);
+  
+  return (async function* () {
+    for (let i = 0; i < count; i++) {
+      yield generator.batch(1, batchOptions)[0];
+    }
+  })();
+}
+
+/**
+ * Creates a WHATWG ReadableStream of timestamps; IDs are generated on pull, at most
+ * highWaterMark ahead of the reader
+ * @param {Object} [options] - Streaming options (see timestampIterator)
+ * @param {number} [options.highWaterMark=16] - Queued IDs kept ahead of the reader
+ * @returns {ReadableStream<string>} Stream of encoded timestamps
+ * @throws {Error} If options are invalid or ReadableStream is not available (Node.js before
+ *   18; use the Readable from timestamp-node.js there)
+ */
+export function timestampStream(options = {}) {
+  if (typeof globalThis.ReadableStream !== 'function') {
+    throw new Error('ReadableStream is not available in this runtime');
+  }
+  
+  const { count, generator, highWaterMark, batchOptions } = resolveStreamOptions(options);
+  let remaining = count;
+  
+  return new ReadableStream({
+    pull(controller) {
+      const size = Math.min(remaining, Math.max(controller.desiredSize, 1));
+      for (const id of generator.batch(size, batchOptions)) {
+        controller.enqueue(id);
+      }
+      remaining -= size;
+      if (remaining === 0) controller.close();
+    },
+    start(controller) {
+      if (remaining === 0) controller.close();
+    }
+  }, { highWaterMark });
+}
+
+/**
+ * Encodes an arbitrary point in time in the 8-character timestamp format, e.g. to
+ * backfill historic records
+ * @param {number|bigint|Date} time - Unix milliseconds (integer in [0, 2^48)) or a Date
+ * @param {Object} [options] - Encode options
+ * @param {string|Object} [options.encoding='base64url'] - Output encoding
+ * @param {string} [options.prefix=''] - Printable ASCII prepended to the ID
+ * @param {Object} [options.key] - Key from createTimestampKey to permute the timestamp with
+ * @param {number|bigint|Date} [options.epoch=0] - Time stored as zero
+ * @param {number} [options.bits] - Width of the stored offset (default: the precision's)
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Unit of
+ *   the stored time; numbers and bigints passed as time or epoch are counted in it
+ * @returns {string} Encoded timestamp
+ * @throws {TimestampRangeError} If the value is not a finite integer in the 48-bit range,
+ *   or lies outside the range of the epoch and bits
+ */
+export function encodeTimestamp48(time, options = {}) {
+  const { encoding, prefix } = resolveFormatOptions(options, ENCODE_OPTION_KEYS);
+  const key = resolveKey(options.key);
+  if (key !== null) assertFullRange(encoding);
+  return prefix + (key === null ? encoding.encode(time) : encodeKeyed(encoding, toMilliseconds(time), key));
+}
+
+/**
+ * Builds the lowest or highest ID that can carry the given time
+ * @param {number|bigint|Date} time - Point in time
+ * @param {Object} options - Bound options (see minForTime)
+ * @param {number} counter - Counter value appended in counter mode
+ * @returns {string} Encoded boundary
+ */
+function boundForTime(time, options, counter) {
+  const { encoding: target, prefix, layout } = resolveFormatOptions(options, BOUND_OPTION_KEYS);
+  const { counter: withCounter = false } = options;
+  if (withCounter) assertCounterPrecision(layout.precision);
+  
+  const id = prefix + target.encode(toTicks(time, layout.precision));
+  if (!withCounter) return id;
+  
+  const { encodeDigits, counterWidth } = counterInternals(target);
+  return id + encodeDigits(counter, counterWidth);
+}
+
+/**
+ * Returns the lowest ID that can be issued at the given time, for range scans such as
+ * "all IDs between two dates" (id >= minForTime(from) && id <= maxForTime(to))
+ * 
+ * String comparison only matches time order for the sortable encodings
+ * (every built-in encoding except base64url); compare decoded values otherwise.
+ * 
+ * @param {number|bigint|Date} time - Point in time: Unix time in the precision's unit or a Date
+ * @param {Object} [options] - Bound options
+ * @param {string|Object} [options.encoding='base64url'] - Encoding of the IDs being scanned
+ * @param {string} [options.prefix=''] - Prefix of the IDs being scanned
+ * @param {boolean} [options.counter=false] - Bound counter-format IDs (timestamp + counter)
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch of the IDs being scanned
+ * @param {number} [options.bits] - Bit width of the IDs being scanned (default: the precision's)
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Precision
+ *   of the IDs being scanned; counter IDs are always in milliseconds
+ * @returns {string} Lowest encoded ID for that tick
+ * @throws {Error} If the time is out of range or options are invalid
+ */
+export function minForTime(time, options = {}) {
+  return boundForTime(time, options, 0);
+}
+
+/**
+ * Returns the highest ID that can be issued at the given time (see minForTime)
+ * @param {number|bigint|Date} time - Point in time: Unix time in the precision's unit or a Date
+ * @param {Object} [options] - Bound options
+ * @param {string|Object} [options.encoding='base64url'] - Encoding of the IDs being scanned
+ * @param {string} [options.prefix=''] - Prefix of the IDs being scanned
+ * @param {boolean} [options.counter=false] - Bound counter-format IDs (timestamp + counter)
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch of the IDs being scanned
+ * @param {number} [options.bits] - Bit width of the IDs being scanned (default: the precision's)
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Precision
+ *   of the IDs being scanned; counter IDs are always in milliseconds
+ * @returns {string} Highest encoded ID for that tick
+ * @throws {Error} If the time is out of range or options are invalid
+ */
+export function maxForTime(time, options = {}) {
+  return boundForTime(time, options, MAX_COUNTER);
+}
+
+/**
+ * Converts an encoded timestamp to its 6 raw big-endian bytes
+ * @param {string} encoded - Encoded timestamp
+ * @param {Object} [options] - Decode options, as for decodeTimestamp48; raw bytes carry
+ *   Unix milliseconds, so only millisecond IDs convert
+ * @returns {Uint8Array} 6 bytes
+ * @throws {InvalidTimestampError} If the encoded string is malformed (see its code)
+ * @throws {Error} If options are invalid or name another precision
+ */
+export function toBytes(encoded, options = {}) {
+  assertRawBytePrecision(options);
+  const bytes = new Uint8Array(6);
+  writeUint48(bytes, 0, decodeTimestamp48(encoded, options));
+  return bytes;
+}
+
+/**
+ * Converts 6 raw big-endian bytes to an encoded timestamp
+ * @param {Uint8Array} bytes - Source buffer
+ * @param {number} [offset=0] - Index of the first byte
+ * @param {Object} [options] - Encode options, as for encodeTimestamp48, in millisecond precision
+ * @returns {string} Encoded timestamp
+ * @throws {Error} If the source is too small or options name another precision
+ */
+export function fromBytes(bytes, offset = 0, options = {}) {
+  assertByteRange(bytes, offset);
+  assertRawBytePrecision(options);
+  return encodeTimestamp48(readUint48(bytes, offset), options);
+}
+
+/**
+ * Generates a 10-character timestamp with a 12-bit sub-millisecond counter
+ * 
+ * The first 8 characters are the true wall-clock millisecond in the same encoding as
+ * generateTimestamp48(); the last 2 encode a counter that orders IDs within that
+ * millisecond (RFC 9562 method 1). Unlike generateTimestamp48(), bursts never push
+ * the timestamp into the future unless the 'spill' overflow policy is chosen.
+ * 
+ * @param {Object} [options] - Generation options; also unique, monotonic, encoding, prefix
+ *   and randomBytes as for generateTimestamp48
+ * @param {'wait'|'throw'|'spill'} [options.onOverflow='wait'] - Policy when more than
+ *   4096 IDs are requested in one millisecond
+ * @returns {string} 10-character Base64URL encoded timestamp and counter
+ * @throws {Error} If options are invalid or the counter overflows under the 'throw' policy
+ */
+export function generateTimestampWithCounter(options = {}) {
+  return defaultGenerator.generateWithCounter(options);
+}
+
+/**
+ * Decodes a 10-character timestamp produced by generateTimestampWithCounter
+ * @param {string} encoded - 10-character Base64URL encoded timestamp and counter
+ * @param {Object} [options] - Decode options
+ * @param {string|Object} [options.encoding='base64url'] - Encoding the ID was written in;
+ *   the counter takes as many digits as the alphabet needs for 12 bits
+ * @param {string} [options.prefix=''] - Prefix the ID was generated with
+ * @param {number} [options.randomBytes=0] - Random bytes the ID was generated with
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch the ID was generated with
+ * @param {number} [options.bits=48] - Bit width the ID was generated with
+ * @returns {{timestamp: number, counter: number}} Unix milliseconds and counter (0-4095)
+ * @throws {InvalidTimestampError} If the encoded string is malformed (see its code)
+ */
+export function decodeTimestampWithCounter(encoded, options = {}) {
+  const { encoding, prefix } = resolveFormatOptions(options, COUNTER_FORMAT_OPTION_KEYS);
+  const randomBytes = resolveRandomBytes(options.randomBytes, encoding);
+  encoded = stripPrefix(encoded, prefix);
+  
+  if (randomBytes > 0) {
+    encoded = stripRandomSuffix(encoded, encoding, randomBytes, encoding.length + counterInternals(encoding).counterWidth);
+  }
+  
+  if (encoding !== encodings.base64url) {
+    const { decodeDigits, decodeTable, counterWidth } = counterInternals(encoding);
+    assertEncodedShape(encoded, encoding.length + counterWidth);
+    
+    const counter = decodeDigits(encoded, encoding.length, counterWidth);
+    if (counter === -1) {
+      throw invalidCharError(encoded, decodeTable, encoding.name, encoding.length);
+    }
+    
+    if (counter > MAX_COUNTER) {
+      throw new InvalidTimestampError('INVALID_CHAR', `Invalid counter: ${encoded.slice(encoding.length)}`, {
+        input: encoded,
+        index: encoding.length,
+        char: encoded[encoding.length]
+      });
+    }
+    
+    return {
+      timestamp: encoding.decode(encoded.slice(0, encoding.length)),
+      counter
+    };
+  }
+  
+  assertEncodedShape(encoded, 10);
+  
+  if (!COUNTER_REGEX.test(encoded)) {
+    throw invalidCharError(encoded, DECODE_TABLE, 'Base64URL');
+  }
+  
+  return {
+    timestamp: decodeTimestamp48(encoded.slice(0, 8)),
+    counter: (DECODE_TABLE[encoded.charCodeAt(8)] << 6) | DECODE_TABLE[encoded.charCodeAt(9)]
+  };
+}
+
+/**
+ * Validates a counter timestamp format without decoding
+ * @param {string} timestamp - Timestamp to validate
+ * @param {Object} [options] - Validation options
+ * @param {string|Object} [options.encoding='base64url'] - Expected encoding
+ * @param {string} [options.prefix=''] - Expected prefix
+ * @param {number} [options.randomBytes=0] - Random bytes the ID was generated with
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch the ID was generated with
+ * @param {number} [options.bits=48] - Bit width the ID was generated with
+ * @returns {boolean} True if valid format
+ * @throws {Error} If options are invalid
+ */
+export function isValidTimestampWithCounter(timestamp, options = {}) {
+  const { encoding, prefix } = resolveFormatOptions(options, COUNTER_FORMAT_OPTION_KEYS);
+  const randomBytes = resolveRandomBytes(options.randomBytes, encoding);
+  
+  if (typeof timestamp !== 'string' || !timestamp.startsWith(prefix)) return false;
+  timestamp = timestamp.slice(prefix.length);
+  
+  if (randomBytes > 0) {
+    timestamp = withoutRandomSuffix(timestamp, encoding, randomBytes, encoding.length + counterInternals(encoding).counterWidth);
+    if (timestamp === null) return false;
+  }
+  
+  if (encoding !== encodings.base64url) {
+    const { decodeDigits, counterWidth } = counterInternals(encoding);
+    if (timestamp.length !== encoding.length + counterWidth) return false;
+    const counter = decodeDigits(timestamp, encoding.length, counterWidth);
+    return counter !== -1 && counter <= MAX_COUNTER && encoding.isValid(timestamp.slice(0, encoding.length));
+  }
+  
+  if (timestamp.length !== 10) return false;
+  return COUNTER_REGEX.test(timestamp);
+}
+
+/**
+ * Generates an ID in the node ID format: timestamp, node ID and sub-millisecond counter
+ * 
+ * IDs from processes or workers with different node IDs never collide, even within one
+ * millisecond. The default generator reads its node ID from the TS48_NODE_ID environment
+ * variable; use createTimestampGenerator({ nodeId }) to set it explicitly.
+ * 
+ * @param {Object} [options] - Counter options, as for generateTimestampWithCounter
+ * @returns {string} 12-character Base64URL ID with the default 10 node bits
+ * @throws {Error} If no node ID is configured or options are invalid
+ */
+export function generateTimestampWithNode(options = {}) {
+  return defaultGenerator.generateWithNode(options);
+}
+
+/**
+ * Decodes an ID in the node ID format
+ * @param {string} encoded - Encoded ID
+ * @param {Object} [options] - Decode options
+ * @param {string|Object} [options.encoding='base64url'] - Encoding the ID was written in
+ * @param {string} [options.prefix=''] - Prefix the ID was generated with
+ * @param {number} [options.nodeBits=10] - Node bits the ID was generated with
+ * @param {number} [options.randomBytes=0] - Random bytes the ID was generated with
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch the ID was generated with
+ * @param {number} [options.bits=48] - Bit width the ID was generated with
+ * @returns {{timestamp: number, nodeId: number, counter: number}} Unix timestamp in
+ *   milliseconds, node ID and counter (0-4095)
+ * @throws {InvalidTimestampError} If the encoded string is malformed (see its code)
+ * @throws {Error} If options are invalid
+ */
+export function decodeTimestampWithNode(encoded, options = {}) {
+  const { encoding, prefix } = resolveFormatOptions(options, NODE_FORMAT_OPTION_KEYS);
+  const { nodeBits = DEFAULT_NODE_BITS } = options;
+  assertNodeBits(nodeBits);
+  const randomBytes = resolveRandomBytes(options.randomBytes, encoding);
+  
+  const internals = counterInternals(encoding);
+  const { decodeDigits, decodeTable } = internals;
+  const width = nodeFieldWidth(internals, nodeBits);
+  encoded = stripPrefix(encoded, prefix);
+  if (randomBytes > 0) encoded = stripRandomSuffix(encoded, encoding, randomBytes, encoding.length + width);
+  assertEncodedShape(encoded, encoding.length + width);
+  
+  const field = decodeDigits(encoded, encoding.length, width);
+  if (field === -1) {
+    throw invalidCharError(encoded, decodeTable, encoding === encodings.base64url ? 'Base64URL' : encoding.name, encoding.length);
+  }
+  
+  if (field >= 2 ** (nodeBits + COUNTER_BITS)) {
+    throw new InvalidTimestampError('INVALID_CHAR', `Invalid node field: ${encoded.slice(encoding.length)}`, {
+      input: encoded,
+      index: encoding.length,
+      char: encoded[encoding.length]
+    });
+  }
+  
+  return {
+    timestamp: encoding.decode(encoded.slice(0, encoding.length)),
+    nodeId: Math.floor(field / (MAX_COUNTER + 1)),
+    counter: field % (MAX_COUNTER + 1)
+  };
+}
+
+/**
+ * Validates an ID in the node ID format without throwing
+ * @param {string} timestamp - ID to validate
+ * @param {Object} [options] - Validation options, as for decodeTimestampWithNode
+ * @returns {boolean} True if valid format
+ * @throws {Error} If options are invalid
+ */
+export function isValidTimestampWithNode(timestamp, options = {}) {
+  const { encoding, prefix } = resolveFormatOptions(options, NODE_FORMAT_OPTION_KEYS);
+  const { nodeBits = DEFAULT_NODE_BITS } = options;
+  assertNodeBits(nodeBits);
+  const randomBytes = resolveRandomBytes(options.randomBytes, encoding);
+  
+  if (typeof timestamp !== 'string' || !timestamp.startsWith(prefix)) return false;
+  timestamp = timestamp.slice(prefix.length);
+  
+  const internals = counterInternals(encoding);
+  const width = nodeFieldWidth(internals, nodeBits);
+  if (randomBytes > 0) {
+    timestamp = withoutRandomSuffix(timestamp, encoding, randomBytes, encoding.length + width);
+    if (timestamp === null) return false;
+  }
+  if (timestamp.length !== encoding.length + width) return false;
+  
+  const field = internals.decodeDigits(timestamp, encoding.length, width);
+  return field !== -1 && field < 2 ** (nodeBits + COUNTER_BITS) && encoding.isValid(timestamp.slice(0, encoding.length));
+}
+
+/**
+ * Decodes a plain or counter ID to ticks of its precision
+ * @param {string} encoded - Encoded timestamp, with prefix if any
+ * @param {Object} options - Format options plus the counter flag, already key-checked
+ * @returns {{ticks: number|bigint, counter: number|undefined}} Decoded parts; ticks are a
+ *   bigint for microseconds
+ * @throws {InvalidTimestampError} If the encoded string is malformed
+ * @throws {Error} If the counter flag is not a boolean or is combined with another precision
+ */
+function decodeTicks(encoded, options) {
+  const { counter: withCounter = false, precision = 'millisecond', ...formatOptions } = options;
+  if (typeof withCounter !== 'boolean') {
+    throw new Error('Counter option must be a boolean');
+  }
+  
+  if (!withCounter) {
+    return { ticks: decodeTimestamp48(encoded, { ...formatOptions, precision }), counter: undefined };
+  }
+  
+  assertCounterPrecision(precision);
+  const { timestamp, counter } = decodeTimestampWithCounter(encoded, formatOptions);
+  return { ticks: timestamp, counter };
+}
+
+/**
+ * Decodes a plain or counter ID for inspection and display
+ * @param {string} encoded - Encoded timestamp, with prefix if any
+ * @param {Object} options - Format options plus the counter flag, already key-checked
+ * @returns {{ms: number, counter: number|undefined, encoding: Object}} Decoded parts, with
+ *   microseconds rounded down to the millisecond
+ * @throws {InvalidTimestampError} If the encoded string is malformed
+ */
+function decodeForDisplay(encoded, options) {
+  const { encoding, layout } = resolveFormatOptions(options, INSPECT_OPTION_KEYS);
+  const { ticks, counter } = decodeTicks(encoded, options);
+  return { ms: ticksToMilliseconds(ticks, layout.precision), counter, encoding };
+}
+
+/**
+ * Decodes an ID into everything a dashboard or log viewer typically shows
+ * @param {string} encoded - Encoded timestamp
+ * @param {Object} [options] - Decode options
+ * @param {string|Object} [options.encoding='base64url'] - Encoding the ID was written in
+ * @param {string} [options.prefix=''] - Prefix the ID was generated with
+ * @param {boolean} [options.counter=false] - The ID carries a sub-millisecond counter
+ * @param {number} [options.randomBytes=0] - Random bytes the ID was generated with
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch the ID was generated with
+ * @param {number} [options.bits] - Bit width the ID was generated with (default: the precision's)
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Precision
+ *   the ID was generated with; counter IDs are always in milliseconds
+ * @returns {{ms: number, date: Date, iso: string, bytes: Uint8Array, age: number,
+ *   encoding: string, counter?: number, isFuture: boolean}} Decoded ID, with microseconds
+ *   rounded down to the millisecond; counter is only present for counter IDs
+ * @throws {InvalidTimestampError} If the encoded string is malformed (see its code)
+ */
+export function inspectTimestamp48(encoded, options = {}) {
+  assertOptions(options, INSPECT_OPTION_KEYS);
+  const { ms, counter, encoding } = decodeForDisplay(encoded, options);
+  
+  const now = Date.now();
+  const bytes = new Uint8Array(6);
+  writeUint48(bytes, 0, ms);
+  
+  return {
+    ms,
+    date: new Date(ms),
+    iso: new Date(ms).toISOString(),
+    bytes,
+    age: now - ms,
+    encoding: encoding.name,
+    ...(counter !== undefined && { counter }),
+    isFuture: ms > now
+  };
+}
+
+// Preset formatters by locale, time zone and preset; building Intl formatters is slow
+const displayFormatters = new Map();
+
+/**
+ * Returns an Intl.DateTimeFormat for a preset name or a full options object
+ * @param {string|string[]|undefined} locale - BCP 47 locale(s)
+ * @param {string|undefined} timeZone - IANA time zone
+ * @param {string|Object} format - Preset name or Intl.DateTimeFormat options
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @throws {Error} If the format is unknown
+ * @throws {RangeError} If Intl rejects the locale or time zone
+ */
+function displayFormatter(locale, timeZone, format) {
+  if (typeof format === 'object' && format !== null) {
+    return new Intl.DateTimeFormat(locale, { ...format, ...(timeZone !== undefined && { timeZone }) });
+  }
+  
+  if (!DISPLAY_FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format}, expected one of ${DISPLAY_FORMATS.join(', ')} or Intl.DateTimeFormat options`);
+  }
+  
+  const key = `${locale}|${timeZone}|${format}`;
+  let formatter = displayFormatters.get(key);
+  
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat(locale, { dateStyle: format, timeStyle: format, timeZone });
+    displayFormatters.set(key, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Formats the time carried by an ID for display, using Intl.DateTimeFormat
+ * @param {string} encoded - Encoded timestamp
+ * @param {Object} [options] - Decode and display options
+ * @param {string|Object} [options.encoding='base64url'] - Encoding the ID was written in
+ * @param {string} [options.prefix=''] - Prefix the ID was generated with
+ * @param {boolean} [options.counter=false] - The ID carries a sub-millisecond counter
+ * @param {number} [options.randomBytes=0] - Random bytes the ID was generated with
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch the ID was generated with
+ * @param {number} [options.bits] - Bit width the ID was generated with (default: the precision's)
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Precision
+ *   the ID was generated with; counter IDs are always in milliseconds
+ * @param {string} [options.timeZone] - IANA time zone; defaults to the runtime's zone
+ * @param {string|Object} [options.format='medium'] - 'full', 'long', 'medium' or 'short'
+ *   (applied as dateStyle and timeStyle), or Intl.DateTimeFormat options
+ * @param {string|string[]} [options.locale] - BCP 47 locale(s); defaults to the runtime's locale
+ * @returns {string} Formatted date and time
+ * @throws {InvalidTimestampError} If the encoded string is malformed (see its code)
+ * @throws {RangeError} If the locale or time zone is not supported
+ */
+export function formatTimestamp48(encoded, options = {}) {
+  assertOptions(options, DISPLAY_OPTION_KEYS);
+  const { timeZone, format = 'medium', locale, ...decodeOptions } = options;
+  
+  const formatter = displayFormatter(locale, timeZone, format);
+  return formatter.format(decodeForDisplay(encoded, decodeOptions).ms);
+}
+
+/**
+ * Builds a comparator for encoded IDs of one encoding and prefix
+ * 
+ * Alphabet-based encodings are fixed-width and big-endian, so the first differing digit
+ * decides the order; digits come from the encoding's decode table, which also covers
+ * case-insensitive letters and aliases. Other encodings are compared by decoded value.
+ * 
+ * @param {Object} options - Format options
+ * @returns {(a: string, b: string) => number} Negative, zero or positive, like Array#sort expects
+ */
+function createComparator(options) {
+  const { encoding, prefix } = resolveFormatOptions(options, PRECISION_FORMAT_OPTION_KEYS);
+  const internals = ENCODING_INTERNALS.get(encoding);
+  
+  if (!internals) {
+    return (a, b) => encoding.decode(stripPrefix(a, prefix)) - encoding.decode(stripPrefix(b, prefix));
+  }
+  
+  const { decodeTable } = internals;
+  const { length } = encoding;
+  const label = encoding === encodings.base64url ? 'Base64URL' : encoding.name;
+  
+  return (a, b) => {
+    a = stripPrefix(a, prefix);
+    b = stripPrefix(b, prefix);
+    assertEncodedShape(a, length);
+    assertEncodedShape(b, length);
+    
+    let order = 0;
+    for (let i = 0; i < length; i++) {
+      const codeA = a.charCodeAt(i);
+      const codeB = b.charCodeAt(i);
+      const digitA = codeA < 256 ? decodeTable[codeA] : -1;
+      const digitB = codeB < 256 ? decodeTable[codeB] : -1;
+      
+      if (digitA === -1) throw invalidCharError(a, decodeTable, label, i);
+      if (digitB === -1) throw invalidCharError(b, decodeTable, label, i);
+      if (order === 0) order = digitA - digitB;
+    }
+    return order;
+  };
+}
+
+// Base64URL comparator without prefix, built on first use
+let defaultComparator;
 
-// Reusable buffer for performance optimization
-const REUSABLE_BUFFER = new Uint8Array(6);
-const FAST_BUFFER = new ArrayBuffer(8);
-const FAST_VIEW = new DataView(FAST_BUFFER);
+/**
+ * Compares two encoded timestamps without decoding them
+ * @param {string} a - Encoded timestamp
+ * @param {string} b - Encoded timestamp
+ * @param {Object} [options] - Format options
+ * @param {string|Object} [options.encoding='base64url'] - Encoding both IDs were written in
+ * @param {string} [options.prefix=''] - Prefix both IDs were generated with
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch both IDs were generated with
+ * @param {number} [options.bits] - Bit width both IDs were generated with (default: the precision's)
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Precision
+ *   both IDs were generated with
+ * @returns {number} Negative if a is earlier, positive if later, 0 for the same tick
+ * @throws {InvalidTimestampError} If either ID is malformed (see its code)
+ */
+export function compareTimestamp48(a, b, options) {
+  if (options === undefined) {
+    defaultComparator ??= createComparator({});
+    return defaultComparator(a, b);
+  }
+  return createComparator(options)(a, b);
+}
 
 /**
- * Generates a 48-bit timestamp and encodes it as Base64URL
- * @returns {string} 8-character Base64URL encoded timestamp
- * @throws {Error} If Date.now() is not available or returns invalid value
+ * Sorts encoded timestamps in time order
+ * 
+ * Needed for Base64URL, whose string order is not time order, and for case-insensitive
+ * encodings with mixed-case input; the other encodings also sort correctly as strings.
+ * 
+ * @param {Iterable<string>} ids - Encoded timestamps
+ * @param {Object} [options] - Format options, as for compareTimestamp48
+ * @returns {string[]} New array, oldest first; IDs of the same tick keep their order
+ * @throws {InvalidTimestampError} If an ID is malformed (see its code)
+ */
+export function sortTimestamps(ids, options = {}) {
+  return Array.from(ids).sort(createComparator(options));
+}
+
+/**
+ * Gets the time between two encoded timestamps
+ * @param {string} a - Encoded timestamp
+ * @param {string} b - Encoded timestamp
+ * @param {Object} [options] - Format options, as for compareTimestamp48
+ * @returns {number} a minus b in milliseconds; fractional for microsecond IDs
+ * @throws {InvalidTimestampError} If either ID is malformed (see its code)
+ */
+export function diffMs(a, b, options = {}) {
+  assertOptions(options, PRECISION_FORMAT_OPTION_KEYS);
+  const { precision = 'millisecond' } = options;
+  const ticks = decodeTimestamp48(a, options) - decodeTimestamp48(b, options);
+  return PRECISIONS[precision].toMs(Number(ticks));
+}
+
+/**
+ * Checks whether an encoded timestamp is earlier than another
+ * @param {string} a - Encoded timestamp
+ * @param {string} b - Encoded timestamp
+ * @param {Object} [options] - Format options, as for compareTimestamp48
+ * @returns {boolean} True if a is from an earlier tick than b
+ * @throws {InvalidTimestampError} If either ID is malformed (see its code)
  */
-export function generateTimestamp48() {
-  let now = Date.now();
+export function isBefore(a, b, options) {
+  return compareTimestamp48(a, b, options) < 0;
+}
+
+/**
+ * Checks whether an encoded timestamp is later than another
+ * @param {string} a - Encoded timestamp
+ * @param {string} b - Encoded timestamp
+ * @param {Object} [options] - Format options, as for compareTimestamp48
+ * @returns {boolean} True if a is from a later tick than b
+ * @throws {InvalidTimestampError} If either ID is malformed (see its code)
+ */
+export function isAfter(a, b, options) {
+  return compareTimestamp48(a, b, options) > 0;
+}
+
+/**
+ * Checks whether an encoded timestamp falls within a time range, both ends inclusive
+ * @param {string} id - Encoded timestamp
+ * @param {string|number|bigint|Date} from - Start: an encoded timestamp, a Unix time in the
+ *   precision's unit (milliseconds by default) or a Date
+ * @param {string|number|bigint|Date} to - End, in the same forms as from
+ * @param {Object} [options] - Format options for id and encoded bounds, as for compareTimestamp48
+ * @returns {boolean} True if from <= id <= to
+ * @throws {InvalidTimestampError} If the ID or an encoded bound is malformed (see its code)
+ * @throws {TimestampRangeError} If a bound is out of range
+ */
+export function inRange(id, from, to, options = {}) {
+  assertOptions(options, PRECISION_FORMAT_OPTION_KEYS);
+  const { precision = 'millisecond' } = options;
+  const ticks = decodeTimestamp48(id, options);
   
-  // Ensure timestamp is monotonic and unique
-  if (now <= lastGeneratedTimestamp) {
-    now = lastGeneratedTimestamp + 1;
+  const toBound = time => typeof time === 'string' ? decodeTimestamp48(time, options) : toTicks(time, precision);
+  return ticks >= toBound(from) && ticks <= toBound(to);
+}
+
+/**
+ * Resolves a bucket unit to its length
+ * @param {'minute'|'hour'|'day'|number} unit - Named unit or length in milliseconds
+ * @returns {number} Bucket length in milliseconds
+ * @throws {Error} If the unit is unknown or not a positive integer
+ */
+function bucketSize(unit) {
+  if (typeof unit === 'string' && Object.prototype.hasOwnProperty.call(BUCKET_UNITS, unit)) {
+    return BUCKET_UNITS[unit];
   }
-  lastGeneratedTimestamp = now;
   
-  // We are using a 48-bit integer, which is safe in JavaScript
-  const timestamp48 = now;
+  if (!Number.isInteger(unit) || unit < 1) {
+    throw new Error(`Bucket unit must be one of ${Object.keys(BUCKET_UNITS).join(', ')} or a positive integer of milliseconds, got ${unit}`);
+  }
+  return unit;
+}
+
+/**
+ * Finds the start of the bucket holding an ID or point in time
+ * @param {string|number|bigint|Date} time - Encoded ID, Unix time in the precision's unit or a Date
+ * @param {number} size - Bucket length in milliseconds
+ * @param {Object} options - Bucket options (see bucketOf)
+ * @returns {number} Bucket start in Unix milliseconds
+ */
+function bucketStart(time, size, options) {
+  const { precision } = resolveFormatOptions(options, BOUND_OPTION_KEYS).layout;
+  const ticks = typeof time === 'string' ? decodeTicks(time, options).ticks : toTicks(time, precision);
+  return Math.floor(ticksToMilliseconds(ticks, precision) / size) * size;
+}
+
+/**
+ * Converts a bucket edge to the first tick of the precision at or after it
+ * @param {number} ms - Bucket edge in Unix milliseconds
+ * @param {'second'|'millisecond'|'microsecond'} precision - Resolved precision
+ * @returns {number|bigint} Ticks; a bigint for microseconds
+ */
+function bucketEdgeTicks(ms, precision) {
+  if (precision === 'second') return Math.ceil(ms / 1000);
+  return precision === 'microsecond' ? BigInt(ms) * 1000n : ms;
+}
+
+/**
+ * Returns the lowest ID of a bucket that the encoding can carry
+ * @param {number} start - Bucket start in Unix milliseconds
+ * @param {Object} options - Bucket options (see bucketOf)
+ * @returns {string} Encoded boundary
+ */
+function bucketBoundary(start, options) {
+  const { encoding, layout } = resolveFormatOptions(options, BOUND_OPTION_KEYS);
+  const { min } = encodingRange(encoding);
+  const first = bucketEdgeTicks(start, layout.precision);
+  return minForTime(first < min ? min : first, options);
+}
+
+/**
+ * Finds the time bucket of an ID, e.g. to pick the hourly or daily partition it belongs to
+ * 
+ * Buckets are aligned to the Unix epoch, so days run from midnight to midnight UTC, even
+ * for IDs with a custom epoch.
+ * 
+ * @param {string|number|bigint|Date} id - Encoded ID, Unix time in the precision's unit
+ *   (milliseconds by default) or a Date
+ * @param {'minute'|'hour'|'day'|number} unit - Named unit or bucket length in milliseconds
+ * @param {Object} [options] - Bucket options
+ * @param {string|Object} [options.encoding='base64url'] - Encoding of the ID and boundary
+ * @param {string} [options.prefix=''] - Prefix of the ID and boundary
+ * @param {boolean} [options.counter=false] - The ID is in the counter format
+ * @param {number|bigint|Date} [options.epoch=0] - Epoch of the ID and boundary
+ * @param {number} [options.bits] - Timestamp width of the ID and boundary (default: the precision's)
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Precision
+ *   of the ID and boundary; counter IDs are always in milliseconds
+ * @returns {{start: number, boundary: string}} Bucket start in Unix milliseconds, and the
+ *   lowest ID of the bucket as minForTime returns it (the epoch's, if the bucket starts earlier)
+ * @throws {InvalidTimestampError} If the ID is malformed (see its code)
+ * @throws {Error} If the unit or options are invalid
+ */
+export function bucketOf(id, unit, options = {}) {
+  const start = bucketStart(id, bucketSize(unit), options);
+  return { start, boundary: bucketBoundary(start, options) };
+}
+
+/**
+ * Lists the buckets from the one holding `from` through the one holding `to`, e.g. to
+ * create or query every partition of a time range
+ * @param {string|number|bigint|Date} from - First ID or point in time
+ * @param {string|number|bigint|Date} to - Last ID or point in time, inclusive
+ * @param {'minute'|'hour'|'day'|number} unit - Named unit or bucket length in milliseconds
+ * @param {Object} [options] - Bucket options, as for bucketOf
+ * @returns {Generator<{start: number, boundary: string}>} Buckets in time order; none if
+ *   `to` falls in an earlier bucket than `from`
+ * @throws {InvalidTimestampError} If an ID is malformed (see its code)
+ * @throws {Error} If the unit or options are invalid
+ */
+export function bucketsBetween(from, to, unit, options = {}) {
+  const size = bucketSize(unit);
+  const first = bucketStart(from, size, options);
+  const last = bucketStart(to, size, options);
+  
+  // Validated up front; the buckets themselves are produced lazily
+  return (function* () {
+    for (let start = first; start <= last; start += size) {
+      yield { start, boundary: bucketBoundary(start, options) };
+    }
+  })();
+}
+
+/**
+ * Returns the longest string prefix shared by every ID in a bucket, for prefix scans
+ * in key-value stores
+ * 
+ * Buckets rarely line up with digit boundaries, so the prefix can also match IDs of
+ * neighbouring buckets; filter the scan with bucketOf, or scan the exact range from
+ * minForTime to maxForTime in stores that support it.
+ * 
+ * @param {string|number|bigint|Date} time - An ID or point in time inside the bucket
+ * @param {'minute'|'hour'|'day'|number} unit - Named unit or bucket length in milliseconds
+ * @param {Object} [options] - Bucket options, as for bucketOf
+ * @returns {string} Prefix, including options.prefix
+ * @throws {InvalidTimestampError} If the ID is malformed (see its code)
+ * @throws {Error} If the unit or options are invalid, or the encoding has no alphabet
+ */
+export function prefixForBucket(time, unit, options = {}) {
+  const size = bucketSize(unit);
+  const start = bucketStart(time, size, options);
+  const { encoding, prefix, layout } = resolveFormatOptions(options, BOUND_OPTION_KEYS);
+  
+  // Digits are positional only in alphabet-based encodings
+  if (!ENCODING_INTERNALS.has(encoding)) {
+    throw new Error(`Bucket prefixes require an alphabet-based encoding, got ${encoding.name}`);
+  }
   
-  // Convert 48-bit timestamp to 6 bytes for Base64URL encoding
-  const bytes = new Uint8Array(6);
+  // The last tick of the bucket is the one before the next bucket's first
+  const { min, max } = encodingRange(encoding);
+  const first = bucketEdgeTicks(start, layout.precision);
+  const next = bucketEdgeTicks(start + size, layout.precision);
+  const last = typeof next === 'bigint' ? next - 1n : next - 1;
+  const low = encoding.encode(first < min ? min : first);
+  const high = encoding.encode(last > max ? max : last);
+  let length = 0;
+  while (length < low.length && low[length] === high[length]) length++;
+  return prefix + low.slice(0, length);
+}
+
+/**
+ * Creates functions for one entity type's IDs, such as usr_AYqkSJ2M, that add and
+ * check the type prefix so callers never concatenate or strip it by hand
+ * @param {string} type - Entity type: ASCII letters and digits, e.g. 'usr'
+ * @param {Object} [options] - ID options
+ * @param {string} [options.separator='_'] - Printable ASCII between type and timestamp
+ * @param {string|Object} [options.encoding='base64url'] - Timestamp encoding
+ * @param {Object} [options.generator] - Instance from createTimestampGenerator (default: shared instance)
+ * @param {number} [options.randomBytes=0] - Random bytes appended to each ID
+ * @param {Object} [options.key] - Key from createTimestampKey that hides the time of each ID
+ * @param {number|bigint|Date} [options.epoch=0] - Time stored as zero, as for generateTimestamp48
+ * @param {number} [options.bits=48] - Width of the timestamp, as for generateTimestamp48
+ * @param {'second'|'millisecond'|'microsecond'} [options.precision='millisecond'] - Precision
+ *   of the generator, which must match
+ * @returns {{type: string, prefix: string, generate: () => string,
+ *   decode: (id: string, options?: Object) => number,
+ *   isValid: (id: string, options?: Object) => boolean}} Frozen ID functions; decode and
+ *   isValid accept the strict, notBefore, notAfter and maxFutureSkewMs options
+ * @throws {Error} If the type or options are invalid
+ */
+export function createPrefixedId(type, options = {}) {
+  assertOptions(options, PREFIXED_ID_OPTION_KEYS);
+  const { separator = '_', generator = defaultGenerator } = options;
+  
+  if (typeof type !== 'string' || !/^[A-Za-z0-9]+$/.test(type)) {
+    throw new Error(`ID type must be a non-empty string of ASCII letters and digits, got ${type}`);
+  }
   
-  // Pack 48-bit timestamp into 6 bytes (big-endian)
-  bytes[0] = Math.floor(timestamp48 / Math.pow(2, 40)) & 0xFF;
-  bytes[1] = Math.floor(timestamp48 / Math.pow(2, 32)) & 0xFF;
-  bytes[2] = (timestamp48 >>> 24) & 0xFF;
-  bytes[3] = (timestamp48 >>> 16) & 0xFF;
-  bytes[4] = (timestamp48 >>> 8) & 0xFF;
-  bytes[5] = timestamp48 & 0xFF;
+  if (typeof separator !== 'string') {
+    throw new Error('Separator must be a string');
+  }
   
-  // Inline Base64URL encoding for maximum speed
-  const b0 = bytes[0], b1 = bytes[1], b2 = bytes[2];
-  const b3 = bytes[3], b4 = bytes[4], b5 = bytes[5];
+  if (typeof generator !== 'object' || generator === null || typeof generator.generate !== 'function') {
+    throw new Error('Generator must be created by createTimestampGenerator');
+  }
   
-  // First 3 bytes -> 4 chars
-  const g1 = (b0 << 16) | (b1 << 8) | b2;
-  const c0 = ENCODE_TABLE[(g1 >>> 18) & 0x3F];
-  const c1 = ENCODE_TABLE[(g1 >>> 12) & 0x3F];
-  const c2 = ENCODE_TABLE[(g1 >>> 6) & 0x3F];
-  const c3 = ENCODE_TABLE[g1 & 0x3F];
+  const { encoding, prefix, layout } = resolveFormatOptions({
+    encoding: options.encoding,
+    prefix: type + separator,
+    epoch: options.epoch,
+    bits: options.bits,
+    precision: options.precision
+  }, PRECISION_FORMAT_OPTION_KEYS);
   
-  // Second 3 bytes -> 4 chars
-  const g2 = (b3 << 16) | (b4 << 8) | b5;
-  const c4 = ENCODE_TABLE[(g2 >>> 18) & 0x3F];
-  const c5 = ENCODE_TABLE[(g2 >>> 12) & 0x3F];
-  const c6 = ENCODE_TABLE[(g2 >>> 6) & 0x3F];
-  const c7 = ENCODE_TABLE[g2 & 0x3F];
+  // The resolved layout is passed on in full, so the generator's own epoch and bits never apply
+  const format = {
+    encoding,
+    prefix,
+    epoch: layout.epoch,
+    bits: layout.bits,
+    precision: layout.precision,
+    randomBytes: resolveRandomBytes(options.randomBytes, encoding),
+    key: resolveKey(options.key)
+  };
+  if (format.key !== null) assertFullRange(encoding);
   
-  // Use template literal for better performance than string concatenation
-  return `${c0}${c1}${c2}${c3}${c4}${c5}${c6}${c7}`;
+  return Object.freeze({
+    type,
+    prefix,
+    generate: () => generator.generate(format),
+    decode(id, decodeOptions = {}) {
+      assertOptions(decodeOptions, WINDOW_OPTION_KEYS);
+      return decodeTimestamp48(id, { ...decodeOptions, ...format });
+    },
+    isValid(id, validateOptions = {}) {
+      assertOptions(validateOptions, WINDOW_OPTION_KEYS);
+      return isValidTimestamp(id, { ...validateOptions, ...format });
+    }
+  });
 }
 
 /**
- * Decodes a 48-bit Base64URL encoded timestamp back to Unix milliseconds
- * @param {string} encoded - 8-character Base64URL encoded timestamp
- * @returns {number} Unix timestamp in milliseconds
- * @throws {Error} If the encoded string is invalid
+ * Derives a key that hides the creation time of IDs from their holders
+ * 
+ * Keyed IDs carry the timestamp through a reversible 48-bit permutation, an 8-round
+ * Feistel network whose S-boxes and round keys are expanded from the secret with
+ * HMAC-SHA-256 (Web Crypto), and start with the key ID so that decoders holding a
+ * keyring of current and retired keys pick the right one after a rotation. Keyed IDs
+ * no longer sort by time, and the permutation hides rather than authenticates: anyone
+ * may submit an ID, so decode untrusted IDs with { strict: true } or explicit bounds.
+ * 
+ * @param {string|ArrayBuffer|ArrayBufferView} secret - At least 16 bytes of secret; strings
+ *   are UTF-8 encoded
+ * @param {Object} options - Key options
+ * @param {string} options.id - Key ID written in front of every ID: ASCII letters and digits
+ * @returns {Promise<{id: string}>} Frozen key for the key option of the generation,
+ *   encode and decode functions
+ * @throws {Error} If the secret or key ID is invalid, or Web Crypto is not available
  */
-export function decodeTimestamp48(encoded) {
-  if (typeof encoded !== 'string') {
-    throw new Error('Encoded timestamp must be a string');
+export async function createTimestampKey(secret, options = {}) {
+  assertOptions(options, KEY_OPTION_KEYS);
+  const { id } = options;
+  
+  if (typeof id !== 'string' || !/^[A-Za-z0-9]+$/.test(id)) {
+    throw new Error(`Key ID must be a non-empty string of ASCII letters and digits, got ${id}`);
   }
   
-  if (encoded.length !== 8) {
-    throw new Error(`Invalid timestamp length: ${encoded.length}, expected 8`);
+  // Three S-boxes of 256 entries, then one round key per round; 24 bits each
+  const material = await expandSecret(subtleCrypto(), secretBytes(secret), (3 * 256 + FEISTEL_ROUNDS) * 3);
+  const words = new Uint32Array(3 * 256 + FEISTEL_ROUNDS);
+  for (let i = 0; i < words.length; i++) {
+    words[i] = (material[i * 3] << 16) | (material[i * 3 + 1] << 8) | material[i * 3 + 2];
   }
   
-  if (!BASE64URL_REGEX.test(encoded)) {
-    throw new Error(`Invalid Base64URL format: ${encoded}`);
+  const key = Object.freeze({ id });
+  KEY_INTERNALS.set(key, {
+    sbox0: words.subarray(0, 256),
+    sbox1: words.subarray(256, 512),
+    sbox2: words.subarray(512, 768),
+    roundKeys: words.subarray(768)
+  });
+  return key;
+}
+
+/**
+ * Signs a fresh timestamp, producing a token that only holders of the key can mint
+ * 
+ * The token is the 8-character Base64URL timestamp followed by 24 characters of
+ * HMAC-SHA-256 (truncated to 144 bits) over the label 'ts48 token v1' and the 6 raw
+ * timestamp bytes, so decodeTimestamp48(token.slice(0, 8)) still reads its time.
+ * 
+ * @param {CryptoKey|string|ArrayBuffer|ArrayBufferView} key - HMAC SHA-256 CryptoKey with
+ *   the sign usage, or a secret of at least 16 bytes (imported on every call)
+ * @param {Object} [options] - Signing options
+ * @param {Object} [options.generator] - Instance from createTimestampGenerator (default: shared instance)
+ * @returns {Promise<string>} 32-character token
+ * @throws {Error} If the key or options are invalid, or Web Crypto is not available
+ */
+export async function signTimestamp48(key, options = {}) {
+  assertOptions(options, SIGN_OPTION_KEYS);
+  const { generator = defaultGenerator } = options;
+  
+  if (typeof generator !== 'object' || generator === null || typeof generator.write !== 'function') {
+    throw new Error('Generator must be created by createTimestampGenerator');
   }
   
-  // Decode Base64URL back to 6 bytes
+  const subtle = subtleCrypto();
+  const hmacKey = await signingKey(subtle, key);
   const bytes = new Uint8Array(6);
+  generator.write(bytes);
   
-  // Decode first 4 characters to first 3 bytes (using array lookup)
-  const g1 = (DECODE_TABLE[encoded.charCodeAt(0)] << 18) |
-             (DECODE_TABLE[encoded.charCodeAt(1)] << 12) |
-             (DECODE_TABLE[encoded.charCodeAt(2)] << 6) |
-             DECODE_TABLE[encoded.charCodeAt(3)];
+  return bytesToBase64url(bytes) + await tokenMac(subtle, hmacKey, bytes);
+}
+
+/**
+ * Verifies a token from signTimestamp48 and checks its age
+ * 
+ * The MAC is checked first, in constant time, so forged tokens learn nothing about
+ * the time checks. Keys as for signTimestamp48; a CryptoKey needs the sign usage.
+ * 
+ * @param {string} token - Token to verify
+ * @param {CryptoKey|string|ArrayBuffer|ArrayBufferView} key - Key the token was signed with
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.maxAgeMs=Infinity] - Oldest accepted age
+ * @param {number} [options.maxFutureSkewMs=300000] - How far past the clock a token may lie
+ * @param {() => number} [options.clock=Date.now] - Current Unix time in milliseconds
+ * @returns {Promise<number>} Signed Unix timestamp in milliseconds
+ * @throws {InvalidTimestampError} If the token is malformed
+ * @throws {TokenVerificationError} BAD_SIGNATURE, EXPIRED or FUTURE_DATED
+ * @throws {Error} If the key or options are invalid, or Web Crypto is not available
+ */
+export async function verifyTimestamp48(token, key, options = {}) {
+  assertOptions(options, VERIFY_OPTION_KEYS);
+  const { maxAgeMs = Infinity, maxFutureSkewMs = STRICT_MAX_FUTURE_SKEW_MS, clock = Date.now } = options;
   
-  bytes[0] = (g1 >>> 16) & 0xFF;
-  bytes[1] = (g1 >>> 8) & 0xFF;
-  bytes[2] = g1 & 0xFF;
+  if (typeof maxAgeMs !== 'number' || !(maxAgeMs >= 0)) {
+    throw new Error('maxAgeMs must be a non-negative number of milliseconds');
+  }
   
-  // Decode last 4 characters to last 3 bytes (using array lookup)
-  const g2 = (DECODE_TABLE[encoded.charCodeAt(4)] << 18) |
-             (DECODE_TABLE[encoded.charCodeAt(5)] << 12) |
-             (DECODE_TABLE[encoded.charCodeAt(6)] << 6) |
-             DECODE_TABLE[encoded.charCodeAt(7)];
+  if (typeof maxFutureSkewMs !== 'number' || !(maxFutureSkewMs >= 0)) {
+    throw new Error('maxFutureSkewMs must be a non-negative number of milliseconds');
+  }
   
-  bytes[3] = (g2 >>> 16) & 0xFF;
-  bytes[4] = (g2 >>> 8) & 0xFF;
-  bytes[5] = g2 & 0xFF;
+  if (typeof clock !== 'function') {
+    throw new Error('Clock must be a function returning Unix milliseconds');
+  }
   
-  // Reconstruct 48-bit timestamp using optimized arithmetic
-  // Use bit shifting where possible for better performance
-  const timestamp = bytes[0] * 0x10000000000 +  // 2^40
-                   bytes[1] * 0x100000000 +    // 2^32 
-                   (bytes[2] << 24) +           // 2^24
-                   (bytes[3] << 16) +           // 2^16
-                   (bytes[4] << 8) +            // 2^8
-                   bytes[5];
+  assertEncodedShape(token, TOKEN_LENGTH);
+  if (!TOKEN_REGEX.test(token)) {
+    throw invalidCharError(token, DECODE_TABLE, 'Base64URL');
+  }
   
+  const subtle = subtleCrypto();
+  const hmacKey = await signingKey(subtle, key);
+  const bytes = base64urlToBytes(token.slice(0, 8), new Uint8Array(6));
+  
+  if (!constantTimeEqual(await tokenMac(subtle, hmacKey, bytes), token.slice(8))) {
+    throw new TokenVerificationError('BAD_SIGNATURE', 'Token signature does not match');
+  }
+  
+  const timestamp = readUint48(bytes, 0);
+  const ageMs = clock() - timestamp;
+  
+  if (ageMs > maxAgeMs) {
+    throw new TokenVerificationError('EXPIRED', `Token expired: ${ageMs}ms old, at most ${maxAgeMs}ms accepted`, timestamp, ageMs);
+  }
+  
+  if (-ageMs > maxFutureSkewMs) {
+    throw new TokenVerificationError('FUTURE_DATED',
+      `Token is dated ${-ageMs}ms in the future, at most ${maxFutureSkewMs}ms accepted`, timestamp, ageMs);
+  }
   return timestamp;
 }
 
 /**
- * Ultra-fast 48-bit timestamp generator using optimized techniques
- * @returns {string} 8-character Base64URL encoded timestamp
- * @throws {Error} If Date.now() is not available or returns invalid value
+ * Fills a byte array with cryptographically secure random values
+ * @param {Uint8Array} bytes - Target array
+ * @throws {Error} If crypto.getRandomValues is not available
+ */
+function fillRandom(bytes) {
+  const webCrypto = globalThis.crypto;
+  if (!webCrypto || typeof webCrypto.getRandomValues !== 'function') {
+    throw new Error('crypto.getRandomValues is not available in this runtime');
+  }
+  webCrypto.getRandomValues(bytes);
+}
+
+// Random bytes drawn in blocks; each byte is handed out once
+const randomPool = new Uint8Array(256);
+let randomPoolOffset = randomPool.length;
+
+/**
+ * Characters a random suffix of `randomBytes` bytes takes in an alphabet
+ * @param {number} base - Alphabet size
+ * @param {number} randomBytes - Random bytes of entropy
+ * @returns {number} Suffix length
+ */
+function randomSuffixWidth(base, randomBytes) {
+  return Math.ceil(randomBytes * 8 / Math.log2(base));
+}
+
+/**
+ * Characters the random suffix of an ID takes
+ * @param {Object} encoding - Resolved encoding of the ID
+ * @param {number} randomBytes - Random bytes of entropy; 0 for none
+ * @returns {number} Suffix length
+ */
+function randomSuffixLength(encoding, randomBytes) {
+  return randomBytes === 0 ? 0 : randomSuffixWidth(ENCODING_INTERNALS.get(encoding).encodeTable.length, randomBytes);
+}
+
+/**
+ * Draws a random suffix carrying at least `randomBytes` bytes of entropy, written with
+ * the encoding's own table; digits are drawn by rejection sampling, so each is uniform
+ * @param {Object} encoding - Alphabet-based encoding
+ * @param {number} randomBytes - Random bytes of entropy; 0 for none
+ * @returns {string} Random digits
+ * @throws {Error} If crypto.getRandomValues is not available
+ */
+function randomSuffix(encoding, randomBytes) {
+  if (randomBytes === 0) return '';
+  
+  const { encodeTable } = ENCODING_INTERNALS.get(encoding);
+  const base = encodeTable.length;
+  const mask = (1 << Math.ceil(Math.log2(base))) - 1;
+  let width = randomSuffixWidth(base, randomBytes);
+  let suffix = '';
+  
+  while (width > 0) {
+    if (randomPoolOffset === randomPool.length) {
+      fillRandom(randomPool);
+      randomPoolOffset = 0;
+    }
+    
+    const digit = randomPool[randomPoolOffset++] & mask;
+    if (digit < base) {
+      suffix += encodeTable[digit];
+      width--;
+    }
+  }
+  return suffix;
+}
+
+/**
+ * Checks that every character from `start` on belongs to an alphabet
+ * @param {string} encoded - Encoded ID
+ * @param {number[]} decodeTable - Character code to digit value, -1 for invalid characters
+ * @param {number} start - First index of the random suffix
+ * @returns {boolean} True if all characters are valid
+ */
+function isRandomSuffix(encoded, decodeTable, start) {
+  for (let i = start; i < encoded.length; i++) {
+    const code = encoded.charCodeAt(i);
+    if (code >= 256 || decodeTable[code] === -1) return false;
+  }
+  return true;
+}
+
+/**
+ * Checks and removes the random suffix of an unprefixed ID
+ * @param {*} encoded - ID without its prefix
+ * @param {Object} encoding - Alphabet-based encoding of the ID
+ * @param {number} randomBytes - Random bytes the suffix carries
+ * @param {number} bodyLength - Characters before the suffix
+ * @returns {string} The ID without its suffix
+ * @throws {InvalidTimestampError} If the length or a suffix character is wrong
+ */
+function stripRandomSuffix(encoded, encoding, randomBytes, bodyLength) {
+  const { encodeTable, decodeTable } = ENCODING_INTERNALS.get(encoding);
+  assertEncodedShape(encoded, bodyLength + randomSuffixWidth(encodeTable.length, randomBytes));
+  
+  if (!isRandomSuffix(encoded, decodeTable, bodyLength)) {
+    throw invalidCharError(encoded, decodeTable, encoding === encodings.base64url ? 'Base64URL' : encoding.name, bodyLength);
+  }
+  return encoded.slice(0, bodyLength);
+}
+
+/**
+ * Removes the random suffix of an unprefixed ID if its length and characters are valid
+ * @param {string} encoded - ID without its prefix
+ * @param {Object} encoding - Alphabet-based encoding of the ID
+ * @param {number} randomBytes - Random bytes the suffix carries
+ * @param {number} bodyLength - Characters before the suffix
+ * @returns {string|null} The ID without its suffix, or null if the suffix is invalid
+ */
+function withoutRandomSuffix(encoded, encoding, randomBytes, bodyLength) {
+  const { encodeTable, decodeTable } = ENCODING_INTERNALS.get(encoding);
+  if (encoded.length !== bodyLength + randomSuffixWidth(encodeTable.length, randomBytes)) return null;
+  return isRandomSuffix(encoded, decodeTable, bodyLength) ? encoded.slice(0, bodyLength) : null;
+}
+
+/**
+ * Looks up the Web Crypto implementation
+ * @returns {SubtleCrypto} crypto.subtle
+ * @throws {Error} If crypto.subtle is not available
+ */
+function subtleCrypto() {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw new Error('crypto.subtle is not available in this runtime');
+  }
+  return subtle;
+}
+
+/**
+ * Converts a secret to bytes
+ * @param {string|ArrayBuffer|ArrayBufferView} secret - Secret; strings are UTF-8 encoded
+ * @returns {Uint8Array} Secret bytes
+ * @throws {Error} If the secret has the wrong type or fewer than 16 bytes
  */
-export function generateTimestamp48Fast() {
-  let now = Date.now();
+function secretBytes(secret) {
+  let bytes;
+  if (typeof secret === 'string') {
+    bytes = new TextEncoder().encode(secret);
+  } else if (ArrayBuffer.isView(secret)) {
+    bytes = new Uint8Array(secret.buffer, secret.byteOffset, secret.byteLength);
+  } else if (secret instanceof ArrayBuffer) {
+    bytes = new Uint8Array(secret);
+  } else {
+    throw new Error('Secret must be a string, an ArrayBuffer or a typed array');
+  }
   
-  // Ensure timestamp is monotonic and unique
-  if (now <= lastGeneratedTimestamp) {
-    now = lastGeneratedTimestamp + 1;
+  if (bytes.length < MIN_SECRET_BYTES) {
+    throw new Error(`Secret must be at least ${MIN_SECRET_BYTES} bytes, got ${bytes.length}`);
+  }
+  return bytes;
+}
+
+/**
+ * Resolves the key of signTimestamp48 and verifyTimestamp48 to an HMAC CryptoKey
+ * @param {SubtleCrypto} subtle - Web Crypto implementation
+ * @param {CryptoKey|string|ArrayBuffer|ArrayBufferView} key - HMAC SHA-256 CryptoKey or raw secret
+ * @returns {Promise<CryptoKey>} Key with the sign usage
+ * @throws {Error} If the key is of the wrong kind or the secret is invalid
+ */
+async function signingKey(subtle, key) {
+  if (typeof CryptoKey === 'function' && key instanceof CryptoKey) {
+    if (key.algorithm.name !== 'HMAC' || key.algorithm.hash.name !== 'SHA-256' || !key.usages.includes('sign')) {
+      throw new Error('Signing key must be an HMAC SHA-256 CryptoKey with the sign usage');
+    }
+    return key;
   }
-  lastGeneratedTimestamp = now;
+  return subtle.importKey('raw', secretBytes(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+/**
+ * Computes the truncated MAC of a token: HMAC-SHA-256 over a fixed label and the 6
+ * big-endian timestamp bytes, cut to 18 bytes and written in Base64URL
+ * @param {SubtleCrypto} subtle - Web Crypto implementation
+ * @param {CryptoKey} key - HMAC key
+ * @param {Uint8Array} timestampBytes - 6 raw timestamp bytes
+ * @returns {Promise<string>} 24-character MAC
+ */
+async function tokenMac(subtle, key, timestampBytes) {
+  const label = new TextEncoder().encode(TOKEN_LABEL);
+  const message = new Uint8Array(label.length + 6);
+  message.set(label);
+  message.set(timestampBytes, label.length);
   
-  // Use DataView for optimal performance with 48-bit big-endian encoding
-  FAST_VIEW.setBigUint64(0, BigInt(now), false); // Big-endian
+  const mac = await subtle.sign('HMAC', key, message);
+  return bytesToBase64url(new Uint8Array(mac, 0, TOKEN_MAC_BYTES));
+}
+
+/**
+ * Compares two strings of equal length in time independent of where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
   
-  // Extract 6 bytes directly from the DataView (last 6 bytes contain our 48-bit timestamp)
-  const b0 = FAST_VIEW.getUint8(2); // Skip first 2 bytes for 48-bit extraction
-  const b1 = FAST_VIEW.getUint8(3);
-  const b2 = FAST_VIEW.getUint8(4);
-  const b3 = FAST_VIEW.getUint8(5);
-  const b4 = FAST_VIEW.getUint8(6);
-  const b5 = FAST_VIEW.getUint8(7);
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Expands a secret into key material: HMAC-SHA-256 over a fixed label and a block counter
+ * @param {SubtleCrypto} subtle - Web Crypto implementation
+ * @param {Uint8Array} secret - Secret bytes
+ * @param {number} length - Bytes of material to produce
+ * @returns {Promise<Uint8Array>} Key material
+ */
+async function expandSecret(subtle, secret, length) {
+  const hmacKey = await subtle.importKey('raw', secret, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const label = new TextEncoder().encode(KEY_EXPANSION_LABEL);
   
-  // Inline Base64URL encoding with direct indexing
-  const g1 = (b0 << 16) | (b1 << 8) | b2;
-  const g2 = (b3 << 16) | (b4 << 8) | b5;
+  const blocks = await Promise.all(Array.from({ length: Math.ceil(length / 32) }, (_, index) => {
+    const message = new Uint8Array(label.length + 4);
+    message.set(label);
+    new DataView(message.buffer).setUint32(label.length, index, false);
+    return subtle.sign('HMAC', hmacKey, message);
+  }));
   
-  // Direct character lookup and template literal assembly
-  return `${ENCODE_TABLE[g1 >>> 18]}${ENCODE_TABLE[(g1 >>> 12) & 0x3F]}${ENCODE_TABLE[(g1 >>> 6) & 0x3F]}${ENCODE_TABLE[g1 & 0x3F]}${ENCODE_TABLE[g2 >>> 18]}${ENCODE_TABLE[(g2 >>> 12) & 0x3F]}${ENCODE_TABLE[(g2 >>> 6) & 0x3F]}${ENCODE_TABLE[g2 & 0x3F]}`;
+  const material = new Uint8Array(blocks.length * 32);
+  blocks.forEach((block, index) => material.set(new Uint8Array(block), index * 32));
+  return material;
 }
 
 /**
- * Generates multiple timestamps efficiently in a single batch
- * @param {number} count - Number of timestamps to generate (1-10000)
- * @param {Object} options - Generation options
- * @param {boolean} [options.unique=false] - Ensure all timestamps are unique
- * @returns {string[]} Array of Base64URL encoded timestamps
- * @throws {Error} If count is invalid or generation fails
+ * Feistel round function: keyed S-box lookups on the three bytes of a 24-bit half
+ * @param {Object} tables - Round keys and S-boxes of a key
+ * @param {number} half - 24-bit half of the block
+ * @param {number} round - Round index
+ * @returns {number} 24-bit output
  */
-export function generateBatch(count = 1, options = {}) {
-  if (!Number.isInteger(count) || count < 1 || count > 10000) {
-    throw new Error('Count must be an integer between 1 and 10000');
+function feistelRound(tables, half, round) {
+  const x = half ^ tables.roundKeys[round];
+  return ((tables.sbox0[x >>> 16] + tables.sbox1[(x >>> 8) & 0xFF]) ^ tables.sbox2[x & 0xFF]) & 0xFFFFFF;
+}
+
+/**
+ * Applies a key's permutation of the 48-bit timestamps, or its inverse
+ * @param {Object} tables - Round keys and S-boxes of a key
+ * @param {number} value - 48-bit integer
+ * @param {boolean} [inverse=false] - Undo the permutation
+ * @returns {number} Permuted 48-bit integer
+ */
+function feistel(tables, value, inverse = false) {
+  let left = Math.floor(value / 0x1000000);
+  let right = value % 0x1000000;
+  
+  if (inverse) {
+    for (let round = FEISTEL_ROUNDS - 1; round >= 0; round--) {
+      [left, right] = [right ^ feistelRound(tables, left, round), left];
+    }
+  } else {
+    for (let round = 0; round < FEISTEL_ROUNDS; round++) {
+      [left, right] = [right, left ^ feistelRound(tables, right, round)];
+    }
+  }
+  return left * 0x1000000 + right;
+}
+
+/**
+ * Encodes a timestamp, permuted and led by the key ID when a key is given
+ * @param {Object} encoding - Resolved encoding
+ * @param {number} timestamp - Unix milliseconds in the 48-bit range
+ * @param {Object|null} key - Key from createTimestampKey, or null
+ * @returns {string} Encoded timestamp
+ */
+function encodeKeyed(encoding, timestamp, key) {
+  if (key === null) return encoding.encode(timestamp);
+  return key.id + encoding.encode(feistel(KEY_INTERNALS.get(key), timestamp));
+}
+
+/**
+ * Finds the key named by the key ID in front of a keyed ID and removes the key ID
+ * @param {*} encoded - ID without its prefix
+ * @param {Map<string, Object>} keyring - Round tables by key ID
+ * @param {number} restLength - Characters after the key ID: timestamp and random suffix
+ * @returns {[Object, string]} Round tables of the key, and the ID without the key ID
+ * @throws {InvalidTimestampError} If the input is not a string, has no room for a key ID
+ *   or names a key ID missing from the keyring
+ */
+function splitKeyId(encoded, keyring, restLength) {
+  if (typeof encoded !== 'string') {
+    throw new InvalidTimestampError('NOT_STRING', 'Encoded timestamp must be a string', { input: encoded });
   }
   
-  if (typeof options !== 'object' || options === null) {
-    throw new Error('Options must be an object');
+  const keyIdLength = encoded.length - restLength;
+  if (keyIdLength < 1) {
+    const expectedLength = restLength + Math.min(...Array.from(keyring.keys(), id => id.length));
+    throw new InvalidTimestampError('INVALID_LENGTH', `Invalid timestamp length: ${encoded.length}, expected ${expectedLength}`, {
+      input: encoded,
+      expectedLength
+    });
+  }
+  
+  const keyId = encoded.slice(0, keyIdLength);
+  const tables = keyring.get(keyId);
+  if (!tables) {
+    throw new InvalidTimestampError('UNKNOWN_KEY', `Unknown key ID: ${keyId}`, { input: encoded, keyId });
+  }
+  return [tables, encoded.slice(keyIdLength)];
+}
+
+/**
+ * Reads a 48-bit big-endian integer from 6 bytes
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Index of the most significant byte
+ * @returns {number} Unsigned 48-bit integer
+ */
+function readUint48(bytes, offset) {
+  return bytes[offset] * 0x10000000000 +       // 2^40
+         bytes[offset + 1] * 0x100000000 +    // 2^32
+         (bytes[offset + 2] << 24 >>> 0) +    // 2^24 (kept unsigned)
+         (bytes[offset + 3] << 16) +          // 2^16
+         (bytes[offset + 4] << 8) +           // 2^8
+         bytes[offset + 5];
+}
+
+/**
+ * Writes a 48-bit integer as 6 big-endian bytes
+ * @param {Uint8Array} bytes - Target bytes
+ * @param {number} offset - Index of the most significant byte
+ * @param {number} value - Unsigned 48-bit integer
+ */
+function writeUint48(bytes, offset, value) {
+  bytes[offset] = Math.floor(value / 0x10000000000) & 0xFF;
+  bytes[offset + 1] = Math.floor(value / 0x100000000) & 0xFF;
+  bytes[offset + 2] = (value >>> 24) & 0xFF;
+  bytes[offset + 3] = (value >>> 16) & 0xFF;
+  bytes[offset + 4] = (value >>> 8) & 0xFF;
+  bytes[offset + 5] = value & 0xFF;
+}
+
+/**
+ * Rejects precisions other than millisecond for conversions to and from raw bytes
+ * @param {Object} options - Caller options
+ * @throws {Error} If options name another precision
+ */
+function assertRawBytePrecision(options) {
+  const { precision = 'millisecond' } = options;
+  if (precision !== 'millisecond') {
+    throw new Error(`Raw bytes carry Unix milliseconds; IDs with ${precision} precision cannot be converted`);
+  }
+}
+
+/**
+ * Rejects precisions other than millisecond for counter IDs
+ * @param {string} precision - Resolved precision
+ * @throws {Error} If the precision is not millisecond
+ */
+function assertCounterPrecision(precision) {
+  if (precision !== 'millisecond') {
+    throw new Error(`Counter IDs carry Unix milliseconds; IDs with ${precision} precision have no counter`);
+  }
+}
+
+/**
+ * Checks that a byte array has room for a 6-byte timestamp at the given offset
+ * @param {Uint8Array} bytes - Byte array
+ * @param {number} offset - Start index
+ * @throws {Error} If the array or offset is invalid
+ */
+function assertByteRange(bytes, offset) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('Bytes must be a Uint8Array');
+  }
+  
+  if (!Number.isInteger(offset) || offset < 0 || offset + 6 > bytes.length) {
+    throw new Error(`Offset out of range: ${offset}, need 6 bytes in a ${bytes.length}-byte array`);
   }
+}
+
+/**
+ * Encodes a byte array as unpadded Base64URL
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64URL string of ceil(length * 4 / 3) characters
+ */
+function bytesToBase64url(bytes) {
+  let result = '';
+  let i = 0;
   
-  const { fast = false } = options;
-  const results = new Array(count);
-  const generator = fast ? generateTimestamp48Fast : generateTimestamp48;
+  // Full 3-byte groups -> 4 chars
+  for (; i + 2 < bytes.length; i += 3) {
+    const g = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+    result += ENCODE_TABLE[g >>> 18] + ENCODE_TABLE[(g >>> 12) & 0x3F] +
+              ENCODE_TABLE[(g >>> 6) & 0x3F] + ENCODE_TABLE[g & 0x3F];
+  }
   
-  for (let i = 0; i < count; i++) {
-    results[i] = generator();
+  // Trailing 1 or 2 bytes -> 2 or 3 chars (no padding)
+  const remaining = bytes.length - i;
+  if (remaining === 1) {
+    const g = bytes[i] << 16;
+    result += ENCODE_TABLE[g >>> 18] + ENCODE_TABLE[(g >>> 12) & 0x3F];
+  } else if (remaining === 2) {
+    const g = (bytes[i] << 16) | (bytes[i + 1] << 8);
+    result += ENCODE_TABLE[g >>> 18] + ENCODE_TABLE[(g >>> 12) & 0x3F] + ENCODE_TABLE[(g >>> 6) & 0x3F];
   }
-  return results;
+  return result;
 }
 
 /**
- * Validates a timestamp format without decoding
- * @param {string} timestamp - Timestamp to validate
- * @returns {boolean} True if valid format
+ * Decodes an unpadded Base64URL string into a caller-provided byte array
+ * @param {string} encoded - Base64URL string (already validated)
+ * @param {Uint8Array} bytes - Target array sized for the decoded output
+ * @returns {Uint8Array} The filled target array
  */
-export function isValidTimestamp(timestamp) {
-  if (typeof timestamp !== 'string') return false;
-  if (timestamp.length !== 8) return false;
-  return BASE64URL_REGEX.test(timestamp);
+function base64urlToBytes(encoded, bytes) {
+  let bits = 0;
+  let bitCount = 0;
+  let index = 0;
+  
+  for (let i = 0; i < encoded.length && index < bytes.length; i++) {
+    bits = ((bits << 6) | DECODE_TABLE[encoded.charCodeAt(i)]) & 0xFFFFFF;
+    bitCount += 6;
+    if (bitCount >= 8) {
+      bitCount -= 8;
+      bytes[index++] = (bits >>> bitCount) & 0xFF;
+    }
+  }
+  return bytes;
 }
 
 /**
- * Gets the age of a timestamp in milliseconds
- * @param {string} encoded - Base64URL encoded timestamp
- * @returns {number} Age in milliseconds
+ * Generates an RFC 9562 UUIDv7 whose unix_ts_ms field is the wall-clock millisecond
+ * and whose rand_a field is the shared sub-millisecond counter (RFC 9562 method 1)
+ * @param {Object} [options] - Generation options
+ * @param {'hex'|'bytes'|'base64url'} [options.format='hex'] - Output format:
+ *   canonical 36-char hex, raw 16 bytes, or 22-char Base64URL
+ * @param {'wait'|'throw'|'spill'} [options.onOverflow='wait'] - Counter overflow policy
+ * @returns {string|Uint8Array} UUIDv7 in the requested format
+ * @throws {Error} If options are invalid, the counter overflows under the 'throw' policy
+ *   or no secure random source is available (globalThis.crypto; Node.js 16 and 18 need
+ *   --experimental-global-webcrypto)
  */
-export function getTimestampAge(encoded) {
-  const timestamp = decodeTimestamp48(encoded);
-  return Date.now() - timestamp;
+export function generateUUIDv7(options = {}) {
+  return defaultGenerator.generateUUIDv7(options);
+}
+
+/**
+ * Parses a UUIDv7 and extracts its 48-bit timestamp
+ * @param {string|Uint8Array} uuid - Canonical hex string, 22-char Base64URL string or 16 raw bytes
+ * @returns {{timestamp: number, timestamp48: string, counter: number, bytes: Uint8Array}} Unix
+ *   milliseconds, the equivalent 8-char Base64URL timestamp, the rand_a counter and the raw UUID bytes
+ * @throws {Error} If the input is not a valid UUIDv7, or a Base64URL one has non-zero padding bits
+ */
+export function parseUUIDv7(uuid) {
+  let bytes;
+  
+  if (uuid instanceof Uint8Array) {
+    if (uuid.length !== 16) {
+      throw new Error(`Invalid UUID length: ${uuid.length} bytes, expected 16`);
+    }
+    bytes = uuid;
+  } else if (typeof uuid === 'string') {
+    if (UUID_HEX_REGEX.test(uuid)) {
+      const hex = uuid.replace(/-/g, '');
+      bytes = new Uint8Array(16);
+      for (let i = 0; i < 16; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+      }
+    } else if (UUID_BASE64URL_REGEX.test(uuid)) {
+      // 22 characters carry 132 bits; the 4 past the 16 bytes must be zero, so each UUID
+      // has exactly one spelling
+      if ((DECODE_TABLE[uuid.charCodeAt(21)] & 0x0F) !== 0) {
+        throw new Error(`Invalid UUID format: ${uuid} (non-zero padding bits)`);
+      }
+      bytes = base64urlToBytes(uuid, new Uint8Array(16));
+    } else {
+      throw new Error(`Invalid UUID format: ${uuid}`);
+    }
+  } else {
+    throw new Error('UUID must be a string or Uint8Array');
+  }
+  
+  if ((bytes[6] >>> 4) !== 7) {
+    throw new Error(`Invalid UUID version: ${bytes[6] >>> 4}, expected 7`);
+  }
+  
+  if ((bytes[8] & 0xC0) !== 0x80) {
+    throw new Error('Invalid UUID variant: expected RFC 9562 variant (0b10)');
+  }
+  
+  // The first 6 bytes are exactly the 48-bit timestamp encoded by generateTimestamp48
+  const timestamp48 = bytesToBase64url(bytes.subarray(0, 6));
+  
+  return {
+    timestamp: decodeTimestamp48(timestamp48),
+    timestamp48,
+    counter: ((bytes[6] & 0x0F) << 8) | bytes[7],
+    bytes
+  };
 }
 
 // Add regex for validation
 const BASE64URL_REGEX = /^[A-Za-z0-9_-]{8}$/;
+const COUNTER_REGEX = /^[A-Za-z0-9_-]{10}$/;
+const TOKEN_REGEX = /^[A-Za-z0-9_-]{32}$/;
+
+/**
+ * Module metadata
+ * 
+ * format, precision, bitLength and outputLength describe the default IDs of the top-level
+ * functions; precision is chosen per generator, so read generator.precision for its IDs.
+ */
+export const MODULE_INFO = Object.freeze({
+  name: 'timestamp-48bit',
+  version: '1.0.0',
+  format: 'Base64URL',
+  precision: 'millisecond',
+  precisions: Object.freeze(['second', 'millisecond', 'microsecond']),
+  bitLength: 48,
+  outputLength: 8,
+  features: Object.freeze(['encode', 'decode', 'batch', 'validate', 'age', 'fast', 'uuidv7', 'counter',
+    'instances', 'encodings', 'binary', 'streaming', 'options', 'inspect', 'compare', 'node', 'shared', 'persistence', 'prefixed',
+    'random', 'keyed', 'signed', 'buckets', 'epoch', 'precision'])
+});
 
 // Default export uses the fastest implementation
 export default generateTimestamp48;
\ No newline at end of file
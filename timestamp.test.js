@@ -8,8 +8,58 @@ import {
   decodeTimestamp48,
   generateBatch,
   isValidTimestamp,
-  getTimestampAge
+  getTimestampAge,
+  generateUUIDv7,
+  parseUUIDv7,
+  generateTimestampWithCounter,
+  decodeTimestampWithCounter,
+  isValidTimestampWithCounter,
+  createTimestampGenerator,
+  ClockRegressionError,
+  InvalidTimestampError,
+  TimestampRangeError,
+  CountRangeError,
+  encodings,
+  createEncoding,
+  writeTimestamp48,
+  readTimestamp48,
+  encodeTimestamp48,
+  toBytes,
+  fromBytes,
+  minForTime,
+  maxForTime,
+  fillTimestamps48,
+  timestampIterator,
+  timestampStream,
+  inspectTimestamp48,
+  formatTimestamp48,
+  compareTimestamp48,
+  sortTimestamps,
+  diffMs,
+  isBefore,
+  isAfter,
+  inRange,
+  decodeTimestampWithNode,
+  isValidTimestampWithNode,
+  createSharedTimestampState,
+  createPrefixedId,
+  createTimestampKey,
+  signTimestamp48,
+  verifyTimestamp48,
+  TokenVerificationError,
+  bucketOf,
+  bucketsBetween,
+  prefixForBucket,
+  getTimestampHorizon,
+  MODULE_INFO
 } from './timestamp.js';
+import { timestampStream as nodeTimestampStream, createFileTimestampStore } from './timestamp-node.js';
+import { runCli } from './cli.js';
+import { Readable, Writable } from 'node:stream';
+import { Worker } from 'node:worker_threads';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 // Test utilities and configuration
 const BASE64URL_REGEX = /^[A-Za-z0-9_-]{8}$/;
@@ -42,6 +92,25 @@ function runTest(name, testFn) {
   }
 }
 
+async function runAsyncTest(name, testFn) {
+  testsTotal++;
+  console.log(`📋 Test ${testsTotal}: ${name}`);
+  const startTime = performance.now();
+  try {
+    await testFn();
+    const endTime = performance.now();
+    testsPassed++;
+    testResults.push({ name, passed: true, duration: endTime - startTime });
+    console.log(`  ✅ ${name} passed (${(endTime - startTime).toFixed(2)}ms)\n`);
+  } catch (error) {
+    const endTime = performance.now();
+    testResults.push({ name, passed: false, duration: endTime - startTime, error: error.message });
+    console.error(`  ❌ ${name} failed:`, error.message);
+    console.error('  Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
 console.log('🧪 Starting Enhanced 48-bit Timestamp Tests...\n');
 
 // Test for new batch generation functionality
@@ -158,15 +227,22 @@ runTest('Format Validation', () => {
 });
 
 // Test 3: Time ordering and decode functionality
-runTest('Time Ordering and Decode', async () => {
+await runAsyncTest('Time Ordering and Decode', async () => {
   const timestamps = [];
+  const sortableGenerator = createTimestampGenerator({ encoding: 'base64sortable' });
   
   for (let i = 0; i < 5; i++) {
     const now = Date.now();
     const timestamp = generateTimestamp48();
     const decoded = decodeTimestamp48(timestamp);
+    const sortable = sortableGenerator.generate();
+    
+    timestamps.push({ timestamp, time: now, decoded, sortable });
     
-    timestamps.push({ timestamp, time: now, decoded });
+    if (!isValidTimestamp(sortable, { encoding: 'base64sortable' }) ||
+        decodeTimestamp48(sortable, { encoding: 'base64sortable' }) < now) {
+      throw new Error(`Invalid sortable timestamp: ${sortable}`);
+    }
     
     // Verify decode accuracy (allow for monotonic timestamps)
     if (decoded < now - 100 || decoded > now + 15000) {
@@ -193,9 +269,29 @@ runTest('Time Ordering and Decode', async () => {
     }
   }
   
+  // Sortable IDs: string order equals generation (time) order
+  const sortableIds = timestamps.map(t => t.sortable);
+  if ([...sortableIds].sort().join() !== sortableIds.join()) {
+    throw new Error(`Sortable timestamps out of order: ${sortableIds.join(', ')}`);
+  }
+  
+  // Including across the boundaries where Base64URL order breaks ('z' -> '0', '9' -> '-', '-' -> '_')
+  const boundaries = [0, 25, 26, 51, 52, 61, 62, 63, 64, 2 ** 47, 2 ** 48 - 1];
+  const sortableBatch = boundaries.map(ms => encodings.base64sortable.encode(ms));
+  if ([...sortableBatch].sort().join() !== sortableBatch.join()) {
+    throw new Error(`Sortable encoding breaks order: ${sortableBatch.join(', ')}`);
+  }
+  
+  const batch = generateBatch(100, { encoding: 'base64sortable' });
+  if ([...batch].sort().join() !== batch.join() ||
+      batch.some(id => decodeTimestamp48(id, { encoding: 'base64sortable' }) <= 0)) {
+    throw new Error('Sortable batch is not in string order');
+  }
+  
   console.log(`  ✓ Generated ${uniqueTimestamps.size} unique timestamps from ${timestamps.length} calls`);
   console.log(`  ✓ Decode accuracy verified with monotonic timestamp tolerance`);
   console.log(`  ✓ Time progression maintained`);
+  console.log(`  ✓ Sortable IDs sort as strings in time order: ${sortableIds[0]} < ... < ${sortableIds[4]}`);
 });
 
 // Test 4: Implementation consistency
@@ -403,9 +499,2034 @@ runTest('Error Handling', () => {
     }
   }
   
+  // Typed errors carry machine-readable codes and structured fields
+  const caught = fn => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Should have thrown');
+  };
+  
+  const badChar = caught(() => decodeTimestamp48('AZkA*FyO'));
+  if (!(badChar instanceof InvalidTimestampError) || badChar.code !== 'INVALID_CHAR' ||
+      badChar.index !== 4 || badChar.char !== '*' || badChar.input !== 'AZkA*FyO') {
+    throw new Error(`Unexpected INVALID_CHAR error: ${badChar.code} ${badChar.index} ${badChar.char}`);
+  }
+  
+  const badLength = caught(() => decodeTimestamp48('short'));
+  if (badLength.code !== 'INVALID_LENGTH' || badLength.expectedLength !== 8 ||
+      !badLength.message.includes('Invalid timestamp length')) {
+    throw new Error(`Unexpected INVALID_LENGTH error: ${badLength.code} ${badLength.expectedLength}`);
+  }
+  
+  const notString = caught(() => decodeTimestamp48(null));
+  if (notString.code !== 'NOT_STRING' || notString.name !== 'InvalidTimestampError') {
+    throw new Error(`Unexpected NOT_STRING error: ${notString.code}`);
+  }
+  
+  const otherEncodings = [
+    [() => decodeTimestamp48('01A155AC5F7!', { encoding: 'hex' }), 'INVALID_CHAR', 11],
+    [() => decodeTimestampWithCounter('AZkAsFyO*A'), 'INVALID_CHAR', 8],
+    [() => decodeTimestampWithCounter('01a155ac5f7a00x', { encoding: 'hex' }), 'INVALID_CHAR', 14],
+    [() => decodeTimestamp48('usr_AZkAsFyO', { prefix: 'evt_' }), 'INVALID_CHAR', 0]
+  ];
+  
+  for (const [fn, code, index] of otherEncodings) {
+    const error = caught(fn);
+    if (!(error instanceof InvalidTimestampError) || error.code !== code || error.index !== index) {
+      throw new Error(`Expected ${code} at ${index}, got ${error.code} at ${error.index}: ${error.message}`);
+    }
+  }
+  
+  for (const count of [0, 10001, 2.5]) {
+    const error = caught(() => generateBatch(count));
+    if (!(error instanceof CountRangeError) || !(error instanceof RangeError) ||
+        error.code !== 'COUNT_OUT_OF_RANGE' || error.count !== count || error.min !== 1 || error.max !== 10000) {
+      throw new Error(`Unexpected batch count error for ${count}: ${error.message}`);
+    }
+  }
+  
+  for (const value of [-1, 2 ** 48, 2n ** 48n, new Date('invalid')]) {
+    const error = caught(() => encodeTimestamp48(value));
+    if (!(error instanceof TimestampRangeError) || !(error instanceof RangeError) ||
+        error.code !== 'TIMESTAMP_OUT_OF_RANGE' || error.max !== 2 ** 48 - 1) {
+      throw new Error(`Unexpected encode range error for ${String(value)}: ${error.message}`);
+    }
+  }
+  
+  const tooWide = caught(() => decodeTimestamp48('ZZZZZZZZZZ', { encoding: 'base32crockford' }));
+  if (!(tooWide instanceof TimestampRangeError) || tooWide.value !== 2 ** 50 - 1) {
+    throw new Error(`Unexpected decode range error: ${tooWide.message}`);
+  }
+  
   console.log('  ✓ Invalid decode inputs properly rejected');
   console.log('  ✓ Invalid batch parameters properly rejected');
   console.log('  ✓ Error messages are descriptive');
+  console.log('  ✓ Typed errors expose codes: INVALID_CHAR, INVALID_LENGTH, NOT_STRING, COUNT/TIMESTAMP_OUT_OF_RANGE');
+});
+
+// Test 11: UUIDv7 generation and parsing
+runTest('UUIDv7 Generation and Parsing', () => {
+  const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+  const beforeTime = Date.now();
+  const uuid = generateUUIDv7();
+  
+  if (!UUID_REGEX.test(uuid)) {
+    throw new Error(`Invalid UUIDv7 format: ${uuid}`);
+  }
+  
+  // UUIDv7 uses the sub-millisecond counter, so the timestamp stays on the wall clock
+  const parsed = parseUUIDv7(uuid);
+  if (parsed.timestamp < beforeTime || parsed.timestamp > Date.now()) {
+    throw new Error(`UUIDv7 timestamp ${parsed.timestamp} not near ${beforeTime}`);
+  }
+  
+  if (decodeTimestamp48(parsed.timestamp48) !== parsed.timestamp) {
+    throw new Error('UUIDv7 timestamp48 does not match decoded timestamp');
+  }
+  
+  // All output formats round-trip through the parser
+  const bytes = generateUUIDv7({ format: 'bytes' });
+  if (!(bytes instanceof Uint8Array) || bytes.length !== 16) {
+    throw new Error('Bytes format did not return 16 bytes');
+  }
+  
+  const compact = generateUUIDv7({ format: 'base64url' });
+  if (!/^[A-Za-z0-9_-]{22}$/.test(compact)) {
+    throw new Error(`Invalid Base64URL UUID: ${compact}`);
+  }
+  
+  const fromBytes = parseUUIDv7(bytes);
+  const fromCompact = parseUUIDv7(compact);
+  const order = p => p.timestamp * 4096 + p.counter;
+  if (!(order(parsed) < order(fromBytes) && order(fromBytes) < order(fromCompact))) {
+    throw new Error('UUIDv7 timestamps are not monotonic across formats');
+  }
+  
+  // Hex and Base64URL forms describe the same bytes
+  const hex = [...fromCompact.bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+  if (parseUUIDv7(`${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`).timestamp !== fromCompact.timestamp) {
+    throw new Error('Hex and Base64URL UUID forms disagree');
+  }
+  
+  // Base64URL UUIDs with non-zero padding bits are alternative spellings and rejected
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  const padded = compact.slice(0, 21) + alphabet[alphabet.indexOf(compact[21]) + 1];
+  try {
+    parseUUIDv7(padded);
+    throw new Error(`Should have rejected ${padded}`);
+  } catch (error) {
+    if (!error.message.includes('non-zero padding bits')) {
+      throw error;
+    }
+  }
+  
+  // Non-v7 UUIDs are rejected
+  try {
+    parseUUIDv7('123e4567-e89b-42d3-a456-426614174000');
+    throw new Error('Should have thrown for UUIDv4');
+  } catch (error) {
+    if (!error.message.includes('Invalid UUID version')) {
+      throw error;
+    }
+  }
+  
+  try {
+    generateUUIDv7({ format: 'binary' });
+    throw new Error('Should have thrown for unsupported format');
+  } catch (error) {
+    if (!error.message.includes('Unsupported UUID format')) {
+      throw error;
+    }
+  }
+  
+  console.log(`  ✓ generateUUIDv7(): ${uuid}`);
+  console.log(`  ✓ Base64URL form: ${compact}`);
+  console.log('  ✓ Version/variant bits and timestamp extraction verified');
+});
+
+// Test 12: Sub-millisecond counter format
+runTest('Sub-millisecond Counter', () => {
+  const count = 10000;
+  const beforeTime = Date.now();
+  const batch = generateBatch(count, { counter: true });
+  const afterTime = Date.now();
+  
+  if (new Set(batch).size !== count) {
+    throw new Error('Counter batch contains duplicates');
+  }
+  
+  let previous = -1;
+  for (const id of batch) {
+    if (!isValidTimestampWithCounter(id)) {
+      throw new Error(`Invalid counter timestamp: ${id}`);
+    }
+    
+    const { timestamp, counter } = decodeTimestampWithCounter(id);
+    
+    // The 48-bit part must stay the true wall-clock millisecond
+    if (timestamp < beforeTime || timestamp > afterTime) {
+      throw new Error(`Counter timestamp ${timestamp} outside wall clock range [${beforeTime}, ${afterTime}]`);
+    }
+    
+    // Ordering must be strict across the whole burst
+    const order = timestamp * 4096 + counter;
+    if (order <= previous) {
+      throw new Error(`Counter timestamps not strictly increasing at ${id}`);
+    }
+    previous = order;
+    
+    if (decodeTimestamp48(id.slice(0, 8)) !== timestamp) {
+      throw new Error(`Timestamp prefix of ${id} is not a valid Timestamp48`);
+    }
+  }
+  
+  const single = generateTimestampWithCounter({ onOverflow: 'throw' });
+  if (decodeTimestampWithCounter(single).timestamp > Date.now()) {
+    throw new Error('Single counter timestamp is in the future');
+  }
+  
+  if (isValidTimestampWithCounter(generateTimestamp48()) || isValidTimestampWithCounter('invalid!@#')) {
+    throw new Error('Invalid counter timestamp passed validation');
+  }
+  
+  try {
+    generateTimestampWithCounter({ onOverflow: 'ignore' });
+    throw new Error('Should have thrown for unknown overflow policy');
+  } catch (error) {
+    if (!error.message.includes('Invalid overflow policy')) {
+      throw error;
+    }
+  }
+  
+  console.log(`  ✓ ${count} counter IDs strictly ordered and unique: ${batch[0]} ... ${batch[count - 1]}`);
+  console.log(`  ✓ All timestamps within wall clock range [${beforeTime}, ${afterTime}]`);
+  console.log('  ✓ Overflow policy validation working');
+});
+
+// Test 13: Generator instances with isolated state and injectable clocks
+runTest('Generator Instances', () => {
+  const fakeTime = 1700000000000;
+  const fakeClock = () => fakeTime;
+  
+  // Two instances on the same clock do not share a monotonic sequence
+  const first = createTimestampGenerator({ clock: fakeClock });
+  const second = createTimestampGenerator({ clock: fakeClock });
+  const a1 = first.generate();
+  const a2 = first.generate();
+  const b1 = second.generate();
+  
+  if (decodeTimestamp48(a1) !== fakeTime || decodeTimestamp48(a2) !== fakeTime + 1) {
+    throw new Error(`Unexpected monotonic sequence: ${decodeTimestamp48(a1)}, ${decodeTimestamp48(a2)}`);
+  }
+  
+  if (b1 !== a1) {
+    throw new Error(`Instances interfered with each other: ${a1} vs ${b1}`);
+  }
+  
+  if (decodeTimestamp48(first.generateFast()) !== fakeTime + 2) {
+    throw new Error('generateFast does not share the instance sequence');
+  }
+  
+  // Fractional clocks (performance.timeOrigin + performance.now()) are floored
+  const hrGenerator = createTimestampGenerator({ clock: () => performance.timeOrigin + performance.now() });
+  const hrDecoded = decodeTimestamp48(hrGenerator.generate());
+  if (!Number.isInteger(hrDecoded) || Math.abs(hrDecoded - Date.now()) > 1000) {
+    throw new Error(`High resolution clock produced unexpected timestamp: ${hrDecoded}`);
+  }
+  
+  // Non-monotonic instances report the raw clock, duplicates included
+  const raw = createTimestampGenerator({ clock: fakeClock, monotonic: false });
+  const rawBatch = raw.batch(3);
+  if (new Set(rawBatch).size !== 1 || decodeTimestamp48(rawBatch[0]) !== fakeTime) {
+    throw new Error(`Non-monotonic batch should repeat the clock value: ${rawBatch.join(', ')}`);
+  }
+  
+  // Counter overflow policies are deterministic with a frozen clock
+  const frozen = createTimestampGenerator({ clock: fakeClock });
+  frozen.batch(4096, { counter: true });
+  try {
+    frozen.generateWithCounter({ onOverflow: 'throw' });
+    throw new Error('Should have thrown for counter overflow');
+  } catch (error) {
+    if (!error.message.includes('Counter overflow')) {
+      throw error;
+    }
+  }
+  
+  const spilled = decodeTimestampWithCounter(frozen.generateWithCounter({ onOverflow: 'spill' }));
+  if (spilled.timestamp !== fakeTime + 1 || spilled.counter !== 0) {
+    throw new Error(`Spill policy produced ${spilled.timestamp}/${spilled.counter}`);
+  }
+  
+  // 'wait' spins until the clock ticks over (the 4097th reading overflows, the next one ticks)
+  let clockReads = 0;
+  const ticking = createTimestampGenerator({ clock: () => ++clockReads <= 4097 ? fakeTime : fakeTime + 1 });
+  const waited = ticking.batch(4097, { counter: true });
+  const last = decodeTimestampWithCounter(waited[4096]);
+  if (last.timestamp !== fakeTime + 1 || last.counter !== 0 || clockReads !== 4098) {
+    throw new Error(`Wait policy produced ${last.timestamp}/${last.counter}`);
+  }
+  
+  // Invalid options and clocks are rejected
+  const invalid = [
+    [() => createTimestampGenerator({ clock: 123 }), 'Clock must be a function'],
+    [() => createTimestampGenerator({ monotonic: 'yes' }), 'Monotonic option must be a boolean'],
+    [() => createTimestampGenerator({ encoding: 'base65' }), 'Unsupported encoding'],
+    [() => createTimestampGenerator({ clock: () => NaN }).generate(), 'Clock returned invalid value'],
+    [() => createTimestampGenerator({ clock: () => -1 }).generate(), 'Clock returned invalid value']
+  ];
+  
+  for (const [fn, expected] of invalid) {
+    try {
+      fn();
+      throw new Error(`Should have thrown: ${expected}`);
+    } catch (error) {
+      if (!error.message.includes(expected)) {
+        throw error;
+      }
+    }
+  }
+  
+  console.log(`  ✓ Isolated instances: ${a1}, ${a2} vs ${b1}`);
+  console.log('  ✓ Injected, fractional and frozen clocks handled');
+  console.log('  ✓ Counter overflow policies (throw, spill, wait) verified');
+});
+
+// Test 14: Clock regression detection and policies
+runTest('Clock Regression Policies', () => {
+  const base = 1700000000000;
+  let fakeTime = base;
+  const fakeClock = () => fakeTime;
+  
+  // 'monotonic' keeps today's behaviour: bump past the last issued timestamp
+  const monotonic = createTimestampGenerator({ clock: fakeClock });
+  monotonic.generate();
+  fakeTime = base - 5000;
+  if (decodeTimestamp48(monotonic.generate()) !== base + 1) {
+    throw new Error('Monotonic policy did not bump past the last timestamp');
+  }
+  
+  // 'emit' bumps as well but reports the skew once per backward step
+  const events = [];
+  fakeTime = base;
+  const emitting = createTimestampGenerator({
+    clock: fakeClock,
+    clockRegression: 'emit',
+    onClockRegression: event => events.push(event)
+  });
+  emitting.generate();
+  fakeTime = base - 250;
+  emitting.generate();
+  fakeTime = base - 200;
+  emitting.generate();
+  if (events.length !== 1 || events[0].skewMs !== 250 || events[0].previous !== base || events[0].current !== base - 250) {
+    throw new Error(`Unexpected regression events: ${JSON.stringify(events)}`);
+  }
+  
+  // 'throw' refuses every reading until the clock catches up
+  fakeTime = base;
+  const throwing = createTimestampGenerator({ clock: fakeClock, clockRegression: 'throw' });
+  throwing.generate();
+  fakeTime = base - 10;
+  try {
+    throwing.generateWithCounter();
+    throw new Error('Should have thrown for clock regression');
+  } catch (error) {
+    if (!(error instanceof ClockRegressionError) || error.code !== 'CLOCK_REGRESSION' || error.skewMs !== 10) {
+      throw error;
+    }
+  }
+  fakeTime = base;
+  if (decodeTimestamp48(throwing.generate()) !== base + 1) {
+    throw new Error('Throw policy did not recover once the clock caught up');
+  }
+  
+  // 'wait' blocks until the clock is back at its highest reading
+  let reads = 0;
+  const readings = [base, base - 3, base - 2, base - 1, base, base];
+  const waiting = createTimestampGenerator({ clock: () => readings[Math.min(reads++, readings.length - 1)], clockRegression: 'wait' });
+  waiting.generateWithCounter();
+  const resumed = decodeTimestampWithCounter(waiting.generateWithCounter());
+  if (reads !== 5 || resumed.timestamp !== base || resumed.counter !== 1) {
+    throw new Error(`Wait policy resumed after ${reads} reads at ${resumed.timestamp}/${resumed.counter}`);
+  }
+  
+  // Beyond the threshold the monotonic bump is no longer applied silently
+  fakeTime = base;
+  const bounded = createTimestampGenerator({ clock: fakeClock, regressionThresholdMs: 1000 });
+  bounded.generate();
+  fakeTime = base - 999;
+  bounded.generate();
+  fakeTime = base - 1001;
+  try {
+    bounded.generate();
+    throw new Error('Should have thrown beyond the regression threshold');
+  } catch (error) {
+    if (!(error instanceof ClockRegressionError) || error.skewMs !== 1001) {
+      throw error;
+    }
+  }
+  
+  try {
+    createTimestampGenerator({ clockRegression: 'emit' });
+    throw new Error('Should have thrown for emit without listener');
+  } catch (error) {
+    if (!error.message.includes('requires an onClockRegression listener')) {
+      throw error;
+    }
+  }
+  
+  try {
+    createTimestampGenerator({ clockRegression: 'ignore' });
+    throw new Error('Should have thrown for unknown policy');
+  } catch (error) {
+    if (!error.message.includes('Invalid clock regression policy')) {
+      throw error;
+    }
+  }
+  
+  console.log('  ✓ monotonic, emit, throw and wait policies verified');
+  console.log(`  ✓ Regression event reported: ${events[0].skewMs}ms skew`);
+  console.log('  ✓ Threshold stops silent monotonic bumps');
+});
+
+// Test 15: Alternative encodings
+runTest('Alternative Encodings', () => {
+  const expectedLengths = { base64url: 8, base64sortable: 8, base32crockford: 10, hex: 12, base58: 9, base62: 9 };
+  const samples = [0, 1, 1756653182094, 2 ** 48 - 1];
+  
+  for (const [name, length] of Object.entries(expectedLengths)) {
+    const encoding = encodings[name];
+    if (encoding.length !== length) {
+      throw new Error(`${name} length ${encoding.length}, expected ${length}`);
+    }
+    
+    // Round trips, fixed width and string order equal to numeric order
+    let previous = '';
+    for (const ms of samples) {
+      const encoded = encoding.encode(ms);
+      if (encoded.length !== length || encoding.decode(encoded) !== ms || !encoding.isValid(encoded)) {
+        throw new Error(`${name} round trip failed for ${ms}: ${encoded}`);
+      }
+      if (name !== 'base64url' && encoded <= previous) {
+        throw new Error(`${name} does not sort lexicographically: ${previous} >= ${encoded}`);
+      }
+      previous = encoded;
+    }
+    
+    // Generators, batches, decode and validate accept the encoding
+    const generator = createTimestampGenerator({ encoding: name });
+    const beforeTime = Date.now();
+    const id = generator.generate();
+    if (!isValidTimestamp(id, { encoding: name }) || decodeTimestamp48(id, { encoding: name }) < beforeTime) {
+      throw new Error(`${name} generator produced invalid ID: ${id}`);
+    }
+    
+    const batch = generateBatch(5, { encoding: name });
+    if (!batch.every(ts => ts.length === length && isValidTimestamp(ts, { encoding: name }))) {
+      throw new Error(`${name} batch produced invalid IDs: ${batch.join(', ')}`);
+    }
+    
+    const withCounter = generator.generateWithCounter();
+    if (!isValidTimestampWithCounter(withCounter, { encoding: name }) ||
+        decodeTimestampWithCounter(withCounter, { encoding: name }).timestamp < beforeTime) {
+      throw new Error(`${name} counter format invalid: ${withCounter}`);
+    }
+  }
+  
+  // Known vectors: ULID time component and plain hex
+  if (encodings.base32crockford.encode(1469918176385) !== '01ARYZ6S41') {
+    throw new Error(`Crockford encoding is not ULID-compatible: ${encodings.base32crockford.encode(1469918176385)}`);
+  }
+  if (encodings.hex.encode(0x0199_00b0_5c8e) !== '019900b05c8e') {
+    throw new Error('Hex encoding mismatch');
+  }
+  
+  // Crockford decoding is case-insensitive and accepts I/L/O aliases
+  if (encodings.base32crockford.decode('01aryz6s41') !== 1469918176385 ||
+      encodings.base32crockford.decode('0IARYZ6S4L') !== 1469918176385 ||
+      encodings.base32crockford.decode('O1ARYZ6S41') !== 1469918176385) {
+    throw new Error('Crockford aliases not decoded');
+  }
+  
+  // Values beyond 48 bits and foreign characters are rejected
+  const invalid = [
+    ['base32crockford', '8000000000', 'exceeds 48-bit range'],
+    ['base58', 'zzzzzzzzz', 'exceeds 48-bit range'],
+    ['base62', 'zzzzzzzzz', 'exceeds 48-bit range'],
+    ['hex', '01990Gb05c8e', 'Invalid hex format'],
+    ['base58', '0OIl00000', 'Invalid base58 format'],
+    ['hex', 'abc', 'Invalid timestamp length']
+  ];
+  
+  for (const [name, encoded, expected] of invalid) {
+    if (isValidTimestamp(encoded, { encoding: name })) {
+      throw new Error(`${name} accepted invalid ${encoded}`);
+    }
+    try {
+      decodeTimestamp48(encoded, { encoding: name });
+      throw new Error(`Should have thrown for ${name} ${encoded}`);
+    } catch (error) {
+      if (!error.message.includes(expected)) {
+        throw error;
+      }
+    }
+  }
+  
+  // Custom alphabets plug into generators
+  const base36 = createEncoding('base36', '0123456789abcdefghijklmnopqrstuvwxyz');
+  const custom = createTimestampGenerator({ encoding: base36 }).generate();
+  if (custom.length !== base36.length || decodeTimestamp48(custom, { encoding: base36 }) > Date.now()) {
+    throw new Error(`Custom encoding produced ${custom}`);
+  }
+  
+  try {
+    createEncoding('bad', 'aab');
+    throw new Error('Should have thrown for duplicate alphabet characters');
+  } catch (error) {
+    if (!error.message.includes('unique printable ASCII')) {
+      throw error;
+    }
+  }
+  
+  console.log(`  ✓ ${Object.keys(expectedLengths).map(name => `${name}: ${encodings[name].encode(1756653182094)}`).join(', ')}`);
+  console.log('  ✓ Lexicographic order, range checks and aliases verified');
+  console.log(`  ✓ Custom alphabet: ${custom}`);
+});
+
+// Test 16: Binary read/write APIs
+runTest('Binary Output APIs', () => {
+  // Write several timestamps back to back into one caller-provided buffer
+  const buffer = new Uint8Array(3 * 6 + 2);
+  const written = [];
+  for (let i = 0; i < 3; i++) {
+    written.push(writeTimestamp48(buffer, 2 + i * 6));
+  }
+  
+  for (let i = 0; i < 3; i++) {
+    if (readTimestamp48(buffer, 2 + i * 6) !== written[i]) {
+      throw new Error(`Read ${readTimestamp48(buffer, 2 + i * 6)}, wrote ${written[i]}`);
+    }
+  }
+  
+  if (!(written[0] < written[1] && written[1] < written[2])) {
+    throw new Error('Written timestamps are not monotonic');
+  }
+  
+  // Explicit values, including the high bit of every byte
+  const known = 0x8182_8384_8586;
+  writeTimestamp48(buffer, 0, known);
+  if (buffer[0] !== 0x81 || buffer[5] !== 0x86 || readTimestamp48(buffer) !== known) {
+    throw new Error('Big-endian byte layout mismatch');
+  }
+  
+  // number <-> bytes <-> string conversions agree
+  const encoded = encodeTimestamp48(known);
+  const bytes = toBytes(encoded);
+  if (fromBytes(bytes) !== encoded || decodeTimestamp48(encoded) !== known || readTimestamp48(bytes) !== known) {
+    throw new Error(`Conversion mismatch: ${encoded}`);
+  }
+  
+  if (fromBytes(buffer, 0, { encoding: 'hex' }) !== '818283848586' ||
+      encodeTimestamp48(known, { encoding: 'hex' }) !== '818283848586') {
+    throw new Error('Hex conversion mismatch');
+  }
+  
+  // Node.js Buffers are Uint8Arrays
+  if (typeof Buffer !== 'undefined') {
+    const nodeBuffer = Buffer.alloc(6);
+    writeTimestamp48(nodeBuffer, 0, known);
+    if (nodeBuffer.readUIntBE(0, 6) !== known) {
+      throw new Error('Node.js Buffer read mismatch');
+    }
+  }
+  
+  const invalid = [
+    [() => writeTimestamp48(new Uint8Array(5)), 'Offset out of range'],
+    [() => writeTimestamp48(buffer, 15), 'Offset out of range'],
+    [() => readTimestamp48([1, 2, 3, 4, 5, 6]), 'must be a Uint8Array'],
+    [() => writeTimestamp48(buffer, 0, 2 ** 48), 'between 0 and'],
+    [() => encodeTimestamp48(-1), 'between 0 and'],
+    [() => encodeTimestamp48(1.5), 'between 0 and']
+  ];
+  
+  for (const [fn, expected] of invalid) {
+    try {
+      fn();
+      throw new Error(`Should have thrown: ${expected}`);
+    } catch (error) {
+      if (!error.message.includes(expected)) {
+        throw error;
+      }
+    }
+  }
+  
+  console.log(`  ✓ Wrote and read ${written.length} timestamps in one buffer`);
+  console.log(`  ✓ encodeTimestamp48(0x818283848586): ${encoded}`);
+  console.log('  ✓ toBytes/fromBytes round trip and bounds checks verified');
+});
+
+// Test 17: Encoding arbitrary timestamps and range bounds
+runTest('Encode Arbitrary Timestamps', () => {
+  const historic = new Date('2001-09-09T01:46:40.000Z');
+  const ms = historic.getTime();
+  
+  // number, Date and bigint inputs agree
+  const fromNumber = encodeTimestamp48(ms);
+  if (encodeTimestamp48(historic) !== fromNumber || encodeTimestamp48(BigInt(ms)) !== fromNumber) {
+    throw new Error('number, Date and bigint encodings disagree');
+  }
+  
+  if (decodeTimestamp48(fromNumber) !== ms) {
+    throw new Error(`Backfilled timestamp decoded to ${decodeTimestamp48(fromNumber)}`);
+  }
+  
+  // Range limits
+  if (encodeTimestamp48(0) !== 'AAAAAAAA' || encodeTimestamp48(2n ** 48n - 1n) !== '________') {
+    throw new Error('48-bit range limits encoded incorrectly');
+  }
+  
+  const invalid = [
+    [2 ** 48, 'between 0 and'],
+    [-1, 'between 0 and'],
+    [1.5, 'between 0 and'],
+    [Infinity, 'between 0 and'],
+    [NaN, 'between 0 and'],
+    [2n ** 48n, 'between 0 and'],
+    [-1n, 'between 0 and'],
+    [new Date('invalid'), 'Invalid Date'],
+    [new Date(-1), 'between 0 and'],
+    ['1700000000000', 'must be a number, bigint or Date']
+  ];
+  
+  for (const [value, expected] of invalid) {
+    try {
+      encodeTimestamp48(value);
+      throw new Error(`Should have thrown for ${String(value)}`);
+    } catch (error) {
+      if (!error.message.includes(expected)) {
+        throw error;
+      }
+    }
+  }
+  
+  // Range-scan bounds: "all IDs between two dates" with a sortable encoding
+  const from = new Date('2024-01-01T00:00:00.000Z');
+  const to = new Date('2024-01-02T00:00:00.000Z');
+  const options = { encoding: 'base64sortable' };
+  const lower = minForTime(from, options);
+  const upper = maxForTime(to, options);
+  
+  const inside = encodeTimestamp48(Date.UTC(2024, 0, 1, 12), options);
+  const before = encodeTimestamp48(from.getTime() - 1, options);
+  const after = encodeTimestamp48(to.getTime() + 1, options);
+  
+  if (!(lower <= inside && inside <= upper) || before >= lower || after <= upper) {
+    throw new Error(`Bounds [${lower}, ${upper}] misclassify IDs`);
+  }
+  
+  // Counter-format bounds cover every counter value in the boundary milliseconds
+  const counterOptions = { encoding: 'base64sortable', counter: true };
+  const counterLower = minForTime(from, counterOptions);
+  const counterUpper = maxForTime(from, counterOptions);
+  const generator = createTimestampGenerator({ clock: () => from.getTime(), encoding: 'base64sortable' });
+  const counterIds = generator.batch(3, { counter: true });
+  
+  if (counterLower !== counterIds[0] || counterIds.some(id => id < counterLower || id > counterUpper)) {
+    throw new Error(`Counter bounds [${counterLower}, ${counterUpper}] miss ${counterIds.join(', ')}`);
+  }
+  
+  console.log(`  ✓ encodeTimestamp48(${historic.toISOString()}): ${fromNumber}`);
+  console.log('  ✓ number, Date and bigint inputs with range checks');
+  console.log(`  ✓ Range bounds for ${from.toISOString()}..${to.toISOString()}: [${lower}, ${upper}]`);
+});
+
+// Test 18: Streaming beyond the batch limit
+await runAsyncTest('Streaming and Bulk Generation', async () => {
+  const assertIncreasing = (values, label) => {
+    for (let i = 1; i < values.length; i++) {
+      if (values[i] <= values[i - 1]) {
+        throw new Error(`${label} not strictly increasing at index ${i}`);
+      }
+    }
+  };
+  
+  // Async iterator past the 10,000 cap, with the generator's monotonic guarantees
+  const frozen = createTimestampGenerator({ clock: () => 1700000000000 });
+  const iterated = [];
+  for await (const id of timestampIterator({ count: 25000, generator: frozen })) {
+    iterated.push(decodeTimestamp48(id));
+  }
+  
+  if (iterated.length !== 25000) {
+    throw new Error(`Iterator yielded ${iterated.length} IDs`);
+  }
+  assertIncreasing(iterated, 'Iterator output');
+  
+  // Backpressure: nothing is generated until the consumer pulls
+  let clockReads = 0;
+  const counted = createTimestampGenerator({ clock: () => { clockReads++; return 1700000000000; } });
+  const lazy = timestampIterator({ generator: counted });
+  await lazy.next();
+  await lazy.next();
+  const readsAfterPulls = clockReads;
+  await new Promise(resolve => setTimeout(resolve, 10));
+  
+  if (clockReads !== readsAfterPulls) {
+    throw new Error('Iterator generated IDs without being pulled');
+  }
+  await lazy.return();
+  
+  // WHATWG ReadableStream keeps at most highWaterMark IDs queued (Node.js 18+)
+  const hasReadableStream = typeof ReadableStream === 'function';
+  const streamed = [];
+  if (hasReadableStream) {
+    clockReads = 0;
+    const stream = timestampStream({ count: 12000, generator: counted, highWaterMark: 8, encoding: 'hex' });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    
+    if (clockReads > 8) {
+      throw new Error(`ReadableStream generated ${clockReads} IDs ahead of the reader`);
+    }
+    
+    const reader = stream.getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      streamed.push(chunk.value);
+    }
+    
+    if (streamed.length !== 12000 || streamed.some(id => !encodings.hex.isValid(id))) {
+      throw new Error(`ReadableStream produced ${streamed.length} hex IDs`);
+    }
+    assertIncreasing(streamed, 'ReadableStream output');
+  }
+  
+  // Node.js Readable
+  const piped = [];
+  for await (const id of nodeTimestampStream({ count: 500, generator: frozen })) {
+    piped.push(id);
+  }
+  
+  if (piped.length !== 500 || decodeTimestamp48(piped[0]) <= iterated[iterated.length - 1]) {
+    throw new Error('Node Readable did not continue the generator sequence');
+  }
+  assertIncreasing(piped.map(id => decodeTimestamp48(id)), 'Node Readable output');
+  
+  // Bulk fill of a preallocated buffer
+  const buffer = new Uint8Array(2 + 20000 * 6);
+  const written = fillTimestamps48(buffer, 2);
+  const filled = [];
+  for (let offset = 2; offset < buffer.length; offset += 6) {
+    filled.push(readTimestamp48(buffer, offset));
+  }
+  
+  if (written !== 20000 || buffer[0] !== 0 || buffer[1] !== 0) {
+    throw new Error(`fillTimestamps48 wrote ${written} timestamps`);
+  }
+  assertIncreasing(filled, 'Filled buffer');
+  
+  const invalid = [
+    [() => fillTimestamps48(new Uint8Array(12), 0, 3), 'Offset out of range'],
+    [() => fillTimestamps48(new Uint8Array(12), 0, 0), 'positive integer'],
+    [() => fillTimestamps48([], 0), 'must be a Uint8Array'],
+    [() => timestampIterator({ count: -1 }), 'non-negative integer or Infinity'],
+    [() => timestampStream({ highWaterMark: 0 }), hasReadableStream ? 'highWaterMark' : 'ReadableStream is not available'],
+    [() => timestampIterator({ generator: {} }), 'createTimestampGenerator']
+  ];
+  
+  for (const [fn, expected] of invalid) {
+    try {
+      fn();
+      throw new Error(`Should have thrown: ${expected}`);
+    } catch (error) {
+      if (!error.message.includes(expected)) {
+        throw error;
+      }
+    }
+  }
+  
+  console.log(`  ✓ Async iterator: ${iterated.length} ordered IDs, lazy under backpressure`);
+  console.log(hasReadableStream
+    ? `  ✓ ReadableStream: ${streamed.length} hex IDs, highWaterMark respected`
+    : '  ⚠️  ReadableStream checks skipped (not available in this runtime)');
+  console.log(`  ✓ Node Readable: ${piped.length} IDs continuing the same sequence`);
+  console.log(`  ✓ fillTimestamps48: ${written} timestamps into a preallocated buffer`);
+});
+
+// Test 19: Shared options system
+runTest('Options System', () => {
+  const expectError = (fn, expected) => {
+    try {
+      fn();
+    } catch (error) {
+      if (!error.message.includes(expected)) {
+        throw error;
+      }
+      return;
+    }
+    throw new Error(`Should have thrown: ${expected}`);
+  };
+  
+  // The documented generateBatch(100, { unique: true }) example
+  const documented = generateBatch(100, { unique: true });
+  if (new Set(documented).size !== 100) {
+    throw new Error('unique: true produced duplicates');
+  }
+  
+  // Unknown keys are rejected everywhere
+  expectError(() => generateBatch(10, { unqiue: true }), 'Unknown option: unqiue');
+  expectError(() => generateTimestamp48({ fast: true }), 'Unknown option: fast');
+  expectError(() => createTimestampGenerator({ clok: Date.now }), 'Unknown option: clok');
+  expectError(() => decodeTimestamp48('AAAAAAAA', { unique: true }), 'Unknown option: unique');
+  expectError(() => generateUUIDv7({ encoding: 'hex' }), 'Unknown option: encoding');
+  expectError(() => timestampIterator({ size: 10 }), 'Unknown option: size');
+  
+  // unique: false keeps monotonic ordering but allows repeats; backward readings are held
+  let now = 1700000000000;
+  const generator = createTimestampGenerator({ clock: () => now, unique: false });
+  const repeated = generator.batch(3).map(id => decodeTimestamp48(id));
+  now -= 5;
+  const held = decodeTimestamp48(generator.generate());
+  if (repeated.some(ms => ms !== 1700000000000) || held !== 1700000000000) {
+    throw new Error(`unique: false produced ${repeated.join(', ')} then ${held}`);
+  }
+  
+  // Per-call unique bumps past the repeated value
+  const bumped = decodeTimestamp48(generator.generate({ unique: true }));
+  if (bumped !== 1700000000001) {
+    throw new Error(`Per-call unique produced ${bumped}`);
+  }
+  
+  expectError(() => createTimestampGenerator({ monotonic: false, unique: true }), 'requires monotonic');
+  expectError(() => createTimestampGenerator({ unique: true }).generate({ monotonic: false }), 'requires monotonic');
+  expectError(() => createTimestampGenerator({ unique: 'yes' }), 'Unique option must be a boolean');
+  
+  // Per-call encoding overrides the instance for one call
+  const later = generator.generate({ encoding: 'hex' });
+  if (!encodings.hex.isValid(later) || encodings.hex.decode(later) !== 1700000000001) {
+    throw new Error(`Per-call encoding produced ${later}`);
+  }
+  
+  // The clock is fixed per generator, so a foreign clock can never move the shared sequence
+  for (const call of [
+    () => generateTimestamp48({ clock: () => Date.UTC(2100, 0, 1) }),
+    () => generator.batch(2, { clock: () => 1000 }),
+    () => generator.generateWithCounter({ clock: () => 1000 }),
+    () => timestampIterator({ clock: () => 1000 })
+  ]) {
+    expectError(call, 'use createTimestampGenerator({ clock })');
+  }
+  if (decodeTimestamp48(generateTimestamp48()) > Date.now() + 60000) {
+    throw new Error('A rejected per-call clock moved the default generator');
+  }
+  
+  // Prefixes round-trip through generation, validation and decoding
+  const prefixed = createTimestampGenerator({ clock: () => now, prefix: 'evt_', encoding: 'base64sortable' });
+  const events = prefixed.batch(2);
+  const format = { prefix: 'evt_', encoding: 'base64sortable' };
+  
+  if (!events.every(id => id.startsWith('evt_') && id.length === 12 && isValidTimestamp(id, format))) {
+    throw new Error(`Prefixed batch invalid: ${events.join(', ')}`);
+  }
+  
+  if (decodeTimestamp48(events[0], format) !== now || encodeTimestamp48(now, format) !== events[0]) {
+    throw new Error(`Prefixed ID did not round-trip: ${events[0]}`);
+  }
+  
+  const counterId = prefixed.generateWithCounter({ prefix: 'ctr_' });
+  if (decodeTimestampWithCounter(counterId, { prefix: 'ctr_', encoding: 'base64sortable' }).counter !== 0 ||
+      !isValidTimestampWithCounter(counterId, { prefix: 'ctr_', encoding: 'base64sortable' })) {
+    throw new Error(`Prefixed counter ID invalid: ${counterId}`);
+  }
+  
+  if (isValidTimestamp(events[0]) || isValidTimestamp(events[0], { prefix: 'usr_', encoding: 'base64sortable' })) {
+    throw new Error('Prefixed IDs should not validate without their prefix');
+  }
+  
+  expectError(() => decodeTimestamp48(events[0], { prefix: 'usr_' }), 'must start with prefix');
+  expectError(() => createTimestampGenerator({ prefix: 'has space' }), 'Prefix must be');
+  
+  // Runtime metadata matches the declarations
+  if (!Object.isFrozen(MODULE_INFO) || MODULE_INFO.outputLength !== 8 || !MODULE_INFO.features.includes('options')) {
+    throw new Error('MODULE_INFO is missing or incomplete');
+  }
+  
+  console.log(`  ✓ generateBatch(100, { unique: true }): ${documented.length} distinct IDs`);
+  console.log('  ✓ Unknown option keys rejected by every entry point');
+  console.log('  ✓ unique: false holds the clock, per-call overrides apply to one call');
+  console.log(`  ✓ Prefixed IDs round-trip: ${events[0]}, ${counterId}`);
+});
+
+// Test 20: ts48 command-line tool
+await runAsyncTest('Command-line Interface', async () => {
+  const run = async (args, input = '') => {
+    const output = { stdout: '', stderr: '' };
+    const sink = name => new Writable({
+      write(chunk, encoding, callback) {
+        output[name] += chunk;
+        callback();
+      }
+    });
+    const code = await runCli(args, { stdin: Readable.from([input]), stdout: sink('stdout'), stderr: sink('stderr') });
+    return { code, ...output, lines: output.stdout.split('\n').filter(Boolean) };
+  };
+  
+  // gen streams past the batch limit
+  const generated = await run(['gen', '-n', '12000']);
+  if (generated.code !== 0 || generated.lines.length !== 12000 || !generated.lines.every(id => isValidTimestamp(id))) {
+    throw new Error(`gen produced ${generated.lines.length} lines (exit ${generated.code})`);
+  }
+  
+  const hex = await run(['gen', '-n', '2', '--encoding=hex', '--counter', '--json']);
+  const hexIds = hex.lines.map(line => JSON.parse(line).id);
+  if (hexIds.length !== 2 || !hexIds.every(id => isValidTimestampWithCounter(id, { encoding: 'hex' }))) {
+    throw new Error(`gen --json produced ${hex.stdout}`);
+  }
+  
+  // decode: plain is tab-separated, --json one object per line, invalid IDs exit 1
+  const id = generated.lines[0];
+  const decoded = await run(['decode', id]);
+  const [, iso, ms] = decoded.lines[0].split('\t');
+  if (decoded.code !== 0 || Number(ms) !== decodeTimestamp48(id) || iso !== new Date(Number(ms)).toISOString()) {
+    throw new Error(`decode printed ${decoded.stdout}`);
+  }
+  
+  const mixed = await run(['decode', '--json'], `${id}\nnot-an-id\n`);
+  const records = mixed.lines.map(line => JSON.parse(line));
+  if (mixed.code !== 1 || records.length !== 2 || !records[0].valid || records[1].valid ||
+      typeof records[0].ageMs !== 'number') {
+    throw new Error(`decode --json from stdin printed ${mixed.stdout} (exit ${mixed.code})`);
+  }
+  
+  // validate reads stdin line by line
+  const validated = await run(['validate'], `${id}\r\n\n${id.slice(1)}\n`);
+  if (validated.code !== 1 || validated.stdout !== `${id}\tvalid\n${id.slice(1)}\tinvalid\n`) {
+    throw new Error(`validate printed ${validated.stdout} (exit ${validated.code})`);
+  }
+  
+  const allValid = await run(['validate', '--json'], generated.lines.slice(0, 3).join('\n'));
+  if (allValid.code !== 0 || allValid.lines.length !== 3) {
+    throw new Error(`validate --json exited ${allValid.code}`);
+  }
+  
+  // encode reads ISO-8601 dates, where a bare 2024 is the year, and epoch milliseconds with --ms
+  const encoded = await run(['encode', '2001-09-09T01:46:40Z', '2024']);
+  const millis = await run(['encode', '--ms', '1000000000000']);
+  if (encoded.code !== 0 || encoded.stdout !== `AOjUpRAA\n${encodeTimestamp48(Date.UTC(2024, 0, 1))}\n` ||
+      millis.code !== 0 || millis.stdout !== 'AOjUpRAA\n') {
+    throw new Error(`encode printed ${encoded.stdout}${millis.stdout}`);
+  }
+  
+  const bareMs = await run(['encode', '1000000000000']);
+  const badMs = await run(['encode', '--ms', '2024-01-01']);
+  if (bareMs.code !== 1 || !bareMs.stderr.includes('pass --ms') || badMs.code !== 1 || !badMs.stderr.includes('--ms expects')) {
+    throw new Error(`encode of ambiguous input exited ${bareMs.code} and ${badMs.code}`);
+  }
+  
+  const badDate = await run(['encode', 'yesterday']);
+  if (badDate.code !== 1 || !badDate.stderr.includes('Invalid Date')) {
+    throw new Error(`encode of an invalid date exited ${badDate.code}`);
+  }
+  
+  // Usage errors exit 2
+  for (const args of [['gen', '--wat'], ['gen', '-n', '0'], ['frobnicate'], ['decode', '--encoding', 'base2'], ['gen', '-n']]) {
+    const result = await run(args);
+    if (result.code !== 2 || !result.stderr.startsWith('ts48: ')) {
+      throw new Error(`ts48 ${args.join(' ')} exited ${result.code}`);
+    }
+  }
+  
+  console.log(`  ✓ gen: ${generated.lines.length} IDs streamed, --json and --encoding supported`);
+  console.log(`  ✓ decode: ${decoded.lines[0]}`);
+  console.log('  ✓ validate and encode with exit code 1 on invalid input, 2 on usage errors');
+});
+
+// Test 21: Strict validation at API boundaries
+runTest('Strict Validation', () => {
+  const now = Date.now();
+  const id = encodeTimestamp48(now);
+  const farFuture = '________';  // 2^48 - 1, year 10889
+  const epoch = 'AAAAAAAA';      // 1970-01-01
+  
+  const rejects = (fn, ErrorClass, code) => {
+    try {
+      fn();
+    } catch (error) {
+      if (!(error instanceof ErrorClass) || error.code !== code) throw error;
+      return error;
+    }
+    throw new Error(`Expected ${ErrorClass.name} (${code})`);
+  };
+  
+  // Lenient by default: every well-formed ID decodes
+  if (decodeTimestamp48(farFuture) !== 2 ** 48 - 1 || !isValidTimestamp(farFuture) || !isValidTimestamp(epoch)) {
+    throw new Error('Default decode/validate should accept any well-formed ID');
+  }
+  
+  // strict: true applies the 2000-01-01 floor and a 5 minute future skew
+  if (decodeTimestamp48(id, { strict: true }) !== now || !isValidTimestamp(id, { strict: true })) {
+    throw new Error(`Current ID ${id} rejected in strict mode`);
+  }
+  
+  const future = rejects(() => decodeTimestamp48(farFuture, { strict: true }), TimestampRangeError, 'TIMESTAMP_OUT_OF_RANGE');
+  if (future.min !== Date.UTC(2000, 0, 1) || future.max < now || future.max > Date.now() + 5 * 60 * 1000) {
+    throw new Error(`Window reported as ${future.min}..${future.max}`);
+  }
+  rejects(() => decodeTimestamp48(epoch, { strict: true }), TimestampRangeError, 'TIMESTAMP_OUT_OF_RANGE');
+  
+  if (isValidTimestamp(farFuture, { strict: true }) || isValidTimestamp(epoch, { strict: true })) {
+    throw new Error('Implausible IDs should fail strict validation');
+  }
+  
+  // Explicit bounds, with or without strict
+  const hour = 60 * 60 * 1000;
+  const window = { notBefore: new Date(now - hour), notAfter: now + hour };
+  if (!isValidTimestamp(id, window) || isValidTimestamp(encodeTimestamp48(now - 2 * hour), window) ||
+      !isValidTimestamp(encodeTimestamp48(now + 4 * 60 * 1000), { maxFutureSkewMs: 5 * 60 * 1000 }) ||
+      isValidTimestamp(encodeTimestamp48(now + hour), { maxFutureSkewMs: 5 * 60 * 1000 })) {
+    throw new Error('notBefore/notAfter/maxFutureSkewMs not applied');
+  }
+  if (decodeTimestamp48(epoch, { strict: true, notBefore: 0 }) !== 0) {
+    throw new Error('Explicit notBefore should override the strict default');
+  }
+  
+  // Strict mode also requires the canonical spelling
+  const crockford = encodeTimestamp48(now, { encoding: 'base32crockford' });
+  const lowercase = crockford.toLowerCase();
+  if (decodeTimestamp48(lowercase, { encoding: 'base32crockford' }) !== now) {
+    throw new Error('Lowercase Crockford Base32 should decode leniently');
+  }
+  const alias = rejects(() => decodeTimestamp48(lowercase, { encoding: 'base32crockford', strict: true }),
+    InvalidTimestampError, 'NON_CANONICAL');
+  if (alias.index !== [...crockford].findIndex(char => /[A-Z]/.test(char)) ||
+      isValidTimestamp(lowercase, { encoding: 'base32crockford', strict: true })) {
+    throw new Error(`NON_CANONICAL reported at index ${alias.index}`);
+  }
+  
+  // Prefixes and forwarding helpers share the checks
+  const prefixed = `usr_${id}`;
+  if (!isValidTimestamp(prefixed, { prefix: 'usr_', strict: true }) || getTimestampAge(prefixed, { prefix: 'usr_', strict: true }) < 0) {
+    throw new Error('Strict mode should compose with prefixes');
+  }
+  rejects(() => toBytes(farFuture, { strict: true }), TimestampRangeError, 'TIMESTAMP_OUT_OF_RANGE');
+  
+  // Malformed windows are caller errors, even from isValidTimestamp
+  for (const options of [{ strict: 'yes' }, { maxFutureSkewMs: -1 }, { notBefore: now, notAfter: now - 1 }, { notAfter: new Date(NaN) }]) {
+    let threw = false;
+    try {
+      isValidTimestamp(id, options);
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error(`Invalid window accepted: ${JSON.stringify(options)}`);
+  }
+  
+  console.log(`  ✓ strict: ${farFuture} (year 10889) and ${epoch} (1970) rejected, ${id} accepted`);
+  console.log('  ✓ notBefore, notAfter and maxFutureSkewMs bound isValidTimestamp and decodeTimestamp48');
+  console.log(`  ✓ Non-canonical spelling ${lowercase} rejected with NON_CANONICAL at index ${alias.index}`);
+});
+
+// Test 22: Inspection and display formatting
+runTest('Inspection and Formatting', () => {
+  const id = 'AZkAqFyO';
+  const info = inspectTimestamp48(id);
+  
+  if (info.ms !== decodeTimestamp48(id) || info.date.getTime() !== info.ms || info.iso !== '2025-08-31T15:04:17.806Z' ||
+      info.encoding !== 'base64url' || info.isFuture || 'counter' in info) {
+    throw new Error(`Unexpected inspection: ${JSON.stringify(info)}`);
+  }
+  if (!(info.bytes instanceof Uint8Array) || fromBytes(info.bytes) !== id) {
+    throw new Error('Inspection bytes do not round-trip');
+  }
+  if (Math.abs(info.age - getTimestampAge(id)) > 50) {
+    throw new Error(`Age ${info.age} disagrees with getTimestampAge`);
+  }
+  
+  // Counter IDs, other encodings and prefixes
+  const counterId = `evt_${generateTimestampWithCounter({ encoding: 'hex' })}`;
+  const counterInfo = inspectTimestamp48(counterId, { counter: true, encoding: 'hex', prefix: 'evt_' });
+  const decoded = decodeTimestampWithCounter(counterId, { encoding: 'hex', prefix: 'evt_' });
+  if (counterInfo.counter !== decoded.counter || counterInfo.ms !== decoded.timestamp || counterInfo.encoding !== 'hex') {
+    throw new Error(`Unexpected counter inspection: ${JSON.stringify(counterInfo)}`);
+  }
+  
+  const future = inspectTimestamp48(encodeTimestamp48(Date.now() + 60000));
+  if (!future.isFuture || future.age >= 0) {
+    throw new Error('Future timestamps should report isFuture and a negative age');
+  }
+  
+  // Formatting goes through Intl.DateTimeFormat
+  const tokyo = formatTimestamp48(id, { timeZone: 'Asia/Tokyo', locale: 'en-US' });
+  const expected = new Intl.DateTimeFormat('en-US', { dateStyle: 'medium', timeStyle: 'medium', timeZone: 'Asia/Tokyo' })
+    .format(info.ms);
+  if (tokyo !== expected || !tokyo.startsWith('Sep 1, 2025')) {
+    throw new Error(`Formatted as ${tokyo}, expected ${expected}`);
+  }
+  
+  const custom = formatTimestamp48(id, { timeZone: 'UTC', locale: 'en-GB', format: { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' } });
+  if (custom !== '15:04') {
+    throw new Error(`Custom format gave ${custom}`);
+  }
+  
+  const shortUtc = formatTimestamp48(counterId, { counter: true, encoding: 'hex', prefix: 'evt_', timeZone: 'UTC', format: 'short' });
+  if (typeof shortUtc !== 'string' || shortUtc.length === 0) {
+    throw new Error('Counter IDs should format');
+  }
+  
+  for (const [fn, ErrorClass] of [
+    [() => formatTimestamp48(id, { format: 'huge' }), Error],
+    [() => formatTimestamp48(id, { timeZone: 'Mars/Olympus_Mons' }), RangeError],
+    [() => inspectTimestamp48(id, { counter: 'yes' }), Error],
+    [() => inspectTimestamp48(id, { timeZone: 'UTC' }), Error],
+    [() => inspectTimestamp48('AZkA*FyO'), InvalidTimestampError]
+  ]) {
+    let threw = false;
+    try {
+      fn();
+    } catch (error) {
+      if (!(error instanceof ErrorClass)) throw error;
+      threw = true;
+    }
+    if (!threw) throw new Error(`Expected ${ErrorClass.name} from ${fn}`);
+  }
+  
+  console.log(`  ✓ inspectTimestamp48('${id}'): ${info.iso}, bytes ${Array.from(info.bytes).join(',')}`);
+  console.log(`  ✓ Counter ID ${counterId}: counter ${counterInfo.counter}`);
+  console.log(`  ✓ formatTimestamp48 in Asia/Tokyo: ${tokyo}`);
+});
+
+// Test 23: Comparing and sorting encoded IDs
+runTest('Comparison and Sorting', () => {
+  // Times whose Base64URL string order differs from their time order
+  const times = [0, 1, 63, 64, 1000000000000, 1756653182094, 2 ** 47, 2 ** 48 - 1];
+  const shuffled = [5, 0, 7, 2, 6, 1, 4, 3].map(i => times[i]);
+  
+  for (const name of Object.keys(encodings)) {
+    const format = { encoding: name, prefix: 'id_' };
+    const ids = shuffled.map(ms => encodeTimestamp48(ms, format));
+    const sorted = sortTimestamps(ids, format).map(id => decodeTimestamp48(id, format));
+    
+    if (sorted.join() !== times.join()) {
+      throw new Error(`${name}: sorted to ${sorted.join()}`);
+    }
+    
+    for (const a of ids) {
+      for (const b of ids) {
+        const expected = Math.sign(decodeTimestamp48(a, format) - decodeTimestamp48(b, format));
+        if (Math.sign(compareTimestamp48(a, b, format)) !== expected) {
+          throw new Error(`${name}: compareTimestamp48(${a}, ${b}) disagrees with decoding`);
+        }
+      }
+    }
+  }
+  
+  if (['AAAAAAAz', 'AAAAAAA0'].sort()[0] !== 'AAAAAAA0' || !isBefore('AAAAAAAz', 'AAAAAAA0')) {
+    throw new Error('Base64URL should compare by value, not string order');
+  }
+  
+  // Case-insensitive digits and aliases compare like the canonical spelling
+  const crockford = { encoding: 'base32crockford' };
+  const canonical = encodeTimestamp48(1756653182094, crockford);
+  if (compareTimestamp48(canonical, canonical.toLowerCase(), crockford) !== 0 ||
+      compareTimestamp48('0000000001', '000000000I', crockford) !== 0) {
+    throw new Error('Crockford aliases should compare equal');
+  }
+  
+  // Differences, ordering predicates and ranges
+  const start = decodeTimestamp48(generateTimestamp48());
+  const earlier = encodeTimestamp48(start);
+  const later = encodeTimestamp48(start + 1500);
+  if (diffMs(later, earlier) !== 1500 || diffMs(earlier, later) !== -1500 ||
+      !isBefore(earlier, later) || isBefore(later, earlier) || !isAfter(later, earlier) || isAfter(earlier, earlier)) {
+    throw new Error('diffMs/isBefore/isAfter disagree');
+  }
+  
+  if (!inRange(earlier, earlier, later) || !inRange(later, new Date(start), start + 1500) ||
+      inRange(later, earlier, start + 1499) || inRange(earlier, BigInt(start + 1), later)) {
+    throw new Error('inRange should include both ends and nothing else');
+  }
+  
+  const hex = { encoding: 'hex', prefix: 'evt_' };
+  if (!inRange(encodeTimestamp48(start, hex), encodeTimestamp48(start - 1, hex), start, hex)) {
+    throw new Error('inRange should accept encoded bounds in the same format');
+  }
+  
+  // Malformed IDs are reported with the usual typed errors
+  for (const [a, b, code] of [['AAAAAAAA', 'AAAA*AAA', 'INVALID_CHAR'], ['AAAAAAA', 'AAAAAAAA', 'INVALID_LENGTH'], [42, 'AAAAAAAA', 'NOT_STRING']]) {
+    try {
+      compareTimestamp48(a, b);
+    } catch (error) {
+      if (!(error instanceof InvalidTimestampError) || error.code !== code) throw error;
+      continue;
+    }
+    throw new Error(`compareTimestamp48(${a}, ${b}) should throw ${code}`);
+  }
+  
+  console.log(`  ✓ sortTimestamps and compareTimestamp48 agree with decoding in ${Object.keys(encodings).length} encodings`);
+  console.log(`  ✓ diffMs(${later}, ${earlier}) = 1500, isBefore/isAfter/inRange consistent`);
+  console.log('  ✓ Case-insensitive digits and aliases compare as equal');
+});
+
+// Test 24: Node ID format across worker threads
+await runAsyncTest('Node ID Format', async () => {
+  // Layout: timestamp, then node ID and counter in one field
+  const generator = createTimestampGenerator({ nodeId: 1023, clock: () => 1756653182094 });
+  const ids = Array.from({ length: 3 }, () => generator.generateWithNode());
+  const decoded = ids.map(id => decodeTimestampWithNode(id));
+  
+  if (ids[0].length !== 12 || !ids[0].startsWith(encodeTimestamp48(1756653182094)) ||
+      decoded.some(({ timestamp, nodeId }, i) => timestamp !== 1756653182094 || nodeId !== 1023 || decoded[i].counter !== i)) {
+    throw new Error(`Unexpected node IDs: ${ids.join(', ')}`);
+  }
+  
+  // Other encodings, prefixes and node widths
+  const narrow = createTimestampGenerator({ nodeId: 5, nodeBits: 4, encoding: 'base32crockford', prefix: 'job_' });
+  const narrowId = narrow.generateWithNode();
+  const format = { encoding: 'base32crockford', prefix: 'job_', nodeBits: 4 };
+  if (decodeTimestampWithNode(narrowId, format).nodeId !== 5 || !isValidTimestampWithNode(narrowId, format) ||
+      isValidTimestampWithNode(narrowId, { ...format, nodeBits: 10 })) {
+    throw new Error(`Narrow node ID did not round-trip: ${narrowId}`);
+  }
+  
+  // Node IDs sort after the timestamp, so string order stays time order in sortable encodings
+  const sortable = [3, 1, 2].map(nodeId => createTimestampGenerator({ nodeId, encoding: 'base64sortable', clock: () => 1000 })
+    .generateWithNode());
+  if ([...sortable].sort().map(id => decodeTimestampWithNode(id, { encoding: 'base64sortable' }).nodeId).join() !== '1,2,3') {
+    throw new Error(`Sortable node IDs out of order: ${sortable.join(', ')}`);
+  }
+  
+  for (const [fn, expected] of [
+    [() => createTimestampGenerator({ nodeId: 1024 }), 'Node ID must be'],
+    [() => createTimestampGenerator({ nodeBits: 21 }), 'Node bits must be'],
+    [() => createTimestampGenerator({ nodeIdEnv: 'TS48_TEST_UNSET_NODE' }).generateWithNode(), 'TS48_TEST_UNSET_NODE'],
+    [() => decodeTimestampWithNode(`${ids[0].slice(0, 8)}____`), 'Invalid node field']
+  ]) {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes(expected)) throw new Error(`Expected "${expected}", got "${message}"`);
+  }
+  
+  // Several workers generating at the same time, each with its node ID from the environment
+  const workerSource = `
+    const { parentPort, workerData } = require('node:worker_threads');
+    import(workerData.moduleUrl).then(({ generateTimestampWithNode }) => {
+      const ids = [];
+      for (let i = 0; i < workerData.count; i++) ids.push(generateTimestampWithNode());
+      parentPort.postMessage(ids);
+    });
+  `;
+  const moduleUrl = new URL('./timestamp.js', import.meta.url).href;
+  const runWorker = nodeId => new Promise((resolve, reject) => {
+    const worker = new Worker(workerSource, {
+      eval: true,
+      env: { ...process.env, TS48_NODE_ID: String(nodeId) },
+      workerData: { moduleUrl, count: 5000 }
+    });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+  });
+  
+  const workerIds = (await Promise.all([1, 2, 3, 4].map(runWorker))).flat();
+  const unique = new Set(workerIds);
+  if (workerIds.length !== 20000 || unique.size !== workerIds.length) {
+    throw new Error(`${workerIds.length - unique.size} collisions among ${workerIds.length} worker IDs`);
+  }
+  
+  const nodesPerMs = new Map();
+  for (const id of workerIds) {
+    const { timestamp, nodeId } = decodeTimestampWithNode(id);
+    if (!nodesPerMs.has(timestamp)) nodesPerMs.set(timestamp, new Set());
+    nodesPerMs.get(timestamp).add(nodeId);
+  }
+  const sharedMs = [...nodesPerMs.values()].filter(nodes => nodes.size > 1).length;
+  
+  console.log(`  ✓ Layout: ${ids[0]} = timestamp + node 1023 + counter`);
+  console.log(`  ✓ ${workerIds.length} IDs from 4 workers, 0 collisions, ${sharedMs} milliseconds shared by several workers`);
+});
+
+// Test 25: Monotonic state shared across worker threads
+await runAsyncTest('Shared State Across Workers', async () => {
+  // Generators sharing state behave like one generator
+  const state = createSharedTimestampState();
+  const clock = () => 1756653182094;
+  const first = createTimestampGenerator({ sharedState: state, clock });
+  const second = createTimestampGenerator({ sharedState: state, clock });
+  const isolated = createTimestampGenerator({ clock });
+  
+  const issued = [first.generate(), second.generate(), first.generate(), isolated.generate()].map(id => decodeTimestamp48(id));
+  if (issued.join() !== [1756653182094, 1756653182095, 1756653182096, 1756653182094].join()) {
+    throw new Error(`Shared timestamps: ${issued.join()}`);
+  }
+  
+  const counters = [first, second, first].map(generator => decodeTimestampWithCounter(generator.generateWithCounter()).counter);
+  if (counters.join() !== '0,1,2') {
+    throw new Error(`Shared counters: ${counters.join()}`);
+  }
+  
+  const held = createTimestampGenerator({ sharedState: state, clock, unique: false });
+  if (decodeTimestamp48(held.generate()) !== 1756653182096) {
+    throw new Error('unique: false should hold at the shared last timestamp');
+  }
+  
+  for (const sharedState of [new ArrayBuffer(16), new SharedArrayBuffer(8), 'state']) {
+    let threw = false;
+    try {
+      createTimestampGenerator({ sharedState });
+    } catch (error) {
+      threw = error.message.includes('createSharedTimestampState');
+    }
+    if (!threw) throw new Error(`Invalid sharedState accepted: ${sharedState}`);
+  }
+  
+  // Workers generating concurrently from one shared buffer
+  const workerSource = `
+    const { parentPort, workerData } = require('node:worker_threads');
+    import(workerData.moduleUrl).then(({ createTimestampGenerator }) => {
+      const generator = createTimestampGenerator({ sharedState: workerData.sharedState });
+      const ids = [];
+      const counterIds = [];
+      for (let i = 0; i < workerData.count; i++) {
+        ids.push(generator.generate());
+        counterIds.push(generator.generateWithCounter());
+      }
+      parentPort.postMessage({ ids, counterIds });
+    });
+  `;
+  const sharedState = createSharedTimestampState();
+  const moduleUrl = new URL('./timestamp.js', import.meta.url).href;
+  const runWorker = () => new Promise((resolve, reject) => {
+    const worker = new Worker(workerSource, { eval: true, workerData: { moduleUrl, sharedState, count: 5000 } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+  });
+  
+  const results = await Promise.all([1, 2, 3, 4].map(runWorker));
+  const timestamps = results.flatMap(({ ids }) => ids.map(id => decodeTimestamp48(id)));
+  const counterIds = results.flatMap(({ counterIds }) => counterIds);
+  
+  if (new Set(timestamps).size !== 20000 || new Set(counterIds).size !== 20000) {
+    throw new Error(`Duplicates across workers: ${20000 - new Set(timestamps).size} timestamps, ${20000 - new Set(counterIds).size} counter IDs`);
+  }
+  
+  for (const { ids } of results) {
+    for (let i = 1; i < ids.length; i++) {
+      if (decodeTimestamp48(ids[i]) <= decodeTimestamp48(ids[i - 1])) {
+        throw new Error(`Worker IDs not increasing at ${i}: ${ids[i - 1]}, ${ids[i]}`);
+      }
+    }
+  }
+  
+  const after = decodeTimestamp48(createTimestampGenerator({ sharedState }).generate());
+  if (after <= Math.max(...timestamps)) {
+    throw new Error('A new generator on the shared state should continue after every worker');
+  }
+  
+  console.log(`  ✓ Two generators on one state: ${issued.slice(0, 3).join(', ')}; counters ${counters.join(', ')}`);
+  console.log(`  ✓ 4 workers x 5000: ${timestamps.length} distinct timestamps and ${counterIds.length} distinct counter IDs`);
+});
+
+// Test 26: Persisted high-water mark across restarts
+runTest('Persistence Across Restarts', () => {
+  let stored;
+  let saves = 0;
+  const store = {
+    load: () => stored,
+    save: reservedUntil => {
+      stored = reservedUntil;
+      saves++;
+    }
+  };
+  
+  // The common path saves once per window, not once per ID
+  let now = 1756653182094;
+  const before = createTimestampGenerator({ persistence: store, persistenceWindowMs: 5000, clock: () => now });
+  const issued = before.batch(1000);
+  now += 100;
+  issued.push(...before.batch(1000), before.generateWithCounter());
+  
+  const lastIssued = Math.max(...issued.map(id => id.length === 10 ? decodeTimestampWithCounter(id).timestamp : decodeTimestamp48(id)));
+  if (saves !== 1 || stored <= lastIssued) {
+    throw new Error(`Expected one save above ${lastIssued}, got ${saves} saves of ${stored}`);
+  }
+  
+  // A restart with the clock stepped back resumes above everything issued before
+  now -= 60000;
+  const bound = stored;
+  const windowSaves = saves;
+  const after = createTimestampGenerator({ persistence: store, clock: () => now });
+  const resumed = decodeTimestamp48(after.generate());
+  const resumedCounter = decodeTimestampWithCounter(after.generateWithCounter());
+  if (resumed <= lastIssued || resumed !== bound || resumedCounter.timestamp !== bound || resumedCounter.counter !== 0) {
+    throw new Error(`Resumed at ${resumed} / ${resumedCounter.timestamp}, last issued ${lastIssued}`);
+  }
+  
+  // A failed save blocks the ID instead of risking a reissue after a crash
+  const failing = createTimestampGenerator({
+    persistence: { load: () => undefined, save: () => { throw new Error('disk full'); } }
+  });
+  let blocked = false;
+  try {
+    failing.generate();
+  } catch (error) {
+    blocked = error.message === 'disk full';
+  }
+  if (!blocked) throw new Error('A failing save should surface from generate()');
+  
+  for (const options of [
+    { persistence: { load: () => 0 } },
+    { persistence: { load: () => -1, save() {} } },
+    { persistence: store, persistenceWindowMs: 1.5 },
+    { persistence: store, sharedState: createSharedTimestampState() }
+  ]) {
+    let threw = false;
+    try {
+      createTimestampGenerator(options);
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error(`Invalid persistence options accepted: ${Object.keys(options).join(', ')}`);
+  }
+  
+  // File store: missing file, save, restart
+  const dir = mkdtempSync(join(tmpdir(), 'ts48-'));
+  try {
+    const path = join(dir, 'state');
+    const fileStore = createFileTimestampStore(path);
+    if (fileStore.load() !== undefined) throw new Error('A missing state file should load as undefined');
+    
+    const first = createTimestampGenerator({ persistence: fileStore });
+    const firstId = decodeTimestamp48(first.generate());
+    const saved = Number(readFileSync(path, 'utf8'));
+    if (!(saved > firstId) || createFileTimestampStore(path).load() !== saved) {
+      throw new Error(`State file holds ${saved} after issuing ${firstId}`);
+    }
+    
+    const restarted = createTimestampGenerator({ persistence: createFileTimestampStore(path), clock: () => firstId - 1000 });
+    if (decodeTimestamp48(restarted.generate()) !== saved) {
+      throw new Error('Restarted generator should resume at the saved bound');
+    }
+    console.log(`  ✓ File store: issued ${firstId}, saved ${saved}, resumed at ${saved} after a 1s clock step back`);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log(`  ✓ 2001 IDs in one window: ${windowSaves} save`);
+  console.log(`  ✓ Restart 60s in the past resumed at ${resumed} > ${lastIssued}`);
+});
+
+// Test 27: Typed, prefixed entity IDs
+runTest('Prefixed Entity IDs', () => {
+  const users = createPrefixedId('usr');
+  const orders = createPrefixedId('ord', { separator: '-', encoding: 'base32crockford' });
+  
+  const userId = users.generate();
+  const orderId = orders.generate();
+  if (!/^usr_[A-Za-z0-9_-]{8}$/.test(userId) || !/^ord-[0-9A-Z]{10}$/.test(orderId) ||
+      users.prefix !== 'usr_' || orders.type !== 'ord' || !Object.isFrozen(users)) {
+    throw new Error(`Unexpected prefixed IDs: ${userId}, ${orderId}`);
+  }
+  
+  // Decoding and validation check the prefix; the shared generator keeps IDs monotonic
+  if (users.decode(userId) !== decodeTimestamp48(userId.slice(4)) || orders.decode(orderId) <= users.decode(userId) ||
+      !users.isValid(userId) || !orders.isValid(orderId) || users.isValid(orderId) || orders.isValid(userId) ||
+      users.isValid(userId.slice(4)) || users.isValid(`usr-${userId.slice(4)}`)) {
+    throw new Error('Prefix checks failed');
+  }
+  
+  let wrongType;
+  try {
+    users.decode(`ord_${userId.slice(4)}`);
+  } catch (error) {
+    wrongType = error;
+  }
+  if (!(wrongType instanceof InvalidTimestampError) || wrongType.code !== 'INVALID_CHAR') {
+    throw new Error('Decoding another type should throw INVALID_CHAR');
+  }
+  
+  // Strict options pass through; instances and clocks come from the generator option
+  const fixed = createPrefixedId('evt', { generator: createTimestampGenerator({ clock: () => 1000 }) });
+  const old = fixed.generate();
+  if (fixed.decode(old) !== 1000 || fixed.isValid(old, { strict: true }) || !users.isValid(userId, { strict: true })) {
+    throw new Error('Window options should apply to prefixed IDs');
+  }
+  
+  for (const [fn, expected] of [
+    [() => createPrefixedId(''), 'ID type'],
+    [() => createPrefixedId('us r'), 'ID type'],
+    [() => createPrefixedId('usr', { separator: ' ' }), 'Prefix must be'],
+    [() => createPrefixedId('usr', { prefix: 'x' }), 'Unknown option'],
+    [() => users.decode(userId, { prefix: 'x' }), 'Unknown option']
+  ]) {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes(expected)) throw new Error(`Expected "${expected}", got "${message}"`);
+  }
+  
+  console.log(`  ✓ ${userId} and ${orderId} generated, decoded and validated by type`);
+  console.log('  ✓ Wrong types, missing prefixes and separators rejected');
+});
+
+runTest('Random Suffix', () => {
+  const clock = () => 1700000000000;
+  const generator = createTimestampGenerator({ clock, unique: false });
+  
+  // The suffix carries at least randomBytes * 8 bits in the ID's own alphabet
+  for (const [encoding, length] of [['base64url', 14], ['base32crockford', 17], ['hex', 20], ['base58', 15]]) {
+    const id = generator.generate({ encoding, randomBytes: 4 });
+    if (id.length !== length || !isValidTimestamp(id, { encoding, randomBytes: 4 }) ||
+        decodeTimestamp48(id, { encoding, randomBytes: 4 }) !== 1700000000000) {
+      throw new Error(`Unexpected ${encoding} ID with random suffix: ${id}`);
+    }
+  }
+  
+  // IDs from the same millisecond share the time but not the suffix
+  const ids = generator.batch(1000, { randomBytes: 8 });
+  if (new Set(ids).size !== 1000 || new Set(ids.map(id => id.slice(0, 8))).size !== 1) {
+    throw new Error('Random suffixes should differ within one millisecond');
+  }
+  
+  // The length must match, so plain IDs and other suffix lengths are rejected
+  const plain = generator.generate();
+  if (isValidTimestamp(ids[0]) || isValidTimestamp(plain, { randomBytes: 8 }) ||
+      isValidTimestamp(ids[0], { randomBytes: 4 }) || isValidTimestamp(`${ids[0].slice(0, 13)}!${ids[0].slice(14)}`, { randomBytes: 8 })) {
+    throw new Error('Random suffix length and alphabet should be checked');
+  }
+  
+  let wrongLength;
+  try {
+    decodeTimestamp48(plain, { randomBytes: 8 });
+  } catch (error) {
+    wrongLength = error;
+  }
+  if (!(wrongLength instanceof InvalidTimestampError) || wrongLength.code !== 'INVALID_LENGTH') {
+    throw new Error('Decoding without the suffix should throw INVALID_LENGTH');
+  }
+  
+  // Counter and node formats and prefixed IDs put the suffix last
+  const counterId = generator.generateWithCounter({ prefix: 'k-', randomBytes: 6 });
+  const nodeId = createTimestampGenerator({ clock, nodeId: 7 }).generateWithNode({ randomBytes: 6 });
+  const { timestamp, counter } = decodeTimestampWithCounter(counterId, { prefix: 'k-', randomBytes: 6 });
+  const node = decodeTimestampWithNode(nodeId, { randomBytes: 6 });
+  if (counterId.length !== 20 || timestamp !== 1700000000000 || counter !== 0 ||
+      !isValidTimestampWithCounter(counterId, { prefix: 'k-', randomBytes: 6 }) || isValidTimestampWithCounter(counterId, { prefix: 'k-' }) ||
+      nodeId.length !== 20 || node.nodeId !== 7 || !isValidTimestampWithNode(nodeId, { randomBytes: 6 })) {
+    throw new Error(`Unexpected counter or node IDs with random suffix: ${counterId}, ${nodeId}`);
+  }
+  
+  const sessions = createPrefixedId('ses', { randomBytes: 16 });
+  const sessionId = sessions.generate();
+  if (sessionId.length !== 34 || !sessions.isValid(sessionId) || sessions.isValid(sessionId.slice(0, 12)) ||
+      sessions.decode(sessionId) !== decodeTimestamp48(sessionId.slice(4, 12))) {
+    throw new Error(`Unexpected prefixed ID with random suffix: ${sessionId}`);
+  }
+  
+  const opaque = { length: 8, encode: encodings.hex.encode, decode: encodings.hex.decode, isValid: encodings.hex.isValid };
+  for (const [fn, expected] of [
+    [() => generateTimestamp48({ randomBytes: 33 }), 'randomBytes must be'],
+    [() => generateTimestamp48({ randomBytes: 1.5 }), 'randomBytes must be'],
+    [() => createTimestampGenerator({ randomBytes: -1 }), 'randomBytes must be'],
+    [() => generateTimestamp48({ encoding: opaque, randomBytes: 4 }), 'alphabet-based encoding'],
+    [() => sessions.decode(sessionId, { randomBytes: 0 }), 'Unknown option']
+  ]) {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes(expected)) throw new Error(`Expected "${expected}", got "${message}"`);
+  }
+  
+  console.log(`  ✓ ${ids[0]} and ${ids[1]}: same millisecond, different suffixes`);
+  console.log(`  ✓ Counter, node and prefixed formats: ${counterId}, ${nodeId}, ${sessionId}`);
+  console.log('  ✓ Suffix length, alphabet and option values checked');
+});
+
+await runAsyncTest('Keyed IDs', async () => {
+  const secret = Uint8Array.from({ length: 32 }, (_, i) => i);
+  const current = await createTimestampKey(secret, { id: 'k1' });
+  
+  // Test vectors: HMAC-SHA-256 key expansion, 8-round Feistel permutation, Base64URL
+  for (const [ms, expected] of [
+    [0, 'k1Dlbcb3rs'],
+    [1, 'k1fWcS-wyr'],
+    [1700000000000, 'k1WFCFMcYQ'],
+    [2 ** 48 - 1, 'k1ILREOtKA']
+  ]) {
+    const id = encodeTimestamp48(ms, { key: current });
+    if (id !== expected || decodeTimestamp48(id, { key: current }) !== ms) {
+      throw new Error(`Test vector ${ms}: expected ${expected}, got ${id}`);
+    }
+  }
+  
+  // Neighbouring timestamps no longer look alike, but every ID decodes back
+  const generator = createTimestampGenerator({ key: current, clock: () => 1700000000000 });
+  const ids = generator.batch(1000);
+  const decoded = ids.map(id => decodeTimestamp48(id, { key: current }));
+  if (decoded.some((ms, i) => ms !== 1700000000000 + i) || ids.some(id => !id.startsWith('k1') || id.length !== 10) ||
+      ids.slice(0, 10).map(id => id.slice(2, 6)).every(head => head === ids[0].slice(2, 6))) {
+    throw new Error('Keyed IDs should round-trip and hide their order');
+  }
+  
+  // Rotation: new IDs use the new key; a keyring decodes both by key ID
+  const next = await createTimestampKey('a new secret of at least 16 bytes', { id: 'k2' });
+  const rotated = generator.generate({ key: next, encoding: 'base32crockford', prefix: 'ord_' });
+  const keyring = [next, current];
+  if (!rotated.startsWith('ord_k2') || decodeTimestamp48(rotated, { key: keyring, encoding: 'base32crockford', prefix: 'ord_' }) !== 1700000000000 + 1000 ||
+      decodeTimestamp48(ids[0], { key: keyring }) !== 1700000000000 || !isValidTimestamp(ids[1], { key: keyring }) ||
+      isValidTimestamp(ids[1], { key: next }) || isValidTimestamp(ids[1]) || isValidTimestamp(ids[1].slice(2), { key: current })) {
+    throw new Error('Keyrings should select the key by key ID');
+  }
+  
+  let unknown;
+  try {
+    decodeTimestamp48(ids[0], { key: next });
+  } catch (error) {
+    unknown = error;
+  }
+  if (!(unknown instanceof InvalidTimestampError) || unknown.code !== 'UNKNOWN_KEY' || unknown.keyId !== 'k1') {
+    throw new Error('Decoding with the wrong key should throw UNKNOWN_KEY');
+  }
+  
+  // Windows and random suffixes apply to the decoded time; prefixed IDs take a key too
+  const users = createPrefixedId('usr', { key: current, randomBytes: 4 });
+  const userId = users.generate();
+  if (!/^usr_k1[A-Za-z0-9_-]{14}$/.test(userId) || !users.isValid(userId, { strict: true }) ||
+      isValidTimestamp(ids[0], { key: current, notAfter: 1699999999999 }) || !isValidTimestamp(ids[0], { key: current, notBefore: 1700000000000 })) {
+    throw new Error(`Unexpected windows or prefixed keyed ID: ${userId}`);
+  }
+  
+  for (const [fn, expected] of [
+    [() => generator.generateWithCounter(), 'cannot be keyed'],
+    [() => generateTimestamp48({ key: keyring }), 'single key'],
+    [() => decodeTimestamp48(ids[0], { key: [current, current] }), 'Duplicate key ID'],
+    [() => decodeTimestamp48(ids[0], { key: {} }), 'createTimestampKey'],
+    [() => decodeTimestamp48(ids[0], { key: [] }), 'at least one key']
+  ]) {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes(expected)) throw new Error(`Expected "${expected}", got "${message}"`);
+  }
+  
+  for (const [args, expected] of [
+    [['short secret', { id: 'k3' }], 'at least 16 bytes'],
+    [[secret, { id: 'k-3' }], 'Key ID'],
+    [[secret], 'Key ID'],
+    [[42, { id: 'k3' }], 'Secret must be']
+  ]) {
+    let message = '';
+    try {
+      await createTimestampKey(...args);
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes(expected)) throw new Error(`Expected "${expected}", got "${message}"`);
+  }
+  
+  console.log(`  ✓ Test vectors match; ${ids[0]}, ${ids[1]}, ${ids[2]} are consecutive milliseconds`);
+  console.log(`  ✓ Rotation: ${rotated} and ${ids[0]} decoded through one keyring`);
+  console.log('  ✓ Unknown keys, counter formats and invalid secrets rejected');
+});
+
+await runAsyncTest('Signed Timestamp Tokens', async () => {
+  const secret = Uint8Array.from({ length: 32 }, (_, i) => i);
+  const generator = createTimestampGenerator({ clock: () => 1700000000000 });
+  
+  // Test vector: Base64URL of the 6 timestamp bytes and HMAC-SHA-256('ts48 token v1' || bytes)[0..18)
+  const token = await signTimestamp48(secret, { generator });
+  const at = ms => ({ clock: () => ms });
+  if (token !== 'AYvP5WgA5bwzCKhF82tUZjEAMa9eDtMT' || decodeTimestamp48(token.slice(0, 8)) !== 1700000000000 ||
+      await verifyTimestamp48(token, secret, { ...at(1700000000500), maxAgeMs: 1000 }) !== 1700000000000) {
+    throw new Error(`Unexpected token: ${token}`);
+  }
+  
+  // A CryptoKey avoids importing the secret on every call
+  const cryptoKey = await crypto.subtle.importKey('raw', secret, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const fresh = await signTimestamp48(cryptoKey);
+  if (fresh.length !== 32 || await verifyTimestamp48(fresh, secret, { maxFutureSkewMs: Infinity }) !== decodeTimestamp48(fresh.slice(0, 8))) {
+    throw new Error('CryptoKeys and raw secrets should be interchangeable');
+  }
+  
+  const rejection = async (promise) => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+  
+  // Any change to the timestamp or MAC, or another key, fails the signature check
+  const flip = (value, index) => value.slice(0, index) + (value[index] === 'A' ? 'B' : 'A') + value.slice(index + 1);
+  for (const [candidate, key] of [
+    [flip(token, 7), secret],
+    [flip(token, 31), secret],
+    [`${encodeTimestamp48(Date.now())}${token.slice(8)}`, secret],
+    [token, 'another secret of 16+ bytes']
+  ]) {
+    const error = await rejection(verifyTimestamp48(candidate, key, at(1700000000000)));
+    if (!(error instanceof TokenVerificationError) || error.code !== 'BAD_SIGNATURE' || error.timestamp !== undefined) {
+      throw new Error(`Expected BAD_SIGNATURE for ${candidate}, got ${error?.code}`);
+    }
+  }
+  
+  const expired = await rejection(verifyTimestamp48(token, secret, { ...at(1700000060000), maxAgeMs: 30000 }));
+  const future = await rejection(verifyTimestamp48(token, secret, at(1700000000000 - 300001)));
+  const skewed = await verifyTimestamp48(token, secret, { ...at(1699999999000), maxFutureSkewMs: 1000 });
+  if (expired?.code !== 'EXPIRED' || expired.ageMs !== 60000 || expired.timestamp !== 1700000000000 ||
+      future?.code !== 'FUTURE_DATED' || future.ageMs !== -300001 || skewed !== 1700000000000) {
+    throw new Error('Expiry and future-dating checks failed');
+  }
+  
+  const malformed = await rejection(verifyTimestamp48(token.slice(0, 8), secret));
+  const badChar = await rejection(verifyTimestamp48(`${token.slice(0, 31)}=`, secret));
+  if (!(malformed instanceof InvalidTimestampError) || malformed.code !== 'INVALID_LENGTH' ||
+      badChar?.code !== 'INVALID_CHAR' || badChar.index !== 31) {
+    throw new Error('Malformed tokens should throw InvalidTimestampError');
+  }
+  
+  const verifyKey = await crypto.subtle.importKey('raw', secret, { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']);
+  for (const [promise, expected] of [
+    [signTimestamp48('too short'), 'at least 16 bytes'],
+    [signTimestamp48(secret, { clock: Date.now }), 'Unknown option'],
+    [signTimestamp48(verifyKey), 'sign usage'],
+    [verifyTimestamp48(token, secret, { maxAgeMs: -1 }), 'maxAgeMs'],
+    [verifyTimestamp48(token, 42), 'Secret must be']
+  ]) {
+    const error = await rejection(promise);
+    if (!error?.message.includes(expected)) throw new Error(`Expected "${expected}", got "${error?.message}"`);
+  }
+  
+  console.log(`  ✓ ${token} matches the test vector and verifies`);
+  console.log('  ✓ Tampered, re-dated and foreign-key tokens fail with BAD_SIGNATURE');
+  console.log('  ✓ EXPIRED, FUTURE_DATED and malformed tokens rejected with typed errors');
+});
+
+runTest('Time Buckets and Partition Keys', () => {
+  const time = Date.UTC(2025, 0, 15, 13, 45, 12, 345);
+  const id = encodeTimestamp48(time);
+  
+  // Buckets are aligned to the Unix epoch: minutes, hours and UTC days
+  for (const [unit, start] of [
+    ['minute', Date.UTC(2025, 0, 15, 13, 45)],
+    ['hour', Date.UTC(2025, 0, 15, 13)],
+    ['day', Date.UTC(2025, 0, 15)],
+    [15 * 60 * 1000, Date.UTC(2025, 0, 15, 13, 45)],
+    [7 * 24 * 60 * 60 * 1000, Date.UTC(2025, 0, 9)]
+  ]) {
+    const bucket = bucketOf(id, unit);
+    if (bucket.start !== start || bucket.boundary !== minForTime(start) || bucketOf(time, unit).start !== start) {
+      throw new Error(`bucketOf(${id}, ${unit}) returned ${JSON.stringify(bucket)}`);
+    }
+  }
+  
+  // Counter-format and prefixed IDs keep their format in the boundary
+  const counterFormat = { encoding: 'base32crockford', prefix: 'ev_', counter: true };
+  const counterId = minForTime(time, counterFormat);
+  const counterBucket = bucketOf(counterId, 'day', counterFormat);
+  if (counterBucket.start !== Date.UTC(2025, 0, 15) || counterBucket.boundary !== minForTime(Date.UTC(2025, 0, 15), counterFormat)) {
+    throw new Error(`Unexpected counter-format bucket: ${JSON.stringify(counterBucket)}`);
+  }
+  
+  // Every bucket that overlaps the range, in order, lazily
+  const hours = [...bucketsBetween(time, Date.UTC(2025, 0, 15, 16), 'hour', { encoding: 'base32crockford' })];
+  if (hours.length !== 4 || hours[0].start !== Date.UTC(2025, 0, 15, 13) || hours[3].start !== Date.UTC(2025, 0, 15, 16) ||
+      hours.some((bucket, i) => i > 0 && !(bucket.boundary > hours[i - 1].boundary)) ||
+      [...bucketsBetween(Date.UTC(2025, 0, 16), time, 'day')].length !== 0) {
+    throw new Error(`Unexpected hourly buckets: ${JSON.stringify(hours)}`);
+  }
+  
+  const days = bucketsBetween(0, 2 ** 48 - 1, 'day');
+  if (days.next().value.start !== 0 || days.next().value.start !== 86400000) {
+    throw new Error('bucketsBetween should produce buckets on demand');
+  }
+  
+  // The prefix is shared by the first and last millisecond of the bucket, and is the longest such
+  for (const encoding of Object.keys(encodings)) {
+    for (const [unit, size] of [['minute', 60000], ['hour', 3600000], ['day', 86400000], [1000, 1000]]) {
+      const format = { encoding, prefix: 'k/' };
+      const prefix = prefixForBucket(time, unit, format);
+      const { start } = bucketOf(time, unit);
+      const first = encodeTimestamp48(start, format);
+      const last = encodeTimestamp48(start + size - 1, format);
+      if (!first.startsWith(prefix) || !last.startsWith(prefix) || first[prefix.length] === last[prefix.length] ||
+          !encodeTimestamp48(time, format).startsWith(prefix)) {
+        throw new Error(`${encoding}: prefix ${prefix} does not cover ${first}..${last}`);
+      }
+    }
+  }
+  
+  if (prefixForBucket(id, 'day') !== 'AZR' || prefixForBucket(id, 'minute') !== 'AZRqN' ||
+      prefixForBucket(time, 'hour', { encoding: 'hex' }) !== '01946a' || prefixForBucket(2 ** 48 - 1, 'day') !== '___') {
+    throw new Error('Unexpected bucket prefixes');
+  }
+  
+  const opaque = { length: 8, encode: encodings.hex.encode, decode: encodings.hex.decode, isValid: encodings.hex.isValid };
+  for (const [fn, expected] of [
+    [() => bucketOf(id, 'week'), 'Bucket unit'],
+    [() => bucketOf(id, 0), 'Bucket unit'],
+    [() => bucketsBetween(id, 'invalid', 'hour'), 'Invalid timestamp length'],
+    [() => prefixForBucket(time, 'hour', { encoding: opaque }), 'alphabet-based encoding'],
+    [() => bucketOf(id, 'hour', { strict: true }), 'Unknown option']
+  ]) {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes(expected)) throw new Error(`Expected "${expected}", got "${message}"`);
+  }
+  
+  console.log(`  ✓ ${id}: hour bucket ${bucketOf(id, 'hour').boundary}, day prefix ${prefixForBucket(id, 'day')}`);
+  console.log(`  ✓ ${hours.length} hourly partitions enumerated; prefixes cover every encoding`);
+});
+
+runTest('Custom Epoch and Bit Width', () => {
+  const epoch = Date.UTC(2020, 0, 1);
+  const time = Date.UTC(2024, 5, 1);
+  
+  // 42 bits from 2020 fit in 7 Base64URL characters, 36 bits in 6
+  const generator = createTimestampGenerator({ epoch, bits: 42, clock: () => time });
+  const id = generator.generate();
+  if (id !== 'CBysawA' || decodeTimestamp48(id, { epoch, bits: 42 }) !== time) {
+    throw new Error(`Unexpected 42-bit ID: ${id}`);
+  }
+  
+  const short = encodeTimestamp48(Date.UTC(2020, 8, 13, 12, 26, 40), { epoch, bits: 36 });
+  if (short !== 'UpB5gA' || !isValidTimestamp(short, { epoch, bits: 36 }) || isValidTimestamp(short)) {
+    throw new Error(`Unexpected 36-bit ID: ${short}`);
+  }
+  
+  // Every encoding and format derives its length from the bit width
+  const hex = generator.generate({ encoding: 'hex' });
+  const counterId = generator.generateWithCounter();
+  const counter = decodeTimestampWithCounter(counterId, { epoch, bits: 42 });
+  if (hex !== '02072b1ac01' || counterId.length !== 9 || counter.timestamp !== time) {
+    throw new Error(`Unexpected IDs: ${hex}, ${counterId}`);
+  }
+  
+  const orders = createPrefixedId('ord', { epoch, bits: 42, generator });
+  const orderId = orders.generate();
+  if (orderId.length !== 11 || orders.decode(orderId) !== time + 2 ||
+      minForTime(time, { epoch, bits: 42 }) !== 'CBysawA' || bucketOf(epoch + 5, 'day', { epoch: epoch + 3, bits: 42 }).boundary !== 'AAAAAAA') {
+    throw new Error(`Unexpected prefixed ID or bounds: ${orderId}`);
+  }
+  
+  // The horizon is computable, and generators fail clearly once the clock passes it
+  const horizon = getTimestampHorizon({ epoch, bits: 36 });
+  if (horizon !== 1646556276735 || getTimestampHorizon({ epoch, bits: 42 }) !== 5975883311103 ||
+      getTimestampHorizon() !== 2 ** 48 - 1 || getTimestampHorizon({ epoch: 2 ** 47 }) !== 2 ** 48 - 1) {
+    throw new Error(`Unexpected horizon: ${horizon}`);
+  }
+  
+  if (encodeTimestamp48(horizon, { epoch, bits: 36 }) !== '______') {
+    throw new Error('The horizon should encode as the largest ID');
+  }
+  
+  let rangeError = null;
+  try {
+    createTimestampGenerator({ epoch, bits: 36, clock: () => horizon + 1 }).generate();
+  } catch (error) {
+    rangeError = error;
+  }
+  if (!(rangeError instanceof TimestampRangeError) || rangeError.min !== epoch || rangeError.max !== horizon ||
+      !rangeError.message.includes('past the horizon 2022-03-06T08:44:36.735Z of 36-bit timestamps')) {
+    throw new Error(`Expected a horizon error, got ${rangeError}`);
+  }
+  
+  // A refused ID leaves no trace: the next one continues right after the last issued
+  const atHorizon = createTimestampGenerator({ epoch, bits: 36, clock: () => horizon });
+  const lastFitting = atHorizon.generate();
+  for (let i = 0; i < 3; i++) {
+    try {
+      atHorizon.generate();
+    } catch (error) {
+      if (!(error instanceof TimestampRangeError)) throw error;
+    }
+  }
+  if (decodeTimestamp48(lastFitting, { epoch, bits: 36 }) !== horizon ||
+      decodeTimestamp48(atHorizon.generate({ bits: 37 }), { epoch, bits: 37 }) !== horizon + 1) {
+    throw new Error('Refused IDs advanced the generator state');
+  }
+  
+  for (const [fn, expected] of [
+    [() => encodeTimestamp48(epoch - 1, { epoch }), 'before the epoch 2020-01-01T00:00:00.000Z'],
+    [() => decodeTimestamp48('______A', { epoch: 2 ** 48 - 2 ** 41, bits: 42 }), 'lies past the horizon +010889-08-02'],
+    [() => decodeTimestamp48(id), 'Invalid timestamp length'],
+    [() => createTimestampGenerator({ bits: 49 }), 'Bits must be an integer between 1 and 48'],
+    [() => createTimestampGenerator({ bits: 32.5 }), 'Bits must be an integer'],
+    [() => getTimestampHorizon({ epoch: -1 }), 'Timestamp must be an integer'],
+    [() => getTimestampHorizon({ bits: 42, encoding: 'hex' }), 'Unknown option'],
+    [() => decodeTimestamp48(id, { epoch, bits: 42, encoding: { length: 7, encode: String, decode: Number, isValid: Boolean } }), 'alphabet-based encoding']
+  ]) {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes(expected)) throw new Error(`Expected "${expected}", got "${message}"`);
+  }
+  
+  console.log(`  ✓ ${id} (42 bits) and ${short} (36 bits) from ${new Date(epoch).toISOString()}`);
+  console.log(`  ✓ 42-bit horizon ${new Date(getTimestampHorizon({ epoch, bits: 42 })).toISOString()}`);
+});
+
+await runAsyncTest('Custom Epoch Rejects Keys', async () => {
+  const key = await createTimestampKey(new Uint8Array(32), { id: 'k1' });
+  const epoch = Date.UTC(2020, 0, 1);
+  
+  for (const fn of [
+    () => createTimestampGenerator({ key, epoch }),
+    () => encodeTimestamp48(Date.UTC(2024, 0, 1), { key, bits: 42 }),
+    () => decodeTimestamp48('k1AAAAAAAA', { key, epoch }),
+    () => createPrefixedId('usr', { key, bits: 42 })
+  ]) {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes('cannot be combined with a custom epoch')) throw new Error(`Expected a key error, got "${message}"`);
+  }
+  
+  console.log('  ✓ Keys require the full 48-bit range');
+});
+
+runTest('Second and Microsecond Precision', () => {
+  // Seconds: 36 bits, 6 characters; bursts repeat the second or run ahead, as chosen
+  const secondClock = () => Date.UTC(2024, 5, 1, 12, 0, 0, 750);
+  const seconds = createTimestampGenerator({ precision: 'second', clock: secondClock, unique: false });
+  const burst = seconds.batch(100);
+  const uniqueSeconds = createTimestampGenerator({ precision: 'second', clock: secondClock, unique: true });
+  const [first, second] = [uniqueSeconds.generate(), uniqueSeconds.generate()];
+  if (burst.some(id => id !== 'BmWw1A') || seconds.generate({ unique: true }) !== 'BmWw1B' ||
+      seconds.precision !== 'second' || first !== 'BmWw1A' || second !== 'BmWw1B' ||
+      decodeTimestamp48(first, { precision: 'second' }) !== 1717243200 ||
+      encodeTimestamp48(new Date(Date.UTC(2024, 5, 1, 12)), { precision: 'second' }) !== first) {
+    throw new Error(`Unexpected second-precision IDs: ${first}, ${second}`);
+  }
+  
+  // Without a choice there is no default: random suffixes tell a repeated second apart
+  const suffixed = createTimestampGenerator({ precision: 'second', clock: secondClock, randomBytes: 8 }).batch(3);
+  if (new Set(suffixed).size !== 3 || suffixed.some(id => !id.startsWith('BmWw1A'))) {
+    throw new Error(`Unexpected suffixed second-precision IDs: ${suffixed}`);
+  }
+  
+  // Microseconds: 54 bits, 9 characters, decoded as bigints
+  const micros = createTimestampGenerator({ precision: 'microsecond', clock: () => 1700000000000.25 });
+  const ids = micros.batch(2);
+  const decoded = decodeTimestamp48(ids[0], { precision: 'microsecond' });
+  if (micros.precision !== 'microsecond' || ids[0] !== 'GCiQYHkD6' || ids[1] !== 'GCiQYHkD7' ||
+      decoded !== 1700000000000250n || encodeTimestamp48(decoded, { precision: 'microsecond' }) !== ids[0]) {
+    throw new Error(`Unexpected microsecond-precision IDs: ${ids}`);
+  }
+  
+  const events = createPrefixedId('evt', { precision: 'microsecond', generator: micros });
+  const event = events.generate();
+  if (event !== 'evt_GCiQYHkD8' || events.decode(event) !== 1700000000000252n) {
+    throw new Error(`Unexpected microsecond prefixed ID: ${event}`);
+  }
+  
+  // Values past 2^53 stay exact, up to the 64-bit layout
+  const big = 2n ** 53n + 1n;
+  const wide = encodeTimestamp48(big, { precision: 'microsecond', bits: 64 });
+  if (encodeTimestamp48(big, { precision: 'microsecond' }) !== 'gAAAAAAAB' || wide !== 'AAgAAAAAAAB' ||
+      decodeTimestamp48(wide, { precision: 'microsecond', bits: 64 }) !== big ||
+      !isValidTimestamp(wide, { precision: 'microsecond', bits: 64 }) || isValidTimestamp(wide, { precision: 'microsecond' })) {
+    throw new Error(`Unexpected 64-bit microsecond ID: ${wide}`);
+  }
+  
+  // Ages, horizons and windows are reported in the chosen unit
+  const now = createTimestampGenerator({ precision: 'microsecond' }).generate();
+  const age = getTimestampAge(now, { precision: 'microsecond' });
+  if (typeof age !== 'number' || age < 0 || age > 60e6 ||
+      getTimestampAge(encodeTimestamp48(new Date(Date.now() - 5000), { precision: 'second' }), { precision: 'second' }) < 4) {
+    throw new Error(`Unexpected ages: ${age}`);
+  }
+  
+  if (getTimestampHorizon({ precision: 'second' }) !== 2 ** 36 - 1 || getTimestampHorizon({ precision: 'microsecond' }) !== 2n ** 54n - 1n ||
+      getTimestampHorizon({ precision: 'microsecond', bits: 64 }) !== 281474976710655999n ||
+      !isValidTimestamp(now, { precision: 'microsecond', strict: true }) ||
+      isValidTimestamp(ids[0], { precision: 'microsecond', notAfter: decoded - 1n })) {
+    throw new Error('Unexpected horizons or windows');
+  }
+  
+  // Comparison, bucket and display helpers decode in the chosen unit
+  const inSeconds = { precision: 'second' };
+  const inMicros = { precision: 'microsecond' };
+  if (compareTimestamp48(first, second, inSeconds) !== -1 || !isBefore(ids[0], ids[1], inMicros) ||
+      isAfter(first, second, inSeconds) || sortTimestamps([ids[1], ids[0]], inMicros).join() !== ids.join() ||
+      diffMs(second, first, inSeconds) !== 1000 || diffMs(ids[1], ids[0], inMicros) !== 0.001 ||
+      !inRange(first, 1717243200, second, inSeconds) || inRange(ids[1], new Date(0), decoded, inMicros)) {
+    throw new Error('Comparison helpers should decode in the chosen precision');
+  }
+  
+  const hour = bucketOf(second, 'hour', inSeconds);
+  const minute = bucketOf(ids[0], 'minute', inMicros);
+  if (hour.start !== Date.UTC(2024, 5, 1, 12) || hour.boundary !== first ||
+      [...bucketsBetween(first, 1717246800, 'hour', inSeconds)].map(bucket => bucket.boundary).join() !== 'BmWw1A,BmWxtQ' ||
+      minute.start !== 1699999980000 || decodeTimestamp48(minute.boundary, inMicros) !== 1699999980000000n ||
+      prefixForBucket(first, 'day', inSeconds) !== 'BmW' || !ids[0].startsWith(prefixForBucket(ids[0], 'minute', inMicros)) ||
+      minForTime(new Date(Date.UTC(2024, 5, 1, 12)), inSeconds) !== first) {
+    throw new Error(`Unexpected buckets: ${hour.boundary}, ${minute.boundary}`);
+  }
+  
+  if (inspectTimestamp48(ids[0], inMicros).ms !== 1700000000000 || inspectTimestamp48(first, inSeconds).iso !== '2024-06-01T12:00:00.000Z' ||
+      formatTimestamp48(first, { ...inSeconds, timeZone: 'UTC', locale: 'en-US' }) !== 'Jun 1, 2024, 12:00:00 PM') {
+    throw new Error('Unexpected inspection of second and microsecond IDs');
+  }
+  
+  // MODULE_INFO describes the top-level functions; each generator reports its own precision
+  if (MODULE_INFO.precision !== 'millisecond' || MODULE_INFO.precisions.join() !== 'second,millisecond,microsecond' ||
+      createTimestampGenerator().precision !== 'millisecond') {
+    throw new Error('MODULE_INFO and generators should report their precision');
+  }
+  
+  for (const [fn, expected] of [
+    [() => generateTimestamp48({ precision: 'second' }), 'create one with { precision: \'second\' }'],
+    [() => seconds.generateWithCounter(), 'Counter IDs use millisecond precision'],
+    [() => micros.generateUUIDv7(), 'UUIDs use millisecond precision'],
+    [() => micros.write(new Uint8Array(6)), 'Raw bytes use millisecond precision'],
+    [() => toBytes(first, { precision: 'second' }), 'Raw bytes carry Unix milliseconds'],
+    [() => toBytes(ids[0], { precision: 'microsecond' }), 'Raw bytes carry Unix milliseconds'],
+    [() => fromBytes(new Uint8Array(6), 0, { precision: 'second' }), 'Raw bytes carry Unix milliseconds'],
+    [() => createTimestampGenerator({ precision: 'second', sharedState: createSharedTimestampState() }), 'require millisecond precision'],
+    [() => createTimestampGenerator({ precision: 'minute' }), 'Unsupported precision: minute'],
+    [() => encodeTimestamp48(0, { precision: 'microsecond', bits: 65 }), 'between 1 and 64 for microsecond precision'],
+    [() => encodeTimestamp48(2 ** 53, { precision: 'microsecond' }), 'integer number of microseconds'],
+    [() => createTimestampGenerator({ precision: 'second' }), 'Second precision needs unique: true'],
+    [() => createTimestampGenerator({ precision: 'second', unique: true, bits: 8, clock: () => 256000 }).generate(), 'past the horizon'],
+    [() => bucketOf(first, 'hour', { precision: 'second', counter: true }), 'IDs with second precision have no counter'],
+    [() => inspectTimestamp48(ids[0], { precision: 'microsecond', counter: true }), 'IDs with microsecond precision have no counter']
+  ]) {
+    let message = '';
+    try {
+      fn();
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes(expected)) throw new Error(`Expected "${expected}", got "${message}"`);
+  }
+  
+  console.log(`  ✓ Seconds ${first}, microseconds ${ids[0]} -> ${decoded}n`);
+  console.log(`  ✓ 64-bit microseconds ${wide}; age of a fresh ID ${age}µs`);
 });
 
 // Test Summary
@@ -413,12 +2534,36 @@ console.log('🎉 All Tests Passed!');
 console.log('===============================================');
 console.log('✅ Basic functionality working');
 console.log('✅ Format validation (8-char Base64URL)'); 
-console.log('✅ Time ordering maintained');
+console.log('✅ Time ordering maintained (sortable Base64 sorts as strings)');
 console.log('✅ Implementation consistency verified');
 console.log('✅ Edge cases handled');
 console.log('✅ Performance benchmarked');
 console.log('✅ Memory usage analyzed');
 console.log('✅ Cross-runtime compatibility confirmed');
 console.log('✅ Base64URL alphabet validated');
+console.log('✅ UUIDv7 generation and parsing');
+console.log('✅ Sub-millisecond counter stays on the wall clock');
+console.log('✅ Generator instances isolated with injectable clocks');
+console.log('✅ Clock regression policies enforced');
+console.log('✅ Alternative encodings (Base32, hex, Base58, Base62)');
+console.log('✅ Binary read/write without allocation');
+console.log('✅ Arbitrary timestamps encoded with range bounds');
+console.log('✅ Streaming and bulk generation beyond 10,000 IDs');
+console.log('✅ Shared options: unique, monotonic, encoding, clock, prefix');
+console.log('✅ ts48 CLI: gen, decode, validate, encode');
+console.log('✅ Typed error classes with machine-readable codes');
+console.log('✅ Strict validation with plausibility windows and canonical form');
+console.log('✅ Inspection and Intl formatting of IDs');
+console.log('✅ Comparison, sorting and ranges without decoding');
+console.log('✅ Node ID format: zero collisions across workers');
+console.log('✅ Shared monotonic state across worker threads');
+console.log('✅ Persisted high-water mark survives restarts');
+console.log('✅ Typed, prefixed entity IDs');
+console.log('✅ Random suffixes for unguessable IDs');
+console.log('✅ Keyed IDs hide creation time, with key rotation');
+console.log('✅ HMAC-signed timestamp tokens with typed failures');
+console.log('✅ Time buckets and partition prefixes');
+console.log('✅ Custom epochs and bit widths with a computable horizon');
+console.log('✅ Second and microsecond precision with bigint decoding');
 console.log('===============================================');
 console.log('🚀 48-bit timestamp generator is ready for production!\n');
\ No newline at end of file